@@ -0,0 +1,254 @@
+// @ts-check
+import fs, { rmSync, mkdtempSync } from 'fs';
+import { join, dirname, basename, relative, sep } from 'path';
+import { tmpdir } from 'os';
+import { archiveFormat } from './fileTools.js';
+import { getLease, leaseOwningFile, refreshLease } from './temporaryFolders.js';
+import * as archiveTool from '../tool/archive.js';
+import { refreshCover } from '../library/main.js';
+import { broadcast } from '../tool/coordinationUtils.js';
+
+
+/**
+ * @import { ArchiveFormat } from './fileTools.js'
+ * @import { ArchiveLease } from './temporaryFolders.js'
+ */
+
+/**
+ * Leased archive and format, if editable.
+ * @typedef EditTarget
+ * @property {string} archivePath Absolute path to archive.
+ * @property {ArchiveLease} lease Archive lease.
+ * @property {ArchiveFormat} format Archive format.
+ */
+
+
+/**
+ * Formats 7z can update in place. Compressed tarballs are only piped in.
+ * @type {ArchiveFormat[]}
+ */
+const EDITABLEFORMATS = ['zip', '7z', 'tar'];
+
+/**
+ * Prefix for staging folders of files to append, distinct from leased folders.
+ */
+const STAGINGPREFIX = 'mxiv_staging-';
+
+
+/**
+ * Delete files from their leased archives and re-pack them.
+ * @param {string[]} tmpPaths Temporary paths to leased archive files.
+ * @returns {Promise<boolean>} Success.
+ */
+export async function deleteFromArchive(tmpPaths) {
+  /** @type {Map<string, string[]>} archive path -> temporary paths */
+  const byArchive = new Map();
+
+  for (const tmpPath of tmpPaths) {
+    const archivePath = leaseOwningFile(tmpPath);
+    if (archivePath == null)
+      return false;
+
+    byArchive.set(archivePath, [...byArchive.get(archivePath) ?? [], tmpPath]);
+  }
+
+  let success = true;
+  for (const [archivePath, paths] of byArchive) {
+    const target = await editTarget(archivePath);
+    if (target == null) {
+      success = false;
+      continue;
+    }
+
+    const { lease, format } = target;
+    const entries = paths.map( tmpPath => lease.entries.get(tmpPath) );
+    if ( entries.some(entry => entry == null) ) {
+      console.log(`MXIV: Can't delete from "${archivePath}", files not in archive.`);
+      success = false;
+      continue;
+    }
+
+    const files = entries.map( entry => /** @type {import('../tool/archive.js').ArchiveEntry} */ (entry).path );
+
+    success = await rewriteArchive(target,
+      (workingCopy) => archiveTool.deleteEntries(files, workingCopy, format, lease.password),
+      (tmpPaths) => paths.every(tmpPath => !tmpPaths.has(tmpPath))
+    ) && success;
+  }
+
+  return success;
+}
+
+/**
+ * Rename or move file in its leased archive and re-pack it.
+ * @param {string} tmpPath Temporary path to leased archive file.
+ * @param {string} newPath New name, or archive-relative path if containing separators.
+ * @returns {Promise<string?>} New temporary path to file, `null` on failure.
+ */
+export async function renameInArchive(tmpPath, newPath) {
+  const target = await editTarget( leaseOwningFile(tmpPath) );
+  if (target == null)
+    return null;
+
+  const { lease, format } = target;
+  const entry = lease.entries.get(tmpPath);
+  if (entry == null) {
+    console.log(`MXIV: Can't rename "${tmpPath}", not in archive.`);
+    return null;
+  }
+
+  // keep in same folder for plain names
+  const newEntryPath = /[\\/]/.test(newPath) ? newPath : join(dirname(entry.path), newPath);
+  const newTmpPath = join(lease.path, newEntryPath);
+
+  if ( !newTmpPath.startsWith(lease.path + sep) || lease.entries.has(newTmpPath) ) {
+    console.log(`MXIV: Can't rename "${entry.path}" to "${newEntryPath}", invalid or taken.`);
+    return null;
+  }
+
+  const success = await rewriteArchive(target,
+    (workingCopy) => archiveTool.renameEntry(entry.path, newEntryPath, workingCopy, format, lease.password),
+    (tmpPaths) => !tmpPaths.has(tmpPath) && tmpPaths.has(newTmpPath)
+  );
+
+  return success ? newTmpPath : null;
+}
+
+/**
+ * Append files to a leased archive, next to one of its files, and re-pack it.
+ * @param {string} tmpPath Temporary path to leased archive file to append files next to.
+ * @param {string[]} filepaths Absolute paths to files to append.
+ * @returns {Promise<boolean>} Success.
+ */
+export async function appendToArchive(tmpPath, filepaths) {
+  const target = await editTarget( leaseOwningFile(tmpPath) );
+  if (target == null || filepaths.length < 1)
+    return false;
+
+  const { lease, format } = target;
+  const folder = relative( lease.path, dirname(tmpPath) );
+  const newTmpPaths = filepaths.map( filepath => join(lease.path, folder, basename(filepath)) );
+
+  if ( newTmpPaths.some(newTmpPath => lease.entries.has(newTmpPath)) ) {
+    console.log('MXIV: Can\'t append files, names already taken.');
+    return false;
+  }
+
+  // stage files in their archive folder structure
+  let staging = '';
+  try {
+    staging = mkdtempSync( join(tmpdir(), STAGINGPREFIX) );
+    fs.mkdirSync( join(staging, folder), { recursive: true } );
+
+    for (const filepath of filepaths)
+      fs.copyFileSync( filepath, join(staging, folder, basename(filepath)) );
+  } catch (err) {
+    console.log('MXIV: Failed to stage files to append\n', err);
+    if (staging !== '')
+      rmSync(staging, { recursive: true, force: true });
+
+    return false;
+  }
+
+  const success = await rewriteArchive(target,
+    (workingCopy) => archiveTool.addEntries(staging, workingCopy, format, lease.password),
+    (tmpPaths) => newTmpPaths.every(newTmpPath => tmpPaths.has(newTmpPath))
+  );
+
+  rmSync(staging, { recursive: true, force: true });
+  return success;
+}
+
+/**
+ * Return leased archive as edit target, if writable.
+ * - Archives nested in archives aren't, as their parents would need re-packing too.
+ * @param {string?} archivePath Absolute path to leased archive.
+ * @returns {Promise<EditTarget?>}
+ */
+async function editTarget(archivePath) {
+  const lease = archivePath != null ? getLease(archivePath) : null;
+  if (archivePath == null || lease == null || lease.parent != null)
+    return null;
+
+  const format = await archiveFormat(archivePath);
+  if ( format == null || !EDITABLEFORMATS.includes(format) ) {
+    console.log(`MXIV: Can't edit "${archivePath}", format not writable.`);
+    return null;
+  }
+
+  return { archivePath, lease, format };
+}
+
+/**
+ * Edit a copy of archive, then replace the original if the copy checks out.
+ * - Previous version is kept as a hidden `.mxiv-bak` file beside the archive until the edited one
+ *   is re-listed. Edits are refused while a backup left from a failed one is still there.
+ * - Lease and library cover are refreshed on success, and windows told through a
+ *   `file:archiveEdited` broadcast so other viewers on the archive reload.
+ * @param {EditTarget} target Archive to edit.
+ * @param {(workingCopy: string) => Promise<boolean>} edit Edit to apply on working copy.
+ * @param {(tmpPaths: Set<string>) => boolean} verify Check entries of edited copy, by temporary path.
+ * @returns {Promise<boolean>} Success.
+ */
+async function rewriteArchive(target, edit, verify) {
+  const { archivePath, lease } = target;
+  const workingCopy = join( dirname(archivePath), `.${basename(archivePath)}.mxiv-edit` );
+  const backup = join( dirname(archivePath), `.${basename(archivePath)}.mxiv-bak` );
+
+  if ( fs.existsSync(backup) ) {
+    console.log(`MXIV: Can't edit "${archivePath}", previous version still kept at "${backup}".`);
+    return false;
+  }
+
+  /** @type {NodeJS.ErrnoException?} */
+  const copyError = await new Promise(resolve => {
+    fs.copyFile(archivePath, workingCopy, (err) => resolve(err) );
+  });
+
+  if (copyError != null) {
+    console.log(`MXIV: Failed to copy "${archivePath}" for editing\n`, copyError);
+    return false;
+  }
+
+  // 7z may report success on no-ops, so also verify resulting entries
+  let success = await edit(workingCopy) && await archiveTool.testArchive(workingCopy, lease.password);
+  if (success) {
+    const entries = await archiveTool.entryList(workingCopy, lease.password);
+    success = verify( new Set(entries.map(entry => join(lease.path, entry.path))) );
+  }
+
+  if (!success) {
+    console.log(`MXIV: Failed to edit "${archivePath}", left untouched.`);
+    rmSync(workingCopy, { force: true });
+    return false;
+  }
+
+  // keep previous version as backup, never overwriting files, then swap atomically
+  try {
+    try {
+      fs.linkSync(archivePath, backup);
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === 'EEXIST')
+        throw err;
+
+      fs.copyFileSync(archivePath, backup, fs.constants.COPYFILE_EXCL); // no hard link support
+    }
+
+    fs.renameSync(workingCopy, archivePath);
+  } catch (err) {
+    console.log(`MXIV: Failed to replace "${archivePath}" with edited copy\n`, err);
+    rmSync(workingCopy, { force: true });
+    return false;
+  }
+
+  // previous version only needed if edited one can't be listed
+  if ( await refreshLease(archivePath) )
+    rmSync(backup, { force: true });
+  else
+    console.log(`MXIV: Failed to list edited "${archivePath}", previous version kept at "${backup}".`);
+
+  refreshCover(archivePath);
+  broadcast('file:archiveEdited', archivePath);
+
+  return true;
+}
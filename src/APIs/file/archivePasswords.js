@@ -0,0 +1,70 @@
+// @ts-check
+import { safeStorage } from 'electron';
+import { JsonStorage } from '../tool/jsonStorage.js';
+import { archivePasswordsFile } from '../tool/appPaths.js';
+
+
+/**
+ * Remembered archive passwords, as archive path -> base64 encrypted password.
+ * - Created on first use.
+ * @type {JsonStorage<string>?}
+ */
+let storage = null;
+
+
+/**
+ * Get password storage, create it if needed.
+ * @returns {JsonStorage<string>}
+ */
+function getStorage() {
+  return storage ??= new JsonStorage(archivePasswordsFile);
+}
+
+/**
+ * Get remembered password for archive. Null if none or not decryptable.
+ * @param {string} archivePath Absolute path to archive.
+ * @returns {Promise<string?>}
+ */
+export async function getPassword(archivePath) {
+  if ( !safeStorage.isEncryptionAvailable() )
+    return null;
+
+  const state = await getStorage().getState();
+  const encrypted = state.get(archivePath);
+  if (encrypted == null)
+    return null;
+
+  try {
+    return safeStorage.decryptString( Buffer.from(encrypted, 'base64') );
+  } catch (err) {
+    console.log(`MXIV: Failed to decrypt password for ${archivePath}\n`, err);
+    return null;
+  }
+}
+
+/**
+ * Remember password for archive. Never stored unencrypted.
+ * @param {string} archivePath Absolute path to archive.
+ * @param {string} password Password to remember.
+ * @returns {Promise<boolean>} Success.
+ */
+export async function rememberPassword(archivePath, password) {
+  if ( !safeStorage.isEncryptionAvailable() )
+    return false;
+
+  const encrypted = safeStorage.encryptString(password).toString('base64');
+
+  return await getStorage().write(state => {
+    state.set(archivePath, encrypted);
+  });
+}
+
+/**
+ * Forget all remembered archive passwords.
+ * @returns {Promise<boolean>} Success.
+ */
+export async function forgetPasswords() {
+  return await getStorage().write(state => {
+    state.clear();
+  });
+}
@@ -1,8 +1,9 @@
 // @ts-check
 import fs from 'fs';
 import p from 'path';
-import { expandPath, fileType } from './fileTools.js';
-import { tools } from '../tool/toolCapabilities.js';
+import { expandPath, fileType, sniffFileType, imageDimensions } from './fileTools.js';
+import { canExtractArchive } from '../tool/toolCapabilities.js';
+import { leasedListing } from './temporaryFolders.js';
 
 
 /**
@@ -16,6 +17,10 @@ import { tools } from '../tool/toolCapabilities.js';
  * @property {string} path Absolute path to file.
  * @property {string} name Basename. (Ex: duck.png)
  * @property {FileCategory} category File category.
+ * @property {number} [size] Size in bytes, if listed.
+ * @property {number} [modified] Last modified timestamp in milliseconds, if listed.
+ * @property {number} [created] Creation timestamp in milliseconds, if listed.
+ * @property {string} [archive] Path to containing archive, for archive files and internal folders.
  */
 
 /**
@@ -35,6 +40,28 @@ import { tools } from '../tool/toolCapabilities.js';
  */
 let lsCache = {};
 
+/**
+ * Detected file types for previously inspected files, oldest entries first.
+ * @type {Map<string, {lastModified:Number, type:string}>}
+ */
+let typeCache = new Map();
+
+/**
+ * Max entries in type cache, oldest are dropped past it.
+ */
+const TYPECACHELIMIT = 20000;
+
+/**
+ * Image dimensions for previously inspected files.
+ * @type {Object<string, {lastModified:Number, dimensions:{width:number, height:number}?}>}
+ */
+let dimensionCache = {};
+
+/**
+ * Max files to inspect concurrently while listing a directory.
+ */
+const INSPECTLIMIT = 64;
+
 /**
  * File basenames for previously listed directories.
  * @type {Object<string, {lastModified:Number, hints:string[]}>}
@@ -46,6 +73,8 @@ let hintCache = {};
  */
 export function clearCache() {
   lsCache = {};
+  typeCache = new Map();
+  dimensionCache = {};
   hintCache = {};
 }
 
@@ -54,12 +83,18 @@ export function clearCache() {
  * @param {FileCategory} category File category.
  * @param {string} name Basename. (Ex: `duck.png`)
  * @param {string} fullpath Absolute path. (Ex: `/home/user/Pictures/duck.png`)
+ * @param {fs.Stats} [stats] File stats to include as sorting metadata.
  * @returns {FileObject} Wrapped file.
  */
-export const fileObj = (category, name, fullpath) => ({
+export const fileObj = (category, name, fullpath, stats) => ({
   category: category,
   name: name,
-  path: fullpath
+  path: fullpath,
+  ...stats && {
+    size: stats.size,
+    modified: stats.mtimeMs,
+    created: stats.birthtimeMs
+  }
 });
 
 /**
@@ -71,6 +106,72 @@ const getFileStats = (filepath) => new Promise(resolve => {
   fs.stat( filepath, (_err, stats) => resolve(stats) );
 });
 
+/**
+ * Return file type from signature, extension as fallback. 
+ * Cached by path and last modified timestamp.
+ * @param {string} filepath Absolute file path.
+ * @param {fs.Stats?} [stats] File stats, if already known.
+ * @returns {Promise<string>} Type string.
+ */
+export async function getFileType(filepath, stats) {
+  stats = stats ?? await getFileStats(filepath);
+
+  if ( stats?.isDirectory() )
+    return 'folder';
+  else if ( stats == null || !stats.isFile() )
+    return fileType(filepath);
+
+  // try a valid cached entry, if any
+  const cacheEntry = typeCache.get(filepath);
+  if (cacheEntry && cacheEntry.lastModified === stats.mtimeMs)
+    return cacheEntry.type;
+
+  const type = await sniffFileType(filepath) ?? fileType(filepath);
+  typeCache.delete(filepath);
+  typeCache.set(filepath, {
+    lastModified: stats.mtimeMs,
+    type: type
+  });
+
+  if (typeCache.size > TYPECACHELIMIT)
+    typeCache.delete( typeCache.keys().next().value );
+
+  return type;
+}
+
+/**
+ * Return image dimensions for each filepath, null for unsupported files.
+ * Cached by path and last modified timestamp.
+ * @param {string[]} filepaths Absolute file paths.
+ * @returns {Promise<Object<string, {width:number, height:number}?>>}
+ */
+export async function getImageDimensions(filepaths) {
+  const dimensionMap = /** @type {Object<string, {width:number, height:number}?>} */ ({});
+
+  for (let i = 0; i < filepaths.length; i += INSPECTLIMIT) {
+    const batch = filepaths.slice(i, i + INSPECTLIMIT).map(async filepath => {
+      const lastModified = ( await getFileStats(filepath) )?.mtimeMs;
+      const cacheEntry = dimensionCache[filepath];
+
+      if (cacheEntry && cacheEntry.lastModified === lastModified)
+        return dimensionMap[filepath] = cacheEntry.dimensions;
+
+      const dimensions = await imageDimensions(filepath);
+      dimensionMap[filepath] = dimensions;
+
+      if (lastModified != null)
+        dimensionCache[filepath] = {
+          lastModified: lastModified,
+          dimensions: dimensions
+        };
+    });
+
+    await Promise.all(batch);
+  }
+
+  return dimensionMap;
+}
+
 /**
  * Asynchronously list directory folders, media contents.
  * @param {String} path Path to folder.
@@ -78,6 +179,12 @@ const getFileStats = (filepath) => new Promise(resolve => {
  */
 export async function listFiles(path) {
   const absolutePath = expandPath(path);
+
+  // leased archive folders hold extracted files only, list from archive entries instead
+  const leasedLsObj = leasedListing(absolutePath);
+  if (leasedLsObj != null)
+    return leasedLsObj;
+
   const lastModified = ( await getFileStats(absolutePath) )?.mtimeMs;
 
   // try a valid cached entry, if any
@@ -101,19 +208,36 @@ export async function listFiles(path) {
     fs.readdir( absolutePath, { withFileTypes: true }, (_err, files) => resolve(files) );
   }) || [];
 
+  // inspect files in bounded batches, preserve listing order
+  const inspected = /** @type {{stats: fs.Stats?, category: string}[]} */ ([]);
+  for (let i = 0; i < files.length; i += INSPECTLIMIT) {
+    const batch = files.slice(i, i + INSPECTLIMIT).map(async file => {
+      const filepath = p.join(absolutePath, file.name);
+      const stats = await getFileStats(filepath);
+      const category = stats != null ? await getFileType(filepath, stats) : 'other';
+
+      return { stats, category };
+    });
+
+    inspected.push( ...await Promise.all(batch) );
+  }
+
   // wrap files by category
-  for (let file of files) {
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
     const filepath = p.join(absolutePath, file.name);
-    const category = fileType(filepath);
+    const { stats, category } = inspected[i];
 
-    if ( !file.isFile() ) // assume is a directory
-      lsObj.directories.push( fileObj('folder', file.name, filepath) );
+    if (stats == null) // unreachable, such as broken links
+      continue;
+    else if ( stats.isDirectory() )
+      lsObj.directories.push( fileObj('folder', file.name, filepath, stats) );
     else if (category === 'archive') {
-      if (tools.canExtract)
-        lsObj.archives.push( fileObj(category, file.name, filepath) );
+      if ( await canExtractArchive(filepath) )
+        lsObj.archives.push( fileObj(category, file.name, filepath, stats) );
     }
     else if (category !== 'other')
-      lsObj.files.push( fileObj(category, file.name, filepath) );
+      lsObj.files.push( fileObj(/** @type {FileCategory} */ (category), file.name, filepath, stats) );
   }
 
   // store/update cache
@@ -126,6 +250,44 @@ export async function listFiles(path) {
   return lsObj;
 }
 
+/**
+ * Walk directories breadth-first, yield listings level by level.
+ * - Skip dot directories and those already visited by real path, guarding against symlink loops.
+ * @param {string[]} directories Paths to folders to walk from.
+ * @param {number} depth How many levels to descend below given folders.
+ * @param {Set<string>} [visited] Real paths to skip, updated as folders are walked.
+ * @returns {AsyncGenerator<LSObject>}
+ */
+export async function* walkDirectories(directories, depth, visited = new Set()) {
+  let level = directories.map(directory => expandPath(directory) );
+
+  for (let currentDepth = 0; currentDepth <= depth && level.length > 0; currentDepth++) {
+    const nextLevel = [];
+
+    for (const directory of level) {
+      /** @type {string?} */
+      const realPath = await new Promise(resolve => {
+        fs.realpath( directory, (_err, realPath) => resolve(realPath) );
+      });
+
+      if (realPath == null || visited.has(realPath) )
+        continue;
+
+      visited.add(realPath);
+      const lsObj = await listFiles(directory);
+
+      for (const subdirectory of lsObj.directories) {
+        if (subdirectory.name[0] !== '.')
+          nextLevel.push(subdirectory.path);
+      }
+
+      yield lsObj;
+    }
+
+    level = nextLevel;
+  }
+}
+
 /**
  * Return matching file basenames for queried filepath. 
  * * Used on Viewer 'open' action to hint files in a given directory.
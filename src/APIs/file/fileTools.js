@@ -1,9 +1,47 @@
 import { exec } from 'child_process';
 import p from 'path';
-import { rmSync } from 'fs';
+import fs, { rmSync } from 'fs';
 import { homedir } from 'os';
 
 
+/**
+ * Archive formats handled by the archive tool.
+ * @typedef {'zip'|'rar'|'7z'|'tar'|'tar.gz'} ArchiveFormat
+ */
+
+
+/**
+ * Bytes to read from file header when sniffing file signatures. Covers TAR's magic at 257.
+ */
+const HEADERSIZE = 264;
+
+/**
+ * Known file signatures, as byte sequences at given header offsets.
+ * @type {{category: string, offset: number, bytes: number[], format?: ArchiveFormat}[]}
+ */
+const signatures = [
+  { category: 'image',   offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },    // PNG
+  { category: 'image',   offset: 0, bytes: [0xFF, 0xD8, 0xFF] },                                  // JPEG
+  { category: 'image',   offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },                            // GIF8
+  { category: 'video',   offset: 0, bytes: [0x1A, 0x45, 0xDF, 0xA3] },                            // WebM/Matroska
+  { category: 'audio',   offset: 0, bytes: [0x4F, 0x67, 0x67, 0x53] },                            // OggS
+  { category: 'audio',   offset: 0, bytes: [0x66, 0x4C, 0x61, 0x43] },                            // fLaC
+  { category: 'archive', offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04], format: 'zip' },             // ZIP
+  { category: 'archive', offset: 0, bytes: [0x50, 0x4B, 0x05, 0x06], format: 'zip' },             // ZIP (empty)
+  { category: 'archive', offset: 0, bytes: [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07], format: 'rar' }, // Rar!
+  { category: 'archive', offset: 0, bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C], format: '7z' },  // 7z
+  { category: 'archive', offset: 257, bytes: [0x75, 0x73, 0x74, 0x61, 0x72], format: 'tar' }      // ustar
+];
+
+/**
+ * Extensions for ZIP based formats that are documents or packages, not browsable archives.
+ */
+const zipContainers = new Set([
+  '.docx', '.xlsx', '.pptx', '.odt', '.ods', '.odp', '.odg',
+  '.epub', '.jar', '.war', '.apk', '.aab', '.ipa', '.xpi', '.vsix', '.kra', '.ora'
+]);
+
+
 /**
  * Infer type from supported file extensions.
  * For others such as folders, use async `fs.stat` instead.
@@ -11,8 +49,10 @@ import { homedir } from 'os';
  * @returns Type string.
  */
 export function fileType(file) {
+  if ( formatFromName(file) != null )
+    return 'archive';
 
-  switch ( p.extname(file) ) {
+  switch ( p.extname(file).toLowerCase() ) {
     case '.jpg': case '.jpeg': case '.png':
     case '.gif': case '.apng': case '.webp':
     case '.svg': case '.icns': case '.ico':
@@ -24,13 +64,215 @@ export function fileType(file) {
       return 'audio';
     case '.mp4': case '.webm': case '.mov':
       return 'video';
-    case '.zip': case '.cbz':
-      return 'archive';
   }
 
   return 'other';
 }
 
+/**
+ * Infer archive format from file extension. Null if not an archive.
+ * @param {string} file File path or basename.
+ * @returns {ArchiveFormat?}
+ */
+function formatFromName(file) {
+  if ( file.toLowerCase().endsWith('.tar.gz') )
+    return 'tar.gz';
+
+  switch ( p.extname(file).toLowerCase() ) {
+    case '.zip': case '.cbz':
+      return 'zip';
+    case '.rar': case '.cbr':
+      return 'rar';
+    case '.7z': case '.cb7':
+      return '7z';
+    case '.tar': case '.cbt':
+      return 'tar';
+  }
+
+  return null;
+}
+
+/**
+ * Infer archive format from file signature, extension as fallback. Null if not an archive.
+ * - Compressed tarballs are only recognized by their extension.
+ * @param {string} filepath Absolute file path.
+ * @returns {Promise<ArchiveFormat?>}
+ */
+export async function archiveFormat(filepath) {
+  const header = await readHeader(filepath);
+  const signature = header != null ? matchSignature(header, filepath) : null;
+
+  return signature?.format ?? formatFromName(filepath);
+}
+
+/**
+ * Read file header for signature sniffing. Null if unreadable.
+ * @param {string} filepath Absolute file path.
+ * @returns {Promise<Buffer?>}
+ */
+function readHeader(filepath) {
+  return new Promise(resolve => {
+    fs.open(filepath, 'r', (err, fd) => {
+      if (err)
+        return resolve(null);
+
+      const buffer = Buffer.alloc(HEADERSIZE);
+      fs.read(fd, buffer, 0, HEADERSIZE, 0, (err, bytesRead) => {
+        fs.close( fd, () => resolve(err ? null : buffer.subarray(0, bytesRead)) );
+      });
+    });
+  });
+}
+
+/**
+ * Find known signature matching file header, if any.
+ * - Archive signatures are only trusted when the extension is missing, unknown or 
+ * an archive's, as ZIP is also the container for documents and packages (.docx, .epub, .apk).
+ * @param {Buffer} header File header bytes.
+ * @param {string} filepath File path, to check extension against archive signatures.
+ */
+function matchSignature(header, filepath) {
+  const signature = signatures.find(({ offset, bytes }) => 
+    bytes.every( (byte, i) => header[offset + i] === byte )
+  );
+
+  if (signature?.category !== 'archive')
+    return signature;
+
+  const extensionType = fileType(filepath);
+  const trusted = extensionType === 'archive' || 
+    ( extensionType === 'other' && !zipContainers.has( p.extname(filepath).toLowerCase() ) );
+
+  return trusted ? signature : undefined;
+}
+
+/**
+ * Infer type from file signature (magic bytes). Null if unknown or unreadable.
+ * - RIFF and ISO-BMFF containers are resolved by their format and brand fields.
+ * @param {string} filepath Absolute file path.
+ * @returns {Promise<string?>} Type string.
+ */
+export async function sniffFileType(filepath) {
+  const header = await readHeader(filepath);
+  if (header == null)
+    return null;
+
+  const signature = matchSignature(header, filepath);
+
+  if (signature != null)
+    return signature.category;
+
+  // RIFF container, only WebP is viewable
+  if ( header.toString('latin1', 0, 4) === 'RIFF' )
+    return header.toString('latin1', 8, 12) === 'WEBP' ? 'image' : null;
+
+  // ISO-BMFF container (MP4, MOV, M4A, AVIF), categorize by major brand
+  if ( header.toString('latin1', 4, 8) === 'ftyp' ) {
+    const brand = header.toString('latin1', 8, 12);
+
+    switch (brand) {
+      case 'heic': case 'heix':
+        return null; // not supported
+      case 'avif': case 'avis':
+        return 'image';
+      case 'M4A ': case 'M4B ':
+        return 'audio';
+      default:
+        return 'video';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read bytes from an open file descriptor. Empty buffer on failure.
+ * @param {number} fd File descriptor.
+ * @param {number} position Byte offset to read from.
+ * @param {number} length Bytes to read.
+ * @returns {Promise<Buffer>}
+ */
+export function readBytes(fd, position, length) {
+  return new Promise(resolve => {
+    const buffer = Buffer.alloc(length);
+    fs.read(fd, buffer, 0, length, position, (err, bytesRead) => {
+      resolve( err ? Buffer.alloc(0) : buffer.subarray(0, bytesRead) );
+    });
+  });
+}
+
+/**
+ * Read image width and height from PNG, GIF, WebP and JPEG headers.
+ * Null if unsupported or unreadable.
+ * @param {string} filepath Absolute file path.
+ * @returns {Promise<{width: number, height: number}?>}
+ */
+export async function imageDimensions(filepath) {
+  /** @type {number?} */
+  const fd = await new Promise(resolve => {
+    fs.open( filepath, 'r', (err, fd) => resolve(err ? null : fd) );
+  });
+
+  if (fd == null)
+    return null;
+
+  let dimensions = null;
+  const header = await readBytes(fd, 0, 32);
+
+  // PNG, IHDR chunk
+  if ( header.length >= 24 && header.readUInt32BE(0) === 0x89504E47 )
+    dimensions = { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+
+  // GIF, logical screen descriptor
+  else if ( header.length >= 10 && header.toString('latin1', 0, 3) === 'GIF' )
+    dimensions = { width: header.readUInt16LE(6), height: header.readUInt16LE(8) };
+
+  // WebP, lossy, lossless or extended
+  else if ( header.length >= 30 && header.toString('latin1', 8, 12) === 'WEBP' ) {
+    const format = header.toString('latin1', 12, 16);
+
+    if (format === 'VP8 ')
+      dimensions = { 
+        width: header.readUInt16LE(26) & 0x3FFF,
+        height: header.readUInt16LE(28) & 0x3FFF
+      };
+    else if (format === 'VP8L') {
+      const bits = header.readUInt32LE(21);
+      dimensions = { width: (bits & 0x3FFF) + 1, height: ( (bits >> 14) & 0x3FFF ) + 1 };
+    }
+    else if (format === 'VP8X')
+      dimensions = {
+        width: header.readUIntLE(24, 3) + 1,
+        height: header.readUIntLE(27, 3) + 1
+      };
+  }
+
+  // JPEG, walk segments until a start-of-frame marker
+  else if ( header.length >= 4 && header[0] === 0xFF && header[1] === 0xD8 ) {
+    let position = 2;
+
+    for (let segments = 0; segments < 512; segments++) {
+      const segment = await readBytes(fd, position, 9);
+      if (segment.length < 4 || segment[0] !== 0xFF)
+        break;
+
+      const marker = segment[1];
+      const isFrame = marker >= 0xC0 && marker <= 0xCF
+        && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+
+      if (isFrame && segment.length === 9) {
+        dimensions = { width: segment.readUInt16BE(7), height: segment.readUInt16BE(5) };
+        break;
+      }
+
+      position += 2 + segment.readUInt16BE(2);
+    }
+  }
+
+  await new Promise( resolve => fs.close(fd, resolve) );
+  return dimensions;
+}
+
 /**
  * Expand shortcuts and relative paths into absolute, atomic paths.
  * @param {string} path Path to expand.
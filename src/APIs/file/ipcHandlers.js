@@ -2,15 +2,37 @@ import { ipcMain } from 'electron'
 import * as openFile from './openFile.js'
 import * as fileSearch from './fileSearch.js'
 import * as fileTools from './fileTools.js'
+import * as archivePasswords from './archivePasswords.js'
+import * as temporaryFolders from './temporaryFolders.js'
+import * as archiveEditing from './archiveEditing.js'
 
 
 // open files
-ipcMain.handle('file:open', async (e, path, ownerID) => {
-  return await openFile.open(path, ownerID)
+ipcMain.handle('file:open', async (e, path, ownerID, options) => {
+  return await openFile.open(path, ownerID, options, (files, done, walkID) => {
+    if ( !e.sender.isDestroyed() )
+      e.sender.send('file:onStream', ownerID, walkID, files, done)
+  })
 })
 
-ipcMain.handle('file:clearTmp', (e, ownerID) => {
-  openFile.clearTmp(ownerID)
+ipcMain.handle('file:fetch', async (e, paths, prefetchPaths) => {
+  return await openFile.fetchFiles(paths, prefetchPaths)
+})
+
+ipcMain.handle('file:forgetPasswords', async () => {
+  return await archivePasswords.forgetPasswords()
+})
+
+ipcMain.handle('file:clearTmp', async (e, ownerID) => {
+  await openFile.clearTmp(ownerID)
+})
+
+ipcMain.handle('file:tmpStatus', () => {
+  return temporaryFolders.leaseStatus()
+})
+
+ipcMain.handle('file:purgeTmp', async (e, spareFiles) => {
+  return await temporaryFolders.purgeTmp(spareFiles)
 })
 
 // operate on file
@@ -22,6 +44,19 @@ ipcMain.handle('file:delete', (e, path) => {
   return fileTools.deleteFile(path)
 })
 
+// edit leased archives
+ipcMain.handle('file:archiveDelete', async (e, paths) => {
+  return await archiveEditing.deleteFromArchive(paths)
+})
+
+ipcMain.handle('file:archiveRename', async (e, path, newPath) => {
+  return await archiveEditing.renameInArchive(path, newPath)
+})
+
+ipcMain.handle('file:archiveAppend', async (e, path, files) => {
+  return await archiveEditing.appendToArchive(path, files)
+})
+
 // file discovery
 ipcMain.handle('file:queryPath', async (e, path) => {
   return await fileSearch.listPaths(path)
@@ -30,3 +65,7 @@ ipcMain.handle('file:queryPath', async (e, path) => {
 ipcMain.handle('file:scanPath', async (e, path) => {
   return await fileSearch.listFiles(path)
 })
+
+ipcMain.handle('file:dimensions', async (e, paths) => {
+  return await fileSearch.getImageDimensions(paths)
+})
@@ -1,10 +1,13 @@
 // @ts-check
-import { stat } from 'fs';
-import { basename, dirname } from 'path';
-import { listFiles, fileObj } from './fileSearch.js';
-import { expandPath, fileType } from './fileTools.js';
-import { isPathFromTmp, leaseArchive, surrenderLeases } from './temporaryFolders.js';
-import { tools } from '../tool/toolCapabilities.js';
+import { stat, realpath } from 'fs';
+import { randomUUID } from 'crypto';
+import { basename, dirname, sep } from 'path';
+import { listFiles, fileObj, getFileType, walkDirectories } from './fileSearch.js';
+import { expandPath } from './fileTools.js';
+import { isPathFromTmp, isLeasedFile, tmpRelativePath, leaseArchive, leasedFiles, leasedFolders,
+  leasedArchives, fetchLeasedFiles, surrenderLeases } from './temporaryFolders.js';
+import { getPassword, rememberPassword } from './archivePasswords.js';
+import { canExtractArchive } from '../tool/toolCapabilities.js';
 
 
 /**
@@ -16,34 +19,100 @@ import { tools } from '../tool/toolCapabilities.js';
  * Viewable file structure for path array. Used in `FileBook`.
  * @typedef BookObject
  * @property {string?} startOn Path substring from file that is supposed to be displayed at start.
- * @property {FileObject[]} paths Listed files parent directories.
+ * @property {FileObject[]} paths Listed files parent directories. Archives are followed
+ * by their internal folders, which are flagged by their `archive` property.
  * @property {FileObject[]} files All viewable files for given directories.
+ * @property {string[]} locked Encrypted archives whose password is missing or wrong.
+ * @property {string} walkID Walk token sent along streamed files, to tell them from superseded walks.
+ */
+
+/**
+ * Book opening options.
+ * @typedef OpenOptions
+ * @property {number} [depth=0] Subfolder levels to descend into when opening folders.
+ * @property {Object<string, string>} [passwords] Passwords for encrypted archives, by path.
+ * @property {boolean} [rememberPasswords=false] Either to try remembered passwords and remember given ones that work.
+ * Remembered passwords aren't read otherwise.
+ */
+
+/**
+ * Receives files found after book is returned, until `done`.
+ * @callback StreamCallback
+ * @param {FileObject[]} files Newly found files.
+ * @param {boolean} done Either walk is complete.
+ * @param {string} walkID Token of walk files were found by.
  */
 
 
+/**
+ * Milliseconds between streamed file batches.
+ */
+const STREAMINTERVAL = 250;
+
+/**
+ * Maximum levels of archives nested in archives to open.
+ */
+const MAXNESTING = 4;
+
+/**
+ * Current recursive walk token for each owner. Superseded walks stop streaming.
+ * @type {Map<string, string>}
+ */
+const activeWalks = new Map();
+
+
 /**
  * Open and wrap folders, archives & files in a common object for unprivileged contexts.
+ * - On recursive opening, book resolves as soon as files are found, 
+ *   remaining files are streamed to `onStream` as folders are walked.
  * @param {string[]} paths Paths from files and folders to open.
  * @param {string} ownerID Keeps track of temporary folder (archives) ownership.
+ * @param {OpenOptions} [options] Opening options.
+ * @param {StreamCallback} [onStream] Receives files found after book resolves.
  * @returns {Promise<BookObject>}
  */
-export async function open(paths, ownerID) {
+export async function open(paths, ownerID, options = {}, onStream) {
+  const { depth = 0 } = options;
+
+  // supersede previous walk for owner, if any
+  const walkID = randomUUID();
+  activeWalks.set(ownerID, walkID);
 
   /** Archives opened in current call. */
   const workingArchives = [];
 
+  /** Folders to walk recursively. */
+  const workingFolders = [];
+
+  /** Real folder paths already listed. */
+  const visitedFolders = /** @type {Set<string>} */ (new Set());
+
   /** @type {BookObject} */
   const book = {
     'startOn': null,
     'paths': [],
-    'files': []
+    'files': [],
+    'locked': [],
+    'walkID': walkID
   };
 
   // knowing currently displayed files have their paths unshifted into Viewer's `openArg` array,
   // preserve page idx for archives on profile load, tab duplication by shifting `paths` and
-  // setting its basename to `startOn` whenever it's a temporary path.
+  // setting its archive-relative path to `startOn` whenever it's a temporary path. Keep
+  // it whole if still leased, as relative paths may repeat across nested archives.
   if (paths.length > 1 && isPathFromTmp(paths[0]) ) {
-    book.startOn = basename( /** @type {string} */ (paths.shift()) );
+    const tmpPath = /** @type {string} */ (paths.shift());
+    book.startOn = isLeasedFile(tmpPath) ? tmpPath : tmpRelativePath(tmpPath);
+  }
+
+  // same for nested files on recursive books, as their folders will be walked anyway
+  else if (depth > 0 && paths.length > 1) {
+    const [first, ...folders] = paths.map(path => path !== '' ? expandPath(path) : path);
+
+    if ( folders.some(folder => folder !== '' && first.startsWith(folder + sep)) ) {
+      paths.shift();
+      book.startOn = first;
+    }
   }
 
   // append valid data to book
@@ -52,14 +121,10 @@ export async function open(paths, ownerID) {
       continue;
 
     path = expandPath(path);
-    const parentDirectory = dirname(path);
-    const type = fileType(path);
-    const isViewable = type !== 'archive' && type !== 'other';
 
-    // filter-out already processed files
-    const relevantPath = isViewable ? parentDirectory : path;
-    if ( book.paths.some(fileObject => fileObject.path === relevantPath) )
-      continue;
+    // leased archive files may not be extracted yet, as nested archives picked from FileExplorer
+    if ( isLeasedFile(path) )
+      await fetchLeasedFiles([path]);
 
     // skip file if unreachable
     const stats = /** @type {Stats?} */ (await new Promise(resolve => {
@@ -68,8 +133,23 @@ export async function open(paths, ownerID) {
     if (stats == null)
       continue;
 
+    const parentDirectory = dirname(path);
+    const type = await getFileType(path, stats);
+    const isViewable = type !== 'archive' && type !== 'other' && type !== 'folder';
+
+    // filter-out already processed files
+    const relevantPath = isViewable ? parentDirectory : path;
+    if ( book.paths.some(fileObject => fileObject.path === relevantPath) )
+      continue;
+
+    // Directory, walk later if recursive
+    if ( stats.isDirectory() && depth > 0 ) {
+      book.paths.push( fileObj('folder', basename(path), path) );
+      workingFolders.push(path);
+    }
+
     // Directory, append files from path
-    if ( stats.isDirectory() ) {
+    else if ( stats.isDirectory() ) {
       const lsObj = await listFiles(path);
 
       if (lsObj.files.length > 0) {
@@ -82,38 +162,182 @@ export async function open(paths, ownerID) {
     else if (isViewable) {
       const lsObj = await listFiles(parentDirectory);
 
-      if (book.paths.length < 1)
+      if (book.paths.length < 1 && book.startOn == null)
         book.startOn = path; // start on self if first file to be processed
 
       book.paths.push(lsObj.target);
       book.files.push(...lsObj.files);
+
+      // don't list parent again if walked into
+      const realParent = await new Promise(resolve => {
+        realpath( parentDirectory, (_err, realPath) => resolve(realPath) );
+      });
+
+      if (realParent != null)
+        visitedFolders.add(realParent);
     }
 
-    // Archive, append extracted files from the temporary directory
-    else if (type === 'archive' && tools.canExtract) {
-      const tmpDir = await leaseArchive(path, ownerID);
+    // Archive, append files from the temporary directory, extracted on demand
+    else if ( type === 'archive' && await canExtractArchive(path) ) {
+      const archiveObj = fileObj('archive', basename(path), path);
 
-      if (tmpDir !== '') {
+      if ( await appendArchive(archiveObj, ownerID, book, options) )
         workingArchives.push(path); // preserve current archive
-        const lsObj = await listFiles(tmpDir);
+    }
+  }
 
-        book.paths.push( fileObj('archive', basename(path), path) );
-        book.files.push(...lsObj.files);
+  // walk folders until files are found, stream the rest in the background
+  let streaming = false;
+
+  if (workingFolders.length > 0) {
+    const walker = walkDirectories(workingFolders, depth, visitedFolders);
+    let walkDone = false;
+
+    // also keep walking until nested start file is reached, if any
+    const startPending = () => book.startOn != null && depth > 0
+      && !book.files.some(file => file.path === book.startOn);
+
+    while (book.files.length < 1 || startPending() ) {
+      const { value: lsObj, done } = await walker.next();
+
+      if (done) {
+        walkDone = true;
+        break;
       }
+
+      book.files.push(...lsObj.files);
     }
+
+    if (book.files.length < 1)
+      book.paths = []; // nothing to view in walked folders
+    else if (!walkDone) {
+      streamWalk(walker, ownerID, walkID, onStream);
+      streaming = true;
+    } else if (onStream)
+      onStream([], true, walkID);
   }
 
+  // forget token if nothing is left to stream
+  if (!streaming)
+    endWalk(ownerID, walkID);
+
   // clear all but `workingArchives` temporary folders (if any) for ownerID on success
   if (book.paths.length > 0)
-    surrenderLeases(ownerID, workingArchives);
+    await surrenderLeases(ownerID, workingArchives);
 
   return book;
 }
 
+/**
+ * Lease archive and append its files and folders to book, then those of nested archives.
+ * - Encrypted archives are appended to `book.locked` if their password is missing or wrong.
+ * @param {FileObject} archiveObj Archive to lease.
+ * @param {string} ownerID Temporary folder owner.
+ * @param {BookObject} book Book to append to.
+ * @param {OpenOptions} options Opening options, for passwords.
+ * @param {number} [nesting=0] Current nesting level.
+ * @returns {Promise<boolean>} Success.
+ */
+async function appendArchive(archiveObj, ownerID, book, options, nesting = 0) {
+  const givenPassword = options.passwords?.[archiveObj.path];
+  const rememberedPassword = givenPassword == null && options.rememberPasswords
+    ? await getPassword(archiveObj.path)
+    : null;
+
+  const password = givenPassword ?? rememberedPassword ?? '';
+
+  const tmpDir = await leaseArchive(archiveObj.path, ownerID, password);
+  if (tmpDir == null)
+    book.locked.push(archiveObj.path);
+  if (!tmpDir)
+    return false;
+
+  if (givenPassword != null && options.rememberPasswords)
+    rememberPassword(archiveObj.path, givenPassword);
+
+  book.paths.push( archiveObj, ...leasedFolders(archiveObj.path) );
+  book.files.push( ...leasedFiles(archiveObj.path) );
+
+  if (nesting >= MAXNESTING)
+    return true;
+
+  // nested archives must be extracted to be listed
+  for ( const nestedObj of leasedArchives(archiveObj.path) ) {
+    const extracted = await fetchLeasedFiles([nestedObj.path]);
+
+    if ( extracted && await canExtractArchive(nestedObj.path) )
+      await appendArchive(nestedObj, ownerID, book, options, nesting + 1);
+  }
+
+  return true;
+}
+
+/**
+ * Consume remaining folder walk, stream files to callback in batches.
+ * - Stops if superseded by another open call or cleared for owner.
+ * @param {AsyncGenerator<import('./fileSearch.js').LSObject>} walker Ongoing folder walk.
+ * @param {string} ownerID Walk owner.
+ * @param {string} walkID Walk token, as set on open.
+ * @param {StreamCallback} [onStream] Receives files found.
+ */
+async function streamWalk(walker, ownerID, walkID, onStream) {
+  let batch = /** @type {FileObject[]} */ ([]);
+  let lastSent = Date.now();
+
+  for await (const lsObj of walker) {
+    if (activeWalks.get(ownerID) !== walkID)
+      return;
+
+    batch.push(...lsObj.files);
+
+    if (batch.length > 0 && Date.now() - lastSent >= STREAMINTERVAL) {
+      onStream?.(batch, false, walkID);
+      batch = [];
+      lastSent = Date.now();
+    }
+  }
+
+  if ( endWalk(ownerID, walkID) )
+    onStream?.(batch, true, walkID);
+}
+
+/**
+ * Forget walk token for owner, unless superseded.
+ * @param {string} ownerID Walk owner.
+ * @param {string} walkID Walk token.
+ * @returns {boolean} Either walk was still current.
+ */
+function endWalk(ownerID, walkID) {
+  if (activeWalks.get(ownerID) !== walkID)
+    return false;
+
+  activeWalks.delete(ownerID);
+  return true;
+}
+
+/**
+ * Ensure files are available on disk, extracting from leased archives if needed.
+ * Prefetch files in the background afterwards, if given. For unprivileged contexts.
+ * @param {string[]} paths Paths to files to make available.
+ * @param {string[]} [prefetchPaths] Paths to files likely requested next.
+ * @returns {Promise<boolean>} Either all files in `paths` are available.
+ */
+export async function fetchFiles(paths, prefetchPaths = []) {
+  const success = await fetchLeasedFiles(paths);
+
+  if (prefetchPaths.length > 0)
+    fetchLeasedFiles(prefetchPaths);
+
+  return success;
+}
+
 /**
  * Remove all temporary folders associated with ownerID. For unprivileged contexts.
+ * - Also stops any ongoing recursive walk for ownerID.
  * @param {string} ownerID Tab instance to be cleaned.
+ * @returns {Promise<void>}
  */
-export function clearTmp(ownerID) {
-  surrenderLeases(ownerID);
+export async function clearTmp(ownerID) {
+  activeWalks.delete(ownerID);
+  await surrenderLeases(ownerID);
 }
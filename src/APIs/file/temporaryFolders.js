@@ -1,9 +1,44 @@
 // @ts-check
-import { mkdtempSync, rmSync } from 'fs';
-import { join, dirname } from 'path';
+import fs, { mkdtempSync, rmSync } from 'fs';
+import { join, dirname, basename, relative, sep } from 'path';
 import { tmpdir } from 'os';
 import { fileType } from './fileTools.js';
-import { extract, fileList } from '../tool/archive.js';
+import { listArchive, extractEntries } from '../tool/archive.js';
+import { JsonStorage } from '../tool/jsonStorage.js';
+import { tmpLeasesFile } from '../tool/appPaths.js';
+
+
+/**
+ * @import { ArchiveEntry } from '../tool/archive.js'
+ * @import { FileObject, FileCategory, LSObject } from './fileSearch.js'
+ */
+
+/**
+ * Leased archive registry.
+ * @typedef ArchiveLease
+ * @property {string} path Temporary folder path.
+ * @property {Set<string>} owners Owner IDs.
+ * @property {Map<string, ArchiveEntry>} entries Viewable and archive entries by their temporary path.
+ * @property {string?} parent Path to archive this one was extracted from, if nested.
+ * @property {string} password Archive password, empty if not encrypted.
+ */
+
+/**
+ * Persisted lease record, as to recover temporary folders leaked on crashes.
+ * @typedef LeaseRecord
+ * @property {number} pid ID of the process holding the lease.
+ * @property {string} archive Path to leased archive.
+ */
+
+/**
+ * Leased archive disk usage.
+ * @typedef LeaseStatus
+ * @property {string} archive Path to leased archive.
+ * @property {string} path Temporary folder path.
+ * @property {string[]} owners Owner IDs.
+ * @property {number} files Extracted file count.
+ * @property {number} bytes Extracted bytes.
+ */
 
 
 /**
@@ -17,8 +52,13 @@ const TMPDIR = tmpdir();
 const TMPPREFIX = 'mxiv-';
 
 /**
- * Track temporarily extracted archives, their tmp paths and owners.
- * @type {Object<string, {path:string, owners:Set<string>}>}
+ * Extracted bytes to keep across all leases before evicting least recently used files.
+ */
+const EXTRACTLIMIT = 512 * 1024 ** 2;
+
+/**
+ * Track leased archives, their tmp paths, owners and entries.
+ * @type {Object<string, ArchiveLease>}
  */
 const openArchives = {};
 
@@ -29,6 +69,29 @@ const openArchives = {};
  */
 const pendingLeases = new Set();
 
+/**
+ * Extracted files by temporary path, in least to most recently used order.
+ * @type {Map<string, {archivePath: string, size: number}>}
+ */
+const extractedFiles = new Map();
+
+/**
+ * Ongoing extractions by temporary path.
+ * @type {Map<string, Promise<boolean>>}
+ */
+const pendingExtractions = new Map();
+
+/**
+ * Bytes currently extracted across all leases.
+ */
+let extractedBytes = 0;
+
+/**
+ * Persistent lease records by temporary folder path. Created on first use.
+ * @type {JsonStorage<LeaseRecord>?}
+ */
+let leaseRecords = null;
+
 
 /**
  * Return either path is from a temporary folder file.
@@ -44,11 +107,14 @@ export function isPathFromTmp(path) {
 
 /**
  * Lease temporary folder for archive files. Returns folder path or empty if invalid.
+ * - Files aren't extracted until requested with `fetchLeasedFiles`.
  * @param {string} archivePath Absolute path to archive.
  * @param {string} ownerID Owner ID to register folder.
- * @returns {Promise<string>} Path to temporary folder. Empty on failure.
+ * @param {string} [password] Archive password, if encrypted.
+ * @returns {Promise<string?>} Path to temporary folder. Empty on failure,
+ * `null` if archive is encrypted and password is missing or wrong.
  */
-export async function leaseArchive(archivePath, ownerID) {
+export async function leaseArchive(archivePath, ownerID, password = '') {
   // pending, retry in 50ms
   while ( pendingLeases.has(archivePath) )
     await new Promise((resolve) => setTimeout(() => resolve(true), 50) );
@@ -56,82 +122,631 @@ export async function leaseArchive(archivePath, ownerID) {
   // currently leased, track new id and return temporary path
   const registry = openArchives[archivePath];
   if (registry) {
-    registry.owners.add(ownerID);
+    holdLineage(archivePath, ownerID);
     return registry.path;
   }
 
-  // otherwise, validate and extract to unique temp folder (ex: /tmp/prefix-dpC7Id)
+  // otherwise, validate and create unique temp folder (ex: /tmp/prefix-dpC7Id)
   pendingLeases.add(archivePath);
-  if ( !await archiveIsValid(archivePath) ) {
-    pendingLeases.delete(archivePath);
-    return '';
-  }
 
-  let tmpDir = '';
   try {
-    tmpDir = mkdtempSync( join(TMPDIR, TMPPREFIX) );
-  } catch(err) {
-    console.log(`MXIV: Failed to created tmp folder at ${tmpDir}\n`, err);
+    const { entries, locked } = await browsableEntries(archivePath, password);
+    if (locked || entries.length < 1)
+      return locked ? null : '';
+
+    let tmpDir = '';
+    try {
+      tmpDir = mkdtempSync( join(TMPDIR, TMPPREFIX) );
+    } catch(err) {
+      console.log(`MXIV: Failed to created tmp folder at ${tmpDir}\n`, err);
+      return '';
+    }
+
+    // map entries to their extraction path, skip those escaping the folder
+    const entryMap = new Map();
+    for (const entry of entries) {
+      const tmpPath = join(tmpDir, entry.path);
+
+      if ( tmpPath.startsWith(tmpDir + sep) )
+        entryMap.set(tmpPath, entry);
+    }
+
+    openArchives[archivePath] = {
+      path: tmpDir,
+      owners: new Set([ownerID]),
+      entries: entryMap,
+      parent: leaseOwningFile(archivePath),
+      password: password
+    };
+
+    holdLineage(archivePath, ownerID);
+    await recordLease(tmpDir, archivePath);
+
+    return tmpDir;
+  } finally {
     pendingLeases.delete(archivePath);
-    return '';
   }
+}
 
-  const success = await extract(archivePath, tmpDir);
-  if (!success) {
-    console.log(`MXIV: Failed to extract ${archivePath} to ${tmpDir}`);
-    pendingLeases.delete(archivePath);
-    return '';
+/**
+ * Return viewable files from a leased archive, extracted or not.
+ * @param {string} archivePath Absolute path to leased archive.
+ * @returns {FileObject[]}
+ */
+export function leasedFiles(archivePath) {
+  const registry = openArchives[archivePath];
+  if (registry == null)
+    return [];
+
+  return [...registry.entries]
+    .filter( ([_tmpPath, entry]) => fileType(entry.path) !== 'archive' )
+    .map( ([tmpPath, entry]) => entryObj(tmpPath, entry, archivePath) );
+}
+
+/**
+ * Return archives nested in a leased archive, extracted or not.
+ * - Flagged by their `archive` property, as files from another archive.
+ * @param {string} archivePath Absolute path to leased archive.
+ * @returns {FileObject[]}
+ */
+export function leasedArchives(archivePath) {
+  const registry = openArchives[archivePath];
+  if (registry == null)
+    return [];
+
+  return [...registry.entries]
+    .filter( ([_tmpPath, entry]) => fileType(entry.path) === 'archive' )
+    .map( ([tmpPath, entry]) => entryObj(tmpPath, entry, archivePath) );
+}
+
+/**
+ * Return archive-internal folders containing viewable files from a leased archive.
+ * - Root folder is named after the archive itself.
+ * @param {string} archivePath Absolute path to leased archive.
+ * @returns {FileObject[]}
+ */
+export function leasedFolders(archivePath) {
+  const registry = openArchives[archivePath];
+  if (registry == null)
+    return [];
+
+  const folders = new Set();
+  for ( const [tmpPath, entry] of registry.entries ) {
+    if (fileType(entry.path) !== 'archive')
+      folders.add( dirname(tmpPath) );
   }
 
-  openArchives[archivePath] = {
-    path: tmpDir,
-    owners: new Set([ownerID])
+  return [...folders].map(folder => ({
+    category: /** @type {FileCategory} */ ('folder'),
+    name: folder === registry.path ? basename(archivePath) : relative(registry.path, folder),
+    path: folder,
+    archive: archivePath
+  }));
+}
+
+/**
+ * Return listing for a folder in a leased archive's temporary folder, built from its entries,
+ * as they're only on disk once extracted. Null if folder isn't from a lease.
+ * - Lease root folders are named after their archive, and go up to the archive's own folder.
+ * @param {string} folderPath Absolute path to folder.
+ * @returns {LSObject?}
+ */
+export function leasedListing(folderPath) {
+  const archivePath = Object.keys(openArchives).find(archivePath => {
+    const { path } = openArchives[archivePath];
+    return folderPath === path || folderPath.startsWith(path + sep);
+  });
+
+  if (archivePath == null)
+    return null;
+
+  const registry = openArchives[archivePath];
+  const isRoot = folderPath === registry.path;
+  const parentPath = isRoot ? dirname(archivePath) : dirname(folderPath);
+  const parentArchive = isRoot ? leaseOwningFile(archivePath) ?? undefined : archivePath;
+
+  /** @type {(path: string, name: string, archive?: string) => FileObject} */
+  const folderObj = (path, name, archive) => ({
+    category: 'folder', name, path, ...archive != null && { archive }
+  });
+
+  /** @type {LSObject} */
+  const lsObj = {
+    target: folderObj(folderPath, basename(isRoot ? archivePath : folderPath), archivePath),
+    upperDir: folderObj(parentPath, basename(parentPath), parentArchive),
+    directories: [],
+    archives: [],
+    files: []
   };
 
-  pendingLeases.delete(archivePath);
-  return tmpDir;
+  // direct entries are listed as is, deeper ones through their top folder
+  const folderNames = new Set();
+  for ( const [tmpPath, entry] of registry.entries ) {
+    if ( !tmpPath.startsWith(folderPath + sep) )
+      continue;
+
+    const [name, ...subpath] = tmpPath.slice(folderPath.length + 1).split(sep);
+    if (subpath.length > 0) {
+      folderNames.add(name);
+      continue;
+    }
+
+    const file = entryObj(tmpPath, entry, archivePath);
+    file.category === 'archive' ? lsObj.archives.push(file) : lsObj.files.push(file);
+  }
+
+  lsObj.directories = [...folderNames]
+    .map( name => folderObj(join(folderPath, name), name, archivePath) );
+
+  return lsObj;
+}
+
+/**
+ * Return either path is from a file in a currently leased archive.
+ * @param {string} path Path to file to verify.
+ * @returns {boolean}
+ */
+export function isLeasedFile(path) {
+  return leaseOwningFile(path) != null;
+}
+
+/**
+ * Return file path relative to its temporary folder, prefixed by a separator.
+ * @param {string} path Path to temporary file.
+ * @returns {string}
+ */
+export function tmpRelativePath(path) {
+  const tmpFolder = path.slice( 0, path.indexOf(sep, join(TMPDIR, TMPPREFIX).length) );
+  return path.slice(tmpFolder.length);
+}
+
+/**
+ * Extract leased archive files on demand, if not already extracted.
+ * - Files from non-leased paths are ignored and treated as available.
+ * - Evicts least recently used files past the extracted bytes limit.
+ * @param {string[]} filepaths Temporary paths to files to extract.
+ * @returns {Promise<boolean>} Either all given files are available.
+ */
+export async function fetchLeasedFiles(filepaths) {
+  /** @type {Map<string, string[]>} archive path -> pending temporary paths */
+  const toExtract = new Map();
+  const waitFor = [];
+
+  for (const filepath of filepaths) {
+    const archivePath = leaseOwningFile(filepath);
+    if (archivePath == null)
+      continue;
+
+    // mark as most recently used
+    const extracted = extractedFiles.get(filepath);
+    if (extracted != null) {
+      extractedFiles.delete(filepath);
+      extractedFiles.set(filepath, extracted);
+      continue;
+    }
+
+    const pending = pendingExtractions.get(filepath);
+    if (pending != null)
+      waitFor.push(pending);
+    else {
+      const batch = toExtract.get(archivePath) ?? [];
+      toExtract.set(archivePath, [...batch, filepath]);
+    }
+  }
+
+  // extract missing files in one pass per archive
+  for (const [archivePath, tmpPaths] of toExtract) {
+    const registry = openArchives[archivePath];
+    const entries = tmpPaths.map(tmpPath => /** @type {ArchiveEntry} */ (registry.entries.get(tmpPath)) );
+
+    const extraction = extractEntries(entries.map(entry => entry.path), archivePath,
+      registry.path, registry.password)
+      .then(success => {
+        tmpPaths.forEach(tmpPath => pendingExtractions.delete(tmpPath) );
+
+        // lease may have been revoked in the meantime
+        if (success && openArchives[archivePath] === registry) {
+          for (let i = 0; i < tmpPaths.length; i++) {
+            extractedFiles.set(tmpPaths[i], { archivePath, size: entries[i].size });
+            extractedBytes += entries[i].size;
+          }
+        }
+
+        return success;
+      });
+
+    tmpPaths.forEach(tmpPath => pendingExtractions.set(tmpPath, extraction) );
+    waitFor.push(extraction);
+  }
+
+  const results = await Promise.all(waitFor);
+  evictExtractedFiles(filepaths);
+
+  return results.every(success => success);
 }
 
 /**
  * Revoke all archive accesses associated with ownerID. Spare archives if given.
+ * - Archives nesting or nested in spared archives are also spared.
  * @param {string} ownerID Client ID to clear.
  * @param {string[]} [spareArchives] Archive paths to spare.
+ * @returns {Promise<void>} Resolves once records of released leases are dropped.
  */
-export function surrenderLeases(ownerID, spareArchives = []) {
+export async function surrenderLeases(ownerID, spareArchives = []) {
+  // spare parents, as nested archives live in their folders
+  const spared = new Set( spareArchives.flatMap(archiveLineage) );
+
   for (const archive in openArchives) {
-    const spare = spareArchives.includes(archive);
+    if ( archiveLineage(archive).some(ancestor => spareArchives.includes(ancestor)) )
+      spared.add(archive);
+  }
 
-    if (!spare)
-      revokeAccess(archive, ownerID);
+  const releasedFolders = [];
+  for (const archive in openArchives) {
+    if ( !spared.has(archive) )
+      releasedFolders.push( ...revokeAccess(archive, ownerID) );
   }
+
+  if (releasedFolders.length > 0)
+    await dropLeaseRecords(releasedFolders);
 }
 
 /**
- * Return either archive has supported viewable files.
+ * Return lease for archive, if leased. Not meant to be mutated.
  * @param {string} archivePath Absolute path to archive.
- * @returns {Promise<boolean>}
+ * @returns {ArchiveLease?}
+ */
+export function getLease(archivePath) {
+  return openArchives[archivePath] ?? null;
+}
+
+/**
+ * Re-list leased archive entries after it was modified on disk.
+ * - Extracted files from removed or changed entries are deleted, as are nested leases.
+ * @param {string} archivePath Absolute path to leased archive.
+ * @returns {Promise<boolean>} Success.
+ */
+export async function refreshLease(archivePath) {
+  const registry = openArchives[archivePath];
+  if (registry == null)
+    return false;
+
+  const { entries, locked } = await browsableEntries(archivePath, registry.password);
+  if (locked)
+    return false;
+
+  /** @type {Map<string, ArchiveEntry>} */
+  const entryMap = new Map();
+  for (const entry of entries) {
+    const tmpPath = join(registry.path, entry.path);
+
+    if ( tmpPath.startsWith(registry.path + sep) )
+      entryMap.set(tmpPath, entry);
+  }
+
+  // drop outdated extractions, along with leases for outdated nested archives
+  const releasedFolders = [];
+  for ( const [tmpPath, oldEntry] of registry.entries ) {
+    const entry = entryMap.get(tmpPath);
+    if (entry != null && entry.size === oldEntry.size && entry.modified === oldEntry.modified)
+      continue;
+
+    if (openArchives[tmpPath] != null)
+      releasedFolders.push( ...releaseLease(tmpPath) );
+
+    const extracted = extractedFiles.get(tmpPath);
+    if (extracted != null) {
+      rmSync(tmpPath, { force: true });
+      extractedFiles.delete(tmpPath);
+      extractedBytes -= extracted.size;
+    }
+  }
+
+  registry.entries = entryMap;
+  if (releasedFolders.length > 0)
+    await dropLeaseRecords(releasedFolders);
+
+  return true;
+}
+
+/**
+ * Return disk usage of current leases.
+ * @returns {LeaseStatus[]}
  */
-async function archiveIsValid(archivePath) {
-  const archivedFiles = await fileList(archivePath);
+export function leaseStatus() {
+  return Object.entries(openArchives).map( ([archivePath, registry]) => {
+    let files = 0, bytes = 0;
+
+    for ( const extracted of extractedFiles.values() ) {
+      if (extracted.archivePath === archivePath)
+        files++, bytes += extracted.size;
+    }
 
-  return archivedFiles.some(filePath => {
-    const type = fileType(filePath);
-    return type === 'image' || type === 'video' || type === 'audio';
+    return {
+      archive: archivePath,
+      path: registry.path,
+      owners: [...registry.owners],
+      files, bytes
+    };
   });
 }
 
+/**
+ * Delete all extracted files from current leases and sweep stale temporary folders.
+ * - Files are extracted again on demand, leases stay valid.
+ * @param {string[]} [spareFiles] Temporary paths to keep regardless, such as files on display.
+ * @returns {Promise<{evicted: number, swept: number}>} Evicted bytes and swept folder count.
+ */
+export async function purgeTmp(spareFiles = []) {
+  const previousBytes = extractedBytes;
+  evictExtractedFiles(spareFiles, 0);
+
+  const swept = await sweepStaleFolders();
+  return { evicted: previousBytes - extractedBytes, swept };
+}
+
+/**
+ * Delete temporary folders leaked by crashed or killed sessions.
+ * - Folders are stale when not leased by a running process, or unrecorded and not leased by us.
+ * @returns {Promise<number>} Swept folder count.
+ */
+export async function sweepStaleFolders() {
+  /** @type {string[]} */
+  const folders = await new Promise(resolve => {
+    fs.readdir(TMPDIR, (err, names) => resolve(err ? [] : names
+      .filter( name => name.startsWith(TMPPREFIX) )
+      .map( name => join(TMPDIR, name) ))
+    );
+  });
+
+  let records;
+  try {
+    records = await getLeaseRecords().getState();
+  } catch (err) {
+    console.error('MXIV: Failed to read tmp lease records\n', err);
+    return 0;
+  }
+
+  const leased = new Set( Object.values(openArchives).map(registry => registry.path) );
+  const isStale = (/** @type {string} */ folder) => {
+    if ( leased.has(folder) )
+      return false;
+
+    const record = records.get(folder);
+    return record == null
+      ? isOwnFolder(folder)
+      : record.pid === process.pid || !processIsAlive(record.pid);
+  };
+
+  const staleFolders = folders.filter(isStale);
+  await Promise.all( staleFolders.map(sweepTmpFolder) );
+
+  // also forget records of folders already gone
+  const staleRecords = [...records.keys()]
+    .filter( folder => !leased.has(folder) && (staleFolders.includes(folder) || !folders.includes(folder)) );
+
+  if (staleRecords.length > 0)
+    await dropLeaseRecords(staleRecords);
+
+  if (staleFolders.length > 0)
+    console.log(`MXIV: Swept ${staleFolders.length} stale tmp folder(s).`);
+
+  return staleFolders.length;
+}
+
+/**
+ * Return archive path followed by the paths of the leased archives nesting it, innermost first.
+ * @param {string} archivePath Absolute path to archive.
+ * @returns {string[]}
+ */
+function archiveLineage(archivePath) {
+  const lineage = [];
+  let archive = /** @type {string|null|undefined} */ (archivePath);
+
+  while (archive != null) {
+    lineage.push(archive);
+    archive = openArchives[archive]?.parent;
+  }
+
+  return lineage;
+}
+
+/**
+ * Register owner on leased archive and those nesting it, as it lives in their folders.
+ * @param {string} archivePath Absolute path to leased archive.
+ * @param {string} ownerID Owner ID to register.
+ */
+function holdLineage(archivePath, ownerID) {
+  for ( const archive of archiveLineage(archivePath) )
+    openArchives[archive].owners.add(ownerID);
+}
+
+/**
+ * Return viewable and archive entries from archive. Empty if none or unreadable.
+ * @param {string} archivePath Absolute path to archive.
+ * @param {string} password Archive password, if encrypted.
+ * @returns {Promise<{entries: ArchiveEntry[], locked: boolean}>}
+ */
+async function browsableEntries(archivePath, password) {
+  const { entries, locked } = await listArchive(archivePath, password);
+
+  const browsable = entries.filter(entry => {
+    const type = fileType(entry.path);
+    return !entry.folder && type !== 'other';
+  });
+
+  return { entries: browsable, locked };
+}
+
+/**
+ * Wrap archive entry in a file object at its temporary path.
+ * @param {string} tmpPath Temporary path to entry.
+ * @param {ArchiveEntry} entry Archive entry.
+ * @param {string} archivePath Path to archive containing entry.
+ * @returns {FileObject}
+ */
+function entryObj(tmpPath, entry, archivePath) {
+  return {
+    category: /** @type {FileCategory} */ ( fileType(entry.path) ),
+    name: basename(tmpPath),
+    path: tmpPath,
+    size: entry.size,
+    modified: entry.modified,
+    created: entry.modified,
+    archive: archivePath
+  };
+}
+
+/**
+ * Return path to leased archive owning temporary file, if any.
+ * @param {string} filepath Temporary file path.
+ * @returns {string?}
+ */
+export function leaseOwningFile(filepath) {
+  for (const archivePath in openArchives) {
+    if ( openArchives[archivePath].entries.has(filepath) )
+      return archivePath;
+  }
+
+  return null;
+}
+
+/**
+ * Delete least recently used extracted files until under limit.
+ * - Leased nested archives are needed for their own extractions, 
+ * so they're neither evicted nor counted toward the limit.
+ * @param {string[]} [spareFiles] Temporary paths to keep regardless.
+ * @param {number} [limit] Extracted bytes to keep.
+ */
+function evictExtractedFiles(spareFiles = [], limit = EXTRACTLIMIT) {
+  let leasedBytes = 0;
+  for (const archivePath in openArchives)
+    leasedBytes += extractedFiles.get(archivePath)?.size ?? 0;
+
+  for (const [filepath, { size }] of extractedFiles) {
+    if (extractedBytes - leasedBytes <= limit)
+      break;
+
+    if ( spareFiles.includes(filepath) || openArchives[filepath] != null )
+      continue;
+
+    try {
+      rmSync(filepath, { force: true });
+      extractedFiles.delete(filepath);
+      extractedBytes -= size;
+    } catch (err) {
+      console.error(`MXIV: Failed to evict extracted file at ${filepath}\n`, err);
+    }
+  }
+}
+
 /**
  * Revoke access to a leased archive. Delete orphaned lease paths.
  * @param {string} archivePath Archive to revoke access to.
  * @param {string} ownerID Consumer UUID.
+ * @returns {string[]} Released temporary folders, whose records are left to drop.
  */
 function revokeAccess(archivePath, ownerID) {
   const registry = openArchives[archivePath];
+  if (registry == null)
+    return []; // already released along with its parent
+
   registry.owners.delete(ownerID);
 
-  if (registry.owners.size < 1) {
-    deleteTmpFolder(registry.path);
-    delete openArchives[archivePath];
+  return registry.owners.size < 1
+    ? releaseLease(archivePath)
+    : [];
+}
+
+/**
+ * Delete lease temporary folder and forget its extracted files.
+ * Nested leases are released first, as their archives live in it.
+ * @param {string} archivePath Leased archive to release.
+ * @returns {string[]} Released temporary folders, whose records are left to drop.
+ */
+function releaseLease(archivePath) {
+  const registry = openArchives[archivePath];
+  const releasedFolders = [];
+
+  for (const nested in openArchives) {
+    if (openArchives[nested]?.parent === archivePath)
+      releasedFolders.push( ...releaseLease(nested) );
+  }
+
+  deleteTmpFolder(registry.path);
+  delete openArchives[archivePath];
+  releasedFolders.push(registry.path);
+
+  // forget extracted files from deleted folder
+  for (const [filepath, { size }] of extractedFiles) {
+    if ( filepath.startsWith(registry.path + sep) ) {
+      extractedFiles.delete(filepath);
+      extractedBytes -= size;
+    }
+  }
+
+  return releasedFolders;
+}
+
+/**
+ * Get lease record storage, create it if needed.
+ * @returns {JsonStorage<LeaseRecord>}
+ */
+function getLeaseRecords() {
+  return leaseRecords ??= new JsonStorage(tmpLeasesFile);
+}
+
+/**
+ * Persist lease record for temporary folder.
+ * @param {string} folder Temporary folder path.
+ * @param {string} archivePath Path to leased archive.
+ */
+async function recordLease(folder, archivePath) {
+  const success = await getLeaseRecords().write(state => {
+    state.set(folder, { pid: process.pid, archive: archivePath });
+  });
+
+  if (!success)
+    console.error(`MXIV: Failed to record tmp lease for ${folder}`);
+}
+
+/**
+ * Forget lease records for temporary folders.
+ * @param {string[]} folders Temporary folder paths.
+ */
+async function dropLeaseRecords(folders) {
+  const success = await getLeaseRecords().write(state => {
+    folders.forEach( folder => state.delete(folder) );
+  });
+
+  if (!success)
+    console.error('MXIV: Failed to drop tmp lease records');
+}
+
+/**
+ * Return either process is still running.
+ * @param {number} pid Process ID.
+ * @returns {boolean}
+ */
+function processIsAlive(pid) {
+  try {
+    process.kill(pid, 0); // signal 0 only checks for existence
+    return true;
+  } catch (err) {
+    return /** @type {NodeJS.ErrnoException} */ (err).code === 'EPERM';
+  }
+}
+
+/**
+ * Return either folder belongs to current user, as TMPDIR may be shared between users.
+ * @param {string} folder Folder path.
+ * @returns {boolean}
+ */
+function isOwnFolder(folder) {
+  try {
+    return process.getuid == null || fs.statSync(folder).uid === process.getuid();
+  } catch {
+    return false;
   }
 }
 
@@ -140,11 +755,8 @@ function revokeAccess(archivePath, ownerID) {
  * @param {string} folder Temporary folder path to remove.
  */
 function deleteTmpFolder(folder) {
-  // folder resides on TMPDIR, right? RIGHT?
-  if ( dirname(folder) !== TMPDIR ) {
-    return console.error('MXIV::FORBIDDEN: Tried to delete non-temporary folder!\n',
-      `targeted path: ${folder}`);
-  }
+  if ( !isTmpFolder(folder) )
+    return;
 
   // delete folder recursively
   try {
@@ -153,3 +765,39 @@ function deleteTmpFolder(folder) {
     console.error(`MXIV: Failed to clear tmp folder at ${folder}\n`, err);
   }
 }
+
+/**
+ * Delete temporary folder and its contents without blocking, as for sweeps.
+ * @param {string} folder Temporary folder path to remove.
+ * @returns {Promise<boolean>} Success.
+ */
+function sweepTmpFolder(folder) {
+  if ( !isTmpFolder(folder) )
+    return Promise.resolve(false);
+
+  return new Promise(resolve => {
+    fs.rm(folder, { recursive: true }, err => {
+      if (!err)
+        return resolve(true);
+
+      console.error(`MXIV: Failed to clear tmp folder at ${folder}\n`, err);
+      resolve(false);
+    });
+  });
+}
+
+/**
+ * Either folder resides on TMPDIR, logging forbidden deletions otherwise.
+ * @param {string} folder Folder path.
+ * @returns {boolean}
+ */
+function isTmpFolder(folder) {
+  // folder resides on TMPDIR, right? RIGHT?
+  if ( dirname(folder) !== TMPDIR ) {
+    console.error('MXIV::FORBIDDEN: Tried to delete non-temporary folder!\n',
+      `targeted path: ${folder}`);
+    return false;
+  }
+
+  return true;
+}
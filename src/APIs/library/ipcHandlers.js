@@ -1,5 +1,6 @@
 import { ipcMain } from 'electron';
 import * as libraryMain from './main.js';
+import * as shelves from './shelves.js';
 
 
 ipcMain.handle('library:add', async (e, path, recursively) => {
@@ -10,8 +11,8 @@ ipcMain.handle('library:thumbnails', async (e) => {
   return await libraryMain.updateThumbnails(e.sender)
 })
 
-ipcMain.handle('library:get', async (e) => {
-  return await libraryMain.getLibraryEntries()
+ipcMain.handle('library:get', async (e, order) => {
+  return await libraryMain.getLibraryEntries(order)
 })
 
 ipcMain.handle('library:remove', async (e, path) => {
@@ -21,3 +22,51 @@ ipcMain.handle('library:remove', async (e, path) => {
 ipcMain.handle('library:clear', async (e) => {
   return await libraryMain.clearLibrary()
 })
+
+ipcMain.handle('library:delist', async (e, folderItems) => {
+  return await libraryMain.delistVanished(folderItems)
+})
+
+ipcMain.handle('library:watch', (e, folderItems) => {
+  return libraryMain.watchFolders(folderItems)
+})
+
+ipcMain.handle('library:prune', async (e, dryRun) => {
+  return await libraryMain.pruneLibrary(dryRun)
+})
+
+ipcMain.handle('library:progress', async (e, path, page, pageCount, file, finished) => {
+  return await libraryMain.setReadingProgress(path, page, pageCount, file, finished)
+})
+
+ipcMain.handle('library:markProgress', async (e, path, readingState) => {
+  return await libraryMain.markReadingProgress(path, readingState)
+})
+
+ipcMain.handle('library:shelves', async (e) => {
+  return await shelves.listShelves()
+})
+
+ipcMain.handle('library:shelfCreate', async (e, name) => {
+  return await shelves.createShelf(name)
+})
+
+ipcMain.handle('library:shelfRename', async (e, name, newName) => {
+  return await shelves.renameShelf(name, newName)
+})
+
+ipcMain.handle('library:shelfDelete', async (e, name) => {
+  return await shelves.deleteShelf(name)
+})
+
+ipcMain.handle('library:shelfAdd', async (e, name, path) => {
+  return await shelves.addToShelf(name, path)
+})
+
+ipcMain.handle('library:shelfRemove', async (e, name, path) => {
+  return await shelves.removeFromShelf(name, path)
+})
+
+ipcMain.handle('library:shelfMove', async (e, name, path, position) => {
+  return await shelves.moveInShelf(name, path, position)
+})
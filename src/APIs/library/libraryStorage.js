@@ -11,6 +11,28 @@ import { libraryFile } from '../tool/appPaths.js';
  * @property {string} path Absolute path to book file/folder.
  * @property {string?} coverPath Absolute path to cover file.
  * @property {string?} coverURL Encoded cover path for html display.
+ * @property {number} [addedAt] Time added to library, in ms since epoch.
+ * @property {number} [pageCount] Viewable file count as of last scan.
+ * @property {ReadingProgress} [progress] Reading progress, if ever opened.
+ */
+
+/**
+ * @typedef {'path'|'name'|'added'|'opened'|'modified'|'pages'|'random'} LibrarySortKey
+ */
+
+/**
+ * @typedef LibrarySortOrder
+ * @property {LibrarySortKey} key Property to sort by.
+ * @property {boolean} descending Either to reverse order.
+ */
+
+/**
+ * @typedef ReadingProgress Book reading progress.
+ * @property {number} page Last page index read.
+ * @property {number} pageCount Book page count when last read.
+ * @property {string} file Path to last file read, to resume on regardless of sort order.
+ * @property {number} lastOpened Last read time, in ms since epoch.
+ * @property {boolean} finished Either last page was read through, or book was marked as finished.
  */
 
 
@@ -23,26 +45,127 @@ export class LibraryState extends Map {
   static #collator = new Intl.Collator('en', { numeric: true })
 
   /**
-   * Add library entry by cover path.
+   * Add library entry by cover path, keeping its added time, page count and reading progress.
    * @param {string} path Folder/archive path.
    * @param {string?} coverPath Cover thumbnail path.
    */
   setFromCover(path, coverPath) {
+    const entry = this.get(path);
+
     this.set(path, {
       'name': p.basename(path),
       'path': path,
       'coverPath': coverPath,
       'coverURL': coverPath && pathToFileURL(coverPath).href,
+      'addedAt': entry != null ? entry.addedAt : Date.now(),
+      ...entry?.pageCount != null && { 'pageCount': entry.pageCount },
+      ...entry?.progress && { 'progress': entry.progress }
     });
   }
 
   /**
-   * Return sorted library items.
+   * Record scanned page count for library entry.
+   * @param {string} path Folder/archive path.
+   * @param {number} pageCount Viewable file count.
+   * @returns {boolean} Either entry is in library and its page count changed.
+   */
+  setPageCount(path, pageCount) {
+    const entry = this.get(path);
+    if (entry == null || entry.pageCount === pageCount)
+      return false;
+
+    this.set(path, { ...entry, pageCount });
+    return true;
+  }
+
+  /**
+   * Record reading progress for library entry.
+   * - Books stay finished once read through, until marked otherwise.
+   * @param {string} path Folder/archive path.
+   * @param {number} page Page index read.
+   * @param {number} pageCount Book page count.
+   * @param {string} file Path to file read.
+   * @param {boolean} finished Either last page was reached by reading through.
+   * @returns {ReadingProgress?} Recorded progress, `null` if not in library.
+   */
+  setProgress(path, page, pageCount, file, finished) {
+    const entry = this.get(path);
+    if (entry == null)
+      return null;
+
+    const progress = {
+      page: page,
+      pageCount: pageCount,
+      file: file,
+      lastOpened: Date.now(),
+      finished: finished || entry.progress?.finished === true
+    };
+
+    this.set(path, { ...entry, progress });
+    return progress;
+  }
+
+  /**
+   * Mark library entry as unread, forgetting its progress, or as finished or not.
+   * @param {string} path Folder/archive path.
+   * @param {'unread'|'unfinished'|'finished'} state Reading state to set.
+   * @returns {ReadingProgress|null|undefined} New progress, `undefined` if not in library.
+   */
+  markProgress(path, state) {
+    const entry = this.get(path);
+    if (entry == null)
+      return undefined;
+
+    const { progress: oldProgress, ...rest } = entry;
+    const progress = state === 'unread' ? null : {
+      page: oldProgress?.page ?? 0,
+      pageCount: oldProgress?.pageCount ?? 0,
+      file: oldProgress?.file ?? '',
+      lastOpened: oldProgress?.lastOpened ?? Date.now(),
+      finished: state === 'finished'
+    };
+
+    this.set(path, progress != null ? { ...rest, progress } : rest);
+    return progress;
+  }
+
+  /**
+   * Return sorted library items. Ties and unknown keys fall back to path order.
+   * - Entries never opened, or added before added times were kept, sort as oldest.
+   * - Page counts are as of last scan, or last read for books not scanned since, shortest if neither.
+   * @param {LibrarySortOrder} [order] Sort order, by ascending path if not given.
+   * @param {Map<string, number>} [modifiedTimes] Book path -> Modified time, for `modified` key.
    * @returns {LibraryEntry[]}
    */
-  sortedValues() {
-    return [...super.values()]
-      .sort( (a, b) => LibraryState.#collator.compare(a.path, b.path) );
+  sortedValues(order = { key: 'path', descending: false }, modifiedTimes = new Map()) {
+    const values = [...super.values()];
+
+    if (order.key === 'random') {
+      for (let i = values.length - 1; i > 0; i--) {
+        const j = Math.floor( Math.random() * (i + 1) );
+        [values[i], values[j]] = [values[j], values[i]];
+      }
+
+      return values;
+    }
+
+    /** @type {((entry: LibraryEntry) => number)|undefined} */
+    const numericKey = {
+      'added': (/** @type {LibraryEntry} */ entry) => entry.addedAt ?? 0,
+      'opened': (/** @type {LibraryEntry} */ entry) => entry.progress?.lastOpened ?? 0,
+      'modified': (/** @type {LibraryEntry} */ entry) => modifiedTimes.get(entry.path) ?? 0,
+      'pages': (/** @type {LibraryEntry} */ entry) => entry.pageCount || entry.progress?.pageCount || 0
+    }[order.key];
+
+    const direction = order.descending ? -1 : 1;
+
+    return values.sort( (a, b) => {
+      const primary = order.key === 'name'
+        ? LibraryState.#collator.compare(a.name, b.name)
+        : numericKey != null ? numericKey(a) - numericKey(b) : 0;
+
+      return direction * ( primary || LibraryState.#collator.compare(a.path, b.path) );
+    });
   }
 }
 
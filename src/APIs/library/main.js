@@ -2,10 +2,15 @@
 import * as utils from './thumbnailService.js';
 import { libraryStorage } from './libraryStorage.js';
 import { createThumbnailMultiThreaded } from './thumbnailWorker.js';
-import { listFiles } from '../file/fileSearch.js';
-import { fileType } from '../file/fileTools.js';
-import { tools } from '../tool/toolCapabilities.js';
+import { listFiles, getFileType } from '../file/fileSearch.js';
+import { tools, canExtractArchive } from '../tool/toolCapabilities.js';
+import { expandPath, fileType } from '../file/fileTools.js';
+import { listArchive } from '../tool/archive.js';
+import { requestLock, releaseLock, broadcast } from '../tool/coordinationUtils.js';
+import { BrowserWindow } from 'electron';
 import { availableParallelism } from 'os';
+import { relative, isAbsolute, dirname, sep } from 'path';
+import fs from 'fs';
 
 
 /**
@@ -14,6 +19,20 @@ import { availableParallelism } from 'os';
 
 /**
  * @typedef {import('./libraryStorage.js').LibraryEntry} LibraryEntry
+ * @typedef {import('./libraryStorage.js').ReadingProgress} ReadingProgress
+ * @typedef {import('./libraryStorage.js').LibrarySortOrder} LibrarySortOrder
+ */
+
+/**
+ * @typedef {{path: string, recursive: boolean}} WatchlistItem
+ */
+
+/**
+ * @typedef LibraryPruneReport
+ * @property {string[]} missing Paths to books no longer found.
+ * @property {string[]} unreachable Paths to books not found in missing or empty folders, kept 
+ * as their drive may just be unmounted.
+ * @property {number} covers Cover thumbnails not referenced by any remaining entry.
  */
 
 /**
@@ -31,46 +50,88 @@ import { availableParallelism } from 'os';
  */
 let pendingThumbnails = [];
 
+/**
+ * Delay in ms for watched folders to settle before syncing.
+ */
+const WATCHDELAY = 2000;
+
+/**
+ * Watched watchlist items by path.
+ * @type {Map<string, {item: WatchlistItem, controller: AbortController}>}
+ */
+const watchedItems = new Map();
 
 /**
- * Store archive or folder recursively.
- * @param {Electron.WebContents} senderWin Electron sender window.
- * @param {{path: string, recursive: boolean}[]} folderItems Folder/archive path to add.
+ * Watched items changed since last sync, by path.
+ * @type {Map<string, WatchlistItem>}
+ */
+const changedItems = new Map();
+
+/**
+ * Pending watched items sync.
+ * @type {NodeJS.Timeout|undefined}
+ */
+let syncTimeout;
+
+
+/**
+ * Send library update to sender window, or to all windows if not given.
+ * @param {Electron.WebContents?} senderWin Electron sender window.
+ * @param {LibraryUpdate} update Task progress.
+ */
+function sendLibraryUpdate(senderWin, update) {
+  if (senderWin != null)
+    senderWin.send('library:new', update);
+  else
+    BrowserWindow.getAllWindows()
+      .forEach( win => win.webContents.send('library:new', update) );
+}
+
+
+/**
+ * Store archive or folder recursively, refreshing page counts of books already stored.
+ * @param {Electron.WebContents?} senderWin Electron sender window, all windows if `null`.
+ * @param {WatchlistItem[]} folderItems Folder/archive path to add.
  * @returns {Promise<number>} New paths added.
  */
 export async function addToLibrary(senderWin, folderItems) {
-  let candidates = [];
+  /** @type {Map<string, number>} */
+  const candidates = new Map();
 
-  for (const folder of folderItems) {
-    const folders = await getCandidates(folder.path, tools, folder.recursive ? Infinity : 1);
-    candidates.push(...folders);
-  }
+  for (const folder of folderItems)
+    await getCandidates(folder.path, tools, folder.recursive ? Infinity : 1, candidates);
   
   const addedEntries = [];
-  let total = candidates.length;
+  let total = candidates.size;
+  let recounted = 0;
 
-  const sendUpdate = () => senderWin.send('library:new', /** @type {LibraryUpdate} */ ({
+  const sendUpdate = () => sendLibraryUpdate(senderWin, {
     task: 'scan',
     total: total,
     current: addedEntries.length
-  }));
+  });
 
   const interval = setInterval(sendUpdate, 250);
   sendUpdate();
   
   await libraryStorage.write(async db => {
-    candidates.forEach(path => {
-      if ( db.has(path) )
+    candidates.forEach( (pageCount, path) => {
+      if ( db.has(path) ) {
         total--;
-      else {
+
+        // keep known books current, as page counts are also scanned
+        if ( db.setPageCount(path, pageCount) )
+          recounted++;
+      } else {
         db.setFromCover(path, null);
+        db.setPageCount(path, pageCount);
         addedEntries.push(path);
       }
     });
 
     if (addedEntries.length > 0)
       pendingThumbnails.push(...addedEntries);
-    else
+    else if (recounted < 1)
       throw 'rollback';
   });
 
@@ -82,11 +143,20 @@ export async function addToLibrary(senderWin, folderItems) {
 
 /**
  * Return sorted Library entries for displaying.
+ * @param {LibrarySortOrder} [order] Sort order, by ascending path if not given.
  * @returns {Promise<import("./libraryStorage").LibraryEntry[]>}
  */
-export async function getLibraryEntries() {
-  return await libraryStorage.getStateFromCache()
-    .then(state => state.sortedValues() );
+export async function getLibraryEntries(order) {
+  const state = await libraryStorage.getStateFromCache();
+  if (order?.key !== 'modified')
+    return state.sortedValues(order);
+
+  // stat books only when sorting by them
+  const paths = [...state.keys()];
+  const times = await Promise.all( paths.map(path => modifiedTime(path)) );
+  const modifiedTimes = new Map( paths.map( (path, i) => [path, times[i]] ) );
+
+  return state.sortedValues(order, modifiedTimes);
 }
 
 /**
@@ -115,6 +185,79 @@ export async function removeFromLibrary(path) {
   return true;
 }
 
+/**
+ * Regenerate cover thumbnail for a library entry, as after its book was edited.
+ * @param {string} path Library object key. Path to stored book.
+ * @returns {Promise<boolean>} Either entry is in library and its cover was regenerated.
+ */
+export async function refreshCover(path) {
+  const state = await libraryStorage.getStateFromCache();
+  if ( !state.has(path) || !await utils.createThumbnailDirectory() )
+    return false;
+
+  const coverPath = await utils.createThumbnail(path, tools);
+
+  return await libraryStorage.write(db => {
+    if ( !db.has(path) )
+      throw 'rollback';
+
+    db.setFromCover(path, coverPath);
+  });
+}
+
+/**
+ * Record reading progress for a library entry, as a Viewer flips its pages.
+ * - Broadcasts `library:progress` with entry path and progress to all windows.
+ * @param {string} path Library object key. Path to stored book.
+ * @param {number} page Page index read.
+ * @param {number} pageCount Book page count.
+ * @param {string} file Path to file read.
+ * @param {boolean} finished Either last page was reached by reading through.
+ * @returns {Promise<boolean>} Either book is in library and progress was recorded.
+ */
+export async function setReadingProgress(path, page, pageCount, file, finished) {
+  const state = await libraryStorage.getStateFromCache();
+  if ( !state.has(path) )
+    return false;
+
+  /** @type {ReadingProgress?} */
+  let progress = null;
+  const success = await libraryStorage.write(db => {
+    progress = db.setProgress(path, page, pageCount, file, finished);
+
+    if (progress == null)
+      throw 'rollback';
+  });
+
+  if (success)
+    broadcast('library:progress', path, progress);
+
+  return success;
+}
+
+/**
+ * Mark library entry as unread, unfinished or finished.
+ * - Broadcasts `library:progress` with entry path and new progress, `null` if unread.
+ * @param {string} path Library object key. Path to stored book.
+ * @param {'unread'|'unfinished'|'finished'} readingState Reading state to set.
+ * @returns {Promise<boolean>} Either book is in library and was marked.
+ */
+export async function markReadingProgress(path, readingState) {
+  /** @type {ReadingProgress|null|undefined} */
+  let progress;
+  const success = await libraryStorage.write(db => {
+    progress = db.markProgress(path, readingState);
+
+    if (progress === undefined)
+      throw 'rollback';
+  });
+
+  if (success)
+    broadcast('library:progress', path, progress);
+
+  return success;
+}
+
 /**
  * Delete entire library & cover thumbnail folder.
  * @returns {Promise<boolean>} Success.
@@ -128,40 +271,300 @@ export async function clearLibrary() {
 }
 
 /**
- * Return library folder/archive candidates.
+ * Find entries whose books no longer exist and cover thumbnails no entry references.
+ * - Unless `dryRun`, missing books are delisted in a single transaction, then stale covers deleted.
+ * - Books whose folder is missing or empty are kept as unreachable, as unmounted drives would
+ *   delist everything on them otherwise.
+ * @param {boolean} [dryRun=false] Only list what would be pruned.
+ * @returns {Promise<LibraryPruneReport>} Pruned, or prunable on `dryRun`, books and covers.
+ */
+export async function pruneLibrary(dryRun = false) {
+  const entries = [...( await libraryStorage.getState() ).values()];
+  const folderChecks = /** @type {Map<string, Promise<boolean>>} */ (new Map());
+  const states = await Promise.all( entries.map(entry => bookState(entry.path, folderChecks)) );
+
+  const pathsIn = (/** @type {string} */ state) => entries
+    .filter( (_entry, i) => states[i] === state )
+    .map(entry => entry.path);
+
+  const missing = pathsIn('missing');
+  const unreachable = pathsIn('unreachable');
+
+  let referenced = new Set( entries
+    .filter( (_entry, i) => states[i] !== 'missing' )
+    .map(entry => entry.coverPath) );
+
+  if (!dryRun && missing.length > 0) {
+    await libraryStorage.write(db => {
+      missing.forEach( path => db.delete(path) );
+      referenced = new Set( [...db.values()].map(entry => entry.coverPath) );
+    });
+
+    const missingPaths = new Set(missing);
+    pendingThumbnails = pendingThumbnails.filter( path => !missingPaths.has(path) );
+  }
+
+  const staleCovers = ( await utils.listThumbnails() )
+    .filter( cover => !referenced.has(cover) );
+
+  if (dryRun)
+    return { missing: missing, unreachable: unreachable, covers: staleCovers.length };
+
+  let covers = 0;
+  for (const cover of staleCovers) {
+    if ( await utils.deleteThumbnail(cover) )
+      covers++;
+  }
+
+  console.log(`MXIV: Pruned ${missing.length} missing book(s) and ${covers} stale cover(s) from library.`);
+  return { missing: missing, unreachable: unreachable, covers: covers };
+}
+
+/**
+ * Return book modified time, `0` if unreadable.
+ * @param {string} path Folder/archive path.
+ * @returns {Promise<number>}
+ */
+function modifiedTime(path) {
+  return new Promise(resolve => {
+    fs.stat( path, (err, stats) => resolve(err ? 0 : stats.mtimeMs) );
+  });
+}
+
+/**
+ * Either book path still exists. Unreadable paths are assumed to exist.
+ * @param {string} path Folder/archive path.
+ * @returns {Promise<boolean>}
+ */
+function bookExists(path) {
+  return new Promise(resolve => {
+    fs.stat( path, err => resolve(err?.code !== 'ENOENT' && err?.code !== 'ENOTDIR') );
+  });
+}
+
+/**
+ * Return either book is found, missing from its still listed folder, or unreachable.
+ * @param {string} path Folder/archive path.
+ * @param {Map<string, Promise<boolean>>} folderChecks Folder -> Either it has files, shared across calls.
+ * @returns {Promise<'found'|'missing'|'unreachable'>}
+ */
+async function bookState(path, folderChecks) {
+  if ( await bookExists(path) )
+    return 'found';
+
+  const folder = dirname(path);
+  if ( !folderChecks.has(folder) ) {
+    folderChecks.set(folder, new Promise(resolve => {
+      fs.readdir( folder, (err, files) => resolve(err == null && files.length > 0) );
+    }));
+  }
+
+  return await folderChecks.get(folder) ? 'missing' : 'unreachable';
+}
+
+/**
+ * Delist entries under watchlist items whose books no longer exist, deleting their thumbnails.
+ * - Items whose own folder is missing are skipped, as unmounted drives would delist everything.
+ * @param {WatchlistItem[]} folderItems Watchlist items to check.
+ * @returns {Promise<number>} Entries delisted.
+ */
+export async function delistVanished(folderItems) {
+  const roots = expandItems(folderItems)
+    .filter( item => fs.existsSync(item.path) );
+  let delisted = 0;
+
+  await libraryStorage.write(async db => {
+    for (const [path, entry] of db) {
+      if ( !roots.some(item => inWatchlistItem(path, item)) || fs.existsSync(path) )
+        continue;
+
+      if (entry.coverPath != null) {
+        const success = await utils.deleteThumbnail(entry.coverPath);
+        if (!success)
+          console.warn(`MXIV::WARN: Failed to delete thumbnail at "${entry.coverPath}". Orphaning.`);
+      }
+
+      db.delete(path);
+      delisted++;
+    }
+
+    if (delisted < 1)
+      throw 'rollback';
+  });
+
+  if (delisted > 0)
+    pendingThumbnails = pendingThumbnails.filter( path => fs.existsSync(path) );
+
+  return delisted;
+}
+
+/**
+ * Watch watchlist item folders, syncing library once their changes settle.
+ * - Replaces previous watchlist, keeping watchers for unchanged items.
+ * @param {WatchlistItem[]} folderItems Watchlist items.
+ * @returns {number} Items being watched.
+ */
+export function watchFolders(folderItems) {
+  folderItems = expandItems(folderItems);
+
+  for (const [path, watched] of watchedItems) {
+    const item = folderItems.find(item => item.path === path);
+
+    if (item == null || item.recursive !== watched.item.recursive) {
+      watched.controller.abort();
+      watchedItems.delete(path);
+    }
+  }
+
+  for (const item of folderItems) {
+    if ( watchedItems.has(item.path) )
+      continue;
+
+    const controller = new AbortController();
+    const options = { recursive: item.recursive, signal: controller.signal };
+
+    try {
+      fs.watch(item.path, options, () => queueSync(item))
+        .on('error', (err) => {
+          console.warn(`MXIV::WARN: Stopped watching "${item.path}": ${err.message}`);
+
+          if (watchedItems.get(item.path)?.controller === controller)
+            watchedItems.delete(item.path);
+        });
+
+      watchedItems.set(item.path, { item, controller });
+    } catch (err) {
+      console.warn(`MXIV::WARN: Can't watch "${item.path}": ${/** @type {Error} */ (err).message}`);
+    }
+  }
+
+  return watchedItems.size;
+}
+
+/**
+ * Queue watched item for sync, delaying it until changes settle.
+ * @param {WatchlistItem} item Changed watchlist item.
+ */
+function queueSync(item) {
+  changedItems.set(item.path, item);
+
+  clearTimeout(syncTimeout);
+  syncTimeout = setTimeout(syncWatchedItems, WATCHDELAY);
+}
+
+/**
+ * Add new books and delist vanished ones from changed watched items, then thumbnail new books.
+ * - Retries later while library is locked, as during a manual sync.
+ */
+async function syncWatchedItems() {
+  if ( !requestLock('library') ) {
+    syncTimeout = setTimeout(syncWatchedItems, WATCHDELAY);
+    return;
+  }
+
+  const folderItems = [...changedItems.values()];
+  changedItems.clear();
+
+  try {
+    const delisted = await delistVanished(folderItems);
+    const added = await addToLibrary(null, folderItems);
+
+    if (delisted + added > 0) {
+      console.log(`MXIV: Watchlist sync added ${added} and delisted ${delisted} book(s).`);
+      broadcast('library:watch');
+    }
+
+    if (added > 0) {
+      await updateThumbnails(null);
+      broadcast('library:watch');
+    }
+  } catch (err) {
+    console.error(`MXIV::ERROR: Watchlist sync failed: ${/** @type {Error} */ (err).message}`);
+  } finally {
+    releaseLock('library');
+  }
+}
+
+/**
+ * Return watchlist items with expanded paths.
+ * @param {WatchlistItem[]} folderItems Watchlist items.
+ * @returns {WatchlistItem[]}
+ */
+function expandItems(folderItems) {
+  return folderItems.map( item => ({ path: expandPath(item.path), recursive: item.recursive }) );
+}
+
+/**
+ * Either library entry belongs to watchlist item, at its recursion depth.
+ * @param {string} path Library entry path.
+ * @param {WatchlistItem} item Watchlist item.
+ * @returns {boolean}
+ */
+function inWatchlistItem(path, item) {
+  const relativePath = relative(item.path, path);
+
+  if ( relativePath === '..' || relativePath.startsWith(`..${sep}`) || isAbsolute(relativePath) )
+    return false;
+
+  return item.recursive || !relativePath.includes(sep);
+}
+
+/**
+ * Return library folder/archive candidates and their page counts.
  * @param {string} folderPath Path to folder to be mapped recursively.
  * @param {ToolCapabilities} tools Tool capabilities.
  * @param {number} depth How many levels to recurse. Defaults to `Infinity`.
- * @param {string[]} mappedPaths Used internally on recursive calls.
- * @returns {Promise<String[]>} Mapped paths.
+ * @param {Map<string, number>} mappedBooks Book path -> Page count. Used internally on recursive calls.
+ * @returns {Promise<Map<string, number>>} Mapped books.
  */
-async function getCandidates(folderPath, tools, depth = Infinity, mappedPaths = []) {
+async function getCandidates(folderPath, tools, depth = Infinity, mappedBooks = new Map()) {
   const ls = await listFiles(folderPath);
   
-  // add archives
+  // add archives, listed only if in a supported format and with something to view
   if (tools.canExtract) {
-    if ( fileType(folderPath) === 'archive' )
-      mappedPaths.push(folderPath);
+    if ( await getFileType(folderPath) === 'archive' && await canExtractArchive(folderPath, tools) ) {
+      const pageCount = await archivePageCount(folderPath);
+      if (pageCount != null)
+        mappedBooks.set(folderPath, pageCount);
+    }
     
-    for (const archive of ls.archives)
-      mappedPaths.push(archive.path);
+    for (const archive of ls.archives) {
+      const pageCount = await archivePageCount(archive.path);
+      if (pageCount != null)
+        mappedBooks.set(archive.path, pageCount);
+    }
   }
   
   // path has viewable files, add absolute path
   if (ls.files.length)
-    mappedPaths.push(ls.target.path);
+    mappedBooks.set(ls.target.path, ls.files.length);
   
   // process subfolders recursively
   if (depth-- > 0)
     for (const dir of ls.directories)
-      await getCandidates(dir.path, tools, depth, mappedPaths);
+      await getCandidates(dir.path, tools, depth, mappedBooks);
   
-  return mappedPaths;
+  return mappedBooks;
+}
+
+/**
+ * Return archive viewable file count, in its folders or nested archives included.
+ * - Encrypted archives are kept with no count, as their contents can't be listed without a password.
+ * @param {string} archivePath Path to archive.
+ * @returns {Promise<number?>} Viewable file count, `0` if encrypted, `null` if nothing to view.
+ */
+async function archivePageCount(archivePath) {
+  const { entries, locked } = await listArchive(archivePath);
+  if (locked)
+    return 0;
+
+  const pageCount = entries.filter(entry => !entry.folder && fileType(entry.path) !== 'other').length;
+  return pageCount > 0 ? pageCount : null;
 }
 
 /**
  * Generate and update entry thumbnails in the background.
- * @param {Electron.WebContents} senderWin Electron sender window.
+ * @param {Electron.WebContents?} senderWin Electron sender window, all windows if `null`.
  */
 export async function updateThumbnails(senderWin) {
   let generatedThumbnails = 0;
@@ -173,12 +576,12 @@ export async function updateThumbnails(senderWin) {
   }
 
   const pool = /** @type {{key: string, entry: LibraryEntry}[]} */ ([]);
-  const sendUpdate = () => senderWin.send('library:new', /** @type {LibraryUpdate} */ ({
+  const sendUpdate = () => sendLibraryUpdate(senderWin, {
     task: 'thumbnail',
     total: pendingThumbnails.length,
     current: generatedThumbnails,
     entries: pool.slice(0, pool.length) // consume pool
-  }));
+  });
 
   const interval = setInterval(sendUpdate, 250);
   sendUpdate();
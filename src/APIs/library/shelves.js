@@ -0,0 +1,161 @@
+// @ts-check
+import { JsonStorage } from '../tool/jsonStorage.js';
+import { libraryShelvesFile } from '../tool/appPaths.js';
+import { broadcast } from '../tool/coordinationUtils.js';
+
+
+/**
+ * Manually ordered book collection, as a series reading order.
+ * @typedef LibraryShelf
+ * @property {string} name Shelf name.
+ * @property {string[]} paths Book paths, in shelf order.
+ */
+
+
+/**
+ * Persisted shelves, as name -> book paths. Created on first use.
+ * @type {JsonStorage<string[]>?}
+ */
+let shelfStorage = null;
+
+/**
+ * Shelf name sorting tool.
+ */
+const collator = new Intl.Collator('en', { numeric: true });
+
+
+/**
+ * Get shelf storage, create it if needed.
+ * @returns {JsonStorage<string[]>}
+ */
+function getShelfStorage() {
+  return shelfStorage ??= new JsonStorage(libraryShelvesFile);
+}
+
+/**
+ * Run shelf transaction, broadcast `library:shelves` to all windows if committed.
+ * - Transactions throw `rollback` to abort, as when shelf or book isn't found.
+ * @param {(state: Map<string, string[]>) => void} transaction
+ * @returns {Promise<boolean>} Either transaction was committed.
+ */
+async function writeShelves(transaction) {
+  const success = await getShelfStorage().write(transaction);
+
+  if (success)
+    broadcast('library:shelves');
+
+  return success;
+}
+
+/**
+ * Return all shelves, sorted by name.
+ * @returns {Promise<LibraryShelf[]>}
+ */
+export async function listShelves() {
+  const state = await getShelfStorage().getState();
+
+  return [...state]
+    .map( ([name, paths]) => ({ name, paths }) )
+    .sort( (a, b) => collator.compare(a.name, b.name) );
+}
+
+/**
+ * Create empty shelf.
+ * @param {string} name Shelf name.
+ * @returns {Promise<boolean>} Either shelf was created, `false` if name is empty or taken.
+ */
+export async function createShelf(name) {
+  return await writeShelves(state => {
+    if ( name === '' || state.has(name) )
+      throw 'rollback';
+
+    state.set(name, []);
+  });
+}
+
+/**
+ * Rename shelf, keeping its books.
+ * @param {string} name Shelf name.
+ * @param {string} newName New shelf name.
+ * @returns {Promise<boolean>} Either shelf was renamed, `false` if not found or new name is empty or taken.
+ */
+export async function renameShelf(name, newName) {
+  return await writeShelves(state => {
+    const paths = state.get(name);
+    if ( paths == null || newName === '' || state.has(newName) )
+      throw 'rollback';
+
+    state.delete(name);
+    state.set(newName, paths);
+  });
+}
+
+/**
+ * Delete shelf. Its books stay in library.
+ * @param {string} name Shelf name.
+ * @returns {Promise<boolean>} Either shelf existed.
+ */
+export async function deleteShelf(name) {
+  return await writeShelves(state => {
+    if ( !state.delete(name) )
+      throw 'rollback';
+  });
+}
+
+/**
+ * Append book to shelf.
+ * @param {string} name Shelf name.
+ * @param {string} path Book path.
+ * @returns {Promise<boolean>} Either book was added, `false` if shelf not found or book already on it.
+ */
+export async function addToShelf(name, path) {
+  return await writeShelves(state => {
+    const paths = state.get(name);
+    if ( paths == null || paths.includes(path) )
+      throw 'rollback';
+
+    paths.push(path);
+  });
+}
+
+/**
+ * Remove book from shelf.
+ * @param {string} name Shelf name.
+ * @param {string} path Book path.
+ * @returns {Promise<boolean>} Either book was on shelf.
+ */
+export async function removeFromShelf(name, path) {
+  return await writeShelves(state => {
+    const paths = state.get(name);
+    const idx = paths?.indexOf(path) ?? -1;
+
+    if (paths == null || idx < 0)
+      throw 'rollback';
+
+    paths.splice(idx, 1);
+  });
+}
+
+/**
+ * Move book to position in shelf order.
+ * @param {string} name Shelf name.
+ * @param {string} path Book path.
+ * @param {number} position New index, clamped to shelf bounds.
+ * @returns {Promise<boolean>} Either book was on shelf and moved.
+ */
+export async function moveInShelf(name, path, position) {
+  return await writeShelves(state => {
+    const paths = state.get(name);
+    const idx = paths?.indexOf(path) ?? -1;
+
+    if (paths == null || idx < 0)
+      throw 'rollback';
+
+    const target = Math.max( 0, Math.min(position, paths.length - 1) );
+    if (target === idx)
+      throw 'rollback';
+
+    paths.splice(idx, 1);
+    paths.splice(target, 0, path);
+  });
+}
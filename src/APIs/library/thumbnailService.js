@@ -2,6 +2,8 @@
 import fs from 'fs';
 import p from 'path';
 import { fileType } from '../file/fileTools.js';
+import { getFileType } from '../file/fileSearch.js';
+import { canExtractArchive } from '../tool/toolCapabilities.js';
 import * as archiveTool from '../tool/archive.js';
 import * as thumbnailTool from '../tool/thumbnail.js';
 import { hash } from 'crypto';
@@ -13,6 +15,12 @@ import { libraryCoverDirectory } from '../tool/appPaths.js';
  */
 
 
+/**
+ * Maximum levels of archives nested in archives to search for covers.
+ */
+const MAXNESTING = 4;
+
+
 /**
  * Check if cover thumbnail path exists, try to create it if not found.
  * @returns {Promise<boolean>} Either path exists at the end of execution.
@@ -51,6 +59,19 @@ export async function deleteThumbnailDirectory() {
   });
 }
 
+/**
+ * Return paths to all cover thumbnails in cover folder.
+ * @returns {Promise<string[]>}
+ */
+export async function listThumbnails() {
+  return await new Promise(resolve => {
+    fs.readdir(libraryCoverDirectory, (err, names) => resolve(err ? [] : names
+      .filter( name => p.extname(name).toLowerCase() === '.jpg' )
+      .map( name => p.join(libraryCoverDirectory, name) ))
+    );
+  });
+}
+
 /**
  * Create thumbnail from file. Returns thumbnail path.
  * - Use `id` on concurrent threads to prevent overwrites
@@ -63,8 +84,8 @@ export async function deleteThumbnailDirectory() {
 export async function createThumbnail(path, tools, id = 0) {
   if (!tools.canThumbnail)
     return null;
-  else if ( fileType(path) === 'archive' )
-    return await coverFromArchive(path, id);
+  else if (await getFileType(path) === 'archive')
+    return await canExtractArchive(path, tools) ? await coverFromArchive(path, id) : null;
   else
     return await coverFromDirectory(path);
 }
@@ -107,10 +128,16 @@ async function coverFromDirectory(path) {
     fs.readdir( path, (_err, files) => resolve(files) );
   });
 
-  const coverBasename = directoryFiles.find(filepath => {
-    const type = fileType(filepath);
-    return type === 'image' || type === 'video';
-  });
+  // inspect files in order, stop at first viewable match
+  let coverBasename = null;
+  for (const basename of directoryFiles || []) {
+    const type = await getFileType( p.join(path, basename) );
+
+    if (type === 'image' || type === 'video') {
+      coverBasename = basename;
+      break;
+    }
+  }
   
   if (coverBasename == null)
     return null;
@@ -127,11 +154,14 @@ async function coverFromDirectory(path) {
  * Asynchronously creates cover from archives.
  * - Use `id` on concurrent threads to prevent overwrites
  *   when extracting archive files. (ex: 01.jpg)
+ * - Collection archives without viewable files take their cover from the first nested archive.
  * @param {string} path Folder Path.
  * @param {number} [id=0] Extraction folder name, used by threads.
+ * @param {string} [coverTarget] Cover path, derived from `path` if not given.
+ * @param {number} [nesting=0] Current nesting level.
  * @returns {Promise<string?>} Cover Path.
  */
-async function coverFromArchive(path, id = 0) {
+async function coverFromArchive(path, id = 0, coverTarget, nesting = 0) {
   // find cover file from archive
   const archiveFiles = await archiveTool.fileList(path);
   const coverBasename = archiveFiles.find(filepath => {
@@ -139,15 +169,26 @@ async function coverFromArchive(path, id = 0) {
     return type === 'image' || type === 'video';
   });
 
-  if (coverBasename == null)
-    return null;
+  const extractionFolder = p.join( libraryCoverDirectory, String(id) );
+  coverTarget ??= p.join(libraryCoverDirectory, `${hash('md5', path)}.jpg`);
+
+  // try first nested archive instead
+  if (coverBasename == null) {
+    const nestedArchive = archiveFiles.find(filepath => fileType(filepath) === 'archive');
+    if (nestedArchive == null || nesting >= MAXNESTING)
+      return null;
+
+    const nestedSource = await archiveTool.extractOnly(nestedArchive, path, extractionFolder);
+    const cover = await coverFromArchive(nestedSource, id, coverTarget, nesting + 1);
+    fs.rmSync(nestedSource, { force: true });
+
+    return cover;
+  }
 
   // extract file and generate cover as md5(filepath).jpg, remove extracted file after
-  const extractionFolder = p.join( libraryCoverDirectory, String(id) );
   const coverSource = await archiveTool.extractOnly(coverBasename, path, extractionFolder);
-  const coverTarget = p.join(libraryCoverDirectory, `${hash('md5', path)}.jpg`);
   const thumbnailOK = await thumbnailTool.generateThumbnail(coverSource, coverTarget);
-  fs.rmSync(coverSource);
+  fs.rmSync(coverSource, { force: true }); // may be missing, as for encrypted archives
   
   return coverTarget;
 }
@@ -0,0 +1,124 @@
+// @ts-check
+import fs from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { expandPath } from '../file/fileTools.js';
+
+
+/**
+ * Bytes hashed from each end of a file.
+ */
+const SAMPLESIZE = 64 * 1024;
+
+/**
+ * Max files to stat concurrently while searching a folder.
+ */
+const STATLIMIT = 64;
+
+
+/**
+ * Return file fingerprint from its size and content, surviving renames and moves.
+ * - Only both ends of the file are hashed, keeping large files cheap.
+ * @param {string} filePath Absolute path to file.
+ * @returns {Promise<string?>} Fingerprint, `null` if not a readable file.
+ */
+export async function fingerprint(filePath) {
+  const stats = await new Promise(resolve => {
+    fs.stat(filePath, (err, stats) => resolve(err ? null : stats) );
+  });
+
+  if (stats == null || !stats.isFile() )
+    return null;
+
+  const size = /** @type {fs.Stats} */ (stats).size;
+  const hash = createHash('sha1');
+
+  /** @type {{start: number, end: number}[]} */
+  const ranges = [{ start: 0, end: Math.min(size, SAMPLESIZE) - 1 }];
+  if (size > SAMPLESIZE)
+    ranges.push({ start: Math.max(SAMPLESIZE, size - SAMPLESIZE), end: size - 1 });
+
+  for (const range of ranges) {
+    if (range.end < range.start)
+      continue;
+
+    const success = await new Promise(resolve => {
+      fs.createReadStream(filePath, range)
+        .on( 'data', (chunk) => hash.update(chunk) )
+        .on( 'end', () => resolve(true) )
+        .on( 'error', () => resolve(false) );
+    });
+
+    if (!success)
+      return null;
+  }
+
+  return `${size}:${hash.digest('hex')}`;
+}
+
+/**
+ * Return file size recorded in fingerprint.
+ * @param {string} print File fingerprint.
+ * @returns {number}
+ */
+function fingerprintSize(print) {
+  return Number( print.slice(0, print.indexOf(':')) );
+}
+
+/**
+ * Recursively search folders for files matching any of the given fingerprints.
+ * - Folders are walked one listing at a time, their files sized in bounded batches.
+ * - Only files of a fingerprinted size are hashed.
+ * @param {string[]} roots Paths to folders to search.
+ * @param {Set<string>} prints Fingerprints to look for.
+ * @returns {Promise<Map<string, string[]>>} Fingerprint -> Matching filepaths.
+ */
+export async function locateFingerprints(roots, prints) {
+  const sizes = new Set( [...prints].map(fingerprintSize) );
+  const located = /** @type {Map<string, string[]>} */ (new Map());
+
+  // overlapping roots would list the same folders twice
+  const visited = /** @type {Set<string>} */ (new Set());
+  const pendingFolders = roots.map(root => expandPath(root));
+
+  while (pendingFolders.length > 0) {
+    const folder = /** @type {string} */ (pendingFolders.pop());
+    if ( visited.has(folder) )
+      continue;
+
+    visited.add(folder);
+
+    /** @type {fs.Dirent[]} */
+    const dirents = await new Promise(resolve => {
+      fs.readdir( folder, { withFileTypes: true }, (err, dirents) => resolve(err ? [] : dirents) );
+    });
+
+    const filePaths = [];
+    for (const dirent of dirents) {
+      const path = join(folder, dirent.name);
+
+      if ( dirent.isDirectory() )
+        pendingFolders.push(path);
+      else if ( dirent.isFile() )
+        filePaths.push(path);
+    }
+
+    for (let i = 0; i < filePaths.length; i += STATLIMIT) {
+      const batch = filePaths.slice(i, i + STATLIMIT);
+      const batchSizes = await Promise.all( batch.map(filePath => new Promise(resolve => {
+        fs.stat( filePath, (err, stats) => resolve(err ? -1 : stats.size) );
+      })) );
+
+      for (let j = 0; j < batch.length; j++) {
+        if ( !sizes.has(batchSizes[j]) )
+          continue;
+
+        const print = await fingerprint(batch[j]);
+        if (print != null && prints.has(print))
+          located.set(print, [...located.get(print) ?? [], batch[j]]);
+      }
+    }
+  }
+
+  return located;
+}
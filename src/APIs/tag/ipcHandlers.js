@@ -1,20 +1,115 @@
 // @ts-check
 import { ipcMain } from 'electron';
 import * as mainTagStorage from './main.js';
+import * as tagDatabases from './tagDatabases.js';
 
 
-ipcMain.handle('tags:add', async (_e, path, ...tags) => {
-  return await mainTagStorage.tagFile(path, ...tags);
+/**
+ * Return active database name for window that sent request.
+ * @param {Electron.IpcMainInvokeEvent} e
+ * @returns {string}
+ */
+function senderDatabase(e) {
+  return tagDatabases.windowDatabase(e.sender.id);
+}
+
+
+ipcMain.handle('tags:add', async (e, path, ...tags) => {
+  return await mainTagStorage.tagFile(senderDatabase(e), path, ...tags);
+});
+
+ipcMain.handle('tags:remove', async (e, path, ...tags) => {
+  return await mainTagStorage.untagFile(senderDatabase(e), path, ...tags);
+});
+
+ipcMain.handle('tags:addMany', async (e, paths, ...tags) => {
+  return await mainTagStorage.tagFiles(senderDatabase(e), paths, ...tags);
+});
+
+ipcMain.handle('tags:removeMany', async (e, paths, ...tags) => {
+  return await mainTagStorage.untagFiles(senderDatabase(e), paths, ...tags);
+});
+
+ipcMain.handle('tags:rename', async (e, ...tags) => {
+  return await mainTagStorage.renameTags(senderDatabase(e), ...tags);
+});
+
+ipcMain.handle('tags:delete', async (e, ...tags) => {
+  return await mainTagStorage.deleteTags(senderDatabase(e), ...tags);
+});
+
+ipcMain.handle('tags:undo', async (e) => {
+  return await mainTagStorage.undoTags(senderDatabase(e));
+});
+
+ipcMain.handle('tags:redo', async (e) => {
+  return await mainTagStorage.redoTags(senderDatabase(e));
+});
+
+ipcMain.handle('tags:alias', async (e, canonical, ...aliases) => {
+  return await mainTagStorage.aliasTags(senderDatabase(e), canonical, ...aliases);
+});
+
+ipcMain.handle('tags:unalias', async (e, ...aliases) => {
+  return await mainTagStorage.unaliasTags(senderDatabase(e), ...aliases);
+});
+
+ipcMain.handle('tags:imply', async (e, tag, ...impliedTags) => {
+  return await mainTagStorage.implyTags(senderDatabase(e), tag, ...impliedTags);
+});
+
+ipcMain.handle('tags:unimply', async (e, tag, ...impliedTags) => {
+  return await mainTagStorage.unimplyTags(senderDatabase(e), tag, ...impliedTags);
+});
+
+ipcMain.handle('tags:applyRules', async (e) => {
+  return await mainTagStorage.applyTagRules(senderDatabase(e));
+});
+
+ipcMain.handle('tags:export', async (e, path, format) => {
+  return await mainTagStorage.exportTags(senderDatabase(e), path, format);
+});
+
+ipcMain.handle('tags:import', async (e, path) => {
+  return await mainTagStorage.importTags(senderDatabase(e), path);
+});
+
+ipcMain.handle('tags:importEmbedded', async (e, path) => {
+  return await mainTagStorage.importEmbeddedTags(senderDatabase(e), path);
+});
+
+ipcMain.handle('tags:writeSidecars', async (e, paths) => {
+  return await mainTagStorage.writeSidecars(senderDatabase(e), paths);
+});
+
+ipcMain.handle('tags:relink', async (e, ...roots) => {
+  return await mainTagStorage.relinkFiles(senderDatabase(e), ...roots);
+});
+
+ipcMain.handle('tags:useDatabase', async (e, name) => {
+  try {
+    await mainTagStorage.tagContext(name);
+  } catch (err) {
+    console.warn(`MXIV::WARN: Can't use tag database "${name}":`, err);
+    return null;
+  }
+
+  // forget window choice once closed
+  if ( senderDatabase(e) === tagDatabases.DEFAULTDATABASE )
+    e.sender.once( 'destroyed', () => tagDatabases.setWindowDatabase(e.sender.id, tagDatabases.DEFAULTDATABASE) );
+
+  tagDatabases.setWindowDatabase(e.sender.id, name);
+  return await tagDatabases.getDatabase(name);
 });
 
-ipcMain.handle('tags:remove', async (_e, path, ...tags) => {
-  return await mainTagStorage.untagFile(path, ...tags);
+ipcMain.handle('tags:listDatabases', async () => {
+  return await tagDatabases.listDatabases();
 });
 
-ipcMain.handle('tags:rename', async (_e, ...tags) => {
-  return await mainTagStorage.renameTags(...tags);
+ipcMain.handle('tags:addDatabase', async (_e, name, path, relative) => {
+  return await tagDatabases.addDatabase(name, path, relative);
 });
 
-ipcMain.handle('tags:delete', async (_e, ...tags) => {
-  return await mainTagStorage.deleteTags(...tags);
+ipcMain.handle('tags:removeDatabase', async (_e, name) => {
+  return await tagDatabases.removeDatabase(name);
 });
@@ -1,64 +1,205 @@
 // @ts-check
 import { TagStorage } from './tagStorage.js';
+import { TagJournal } from './tagJournal.js';
+import { fingerprint, locateFingerprints } from './fingerprint.js';
+import * as interop from './tagInterop.js';
+import { leaseOwningFile } from '../file/temporaryFolders.js';
+import { expandPath } from '../file/fileTools.js';
+import fs from 'fs';
+import { extname, join, dirname, basename } from 'path';
 import { broadcast } from '../tool/coordinationUtils.js';
+import { tagDBFile } from '../tool/appPaths.js';
+import { getDatabase, DEFAULTDATABASE } from './tagDatabases.js';
 
 
 /**
- * Tag Storage to handle renderer write requests in main process.
+ * @typedef RelinkReport
+ * @property {[string, string][]} relinked Old, new filepath pairs of relinked entries.
+ * @property {string[]} unmatched Orphaned entries not found, or found more than once.
+ * @property {number} fingerprinted Entries fingerprinted before relinking.
+ */
+
+/**
+ * Storage and session state of a tag database.
+ * @typedef TagContext
+ * @property {string} file Storage filepath.
+ * @property {TagStorage} storage Storage handling write requests in main process.
+ * @property {TagJournal} journal Undo/redo journal of tag transactions made this session.
+ * @property {Set<string>} embeddedChecked Paths whose embedded keywords were already imported this session.
+ */
+
+/**
+ * @import { TagFormat, SidecarListing } from './tagInterop.js'
+ * @import { TagState } from './tagStorage.js'
+ * @import { TagReplayReport } from './tagJournal.js'
  */
-const tagStorage = new TagStorage();
+
+
+/**
+ * Storage filepath -> Tag database context, created on first use.
+ * @type {Map<string, TagContext>}
+ */
+const contexts = new Map();
+
+/**
+ * Max files to inspect concurrently on tag imports and sidecar exports.
+ */
+const INSPECTLIMIT = 64;
+
+
+/**
+ * Return context for database, creating and monitoring its storage if needed.
+ * @param {string} dbName Database name.
+ * @returns {Promise<TagContext>}
+ * @throws {Error} If database isn't registered or its storage file can't be reached.
+ */
+export async function tagContext(dbName) {
+  const database = await getDatabase(dbName);
+  if (database == null)
+    throw new Error(`Unknown tag database "${dbName}"`);
+
+  return contexts.get(database.file) ?? createContext(database);
+}
+
+/**
+ * Create context for database and monitor its storage file.
+ * @param {import('./tagDatabases.js').TagDatabase} database Database to create context for.
+ * @returns {TagContext}
+ */
+function createContext(database) {
+  const storage = new TagStorage(database.file, database.relative);
+
+  // broadcast sync requests to renderer instances on detected changes
+  storage.watchStorage(() => {
+    broadcast('tags:sync', database.file);
+  });
+
+  const context = { file: database.file, storage, journal: new TagJournal(), embeddedChecked: new Set() };
+  contexts.set(database.file, context);
+  console.log(`MXIV: Monitoring TagStorage file changes at "${database.file}".`);
+
+  return context;
+}
 
 
 /**
  * Add tags to entry and save changes to storage.
+ * @param {string} dbName Database name.
  * @param {string} filePath 
  * @param {string[]} tags
  * @returns {Promise<boolean>}
  */
-export async function tagFile(filePath, ...tags) {
-  return await tagStorage.write(state => {
-    const oldSet = new Set( state.get(filePath) );
-    const tagSet = new Set(tags);
-    const newSet = oldSet.union(tagSet);
+export async function tagFile(dbName, filePath, ...tags) {
+  return await tagFiles(dbName, [filePath], ...tags) > 0;
+}
+
+/**
+ * Add tags to many entries at once, in a single storage write.
+ * - Aliases are replaced by their canonical tags, and implied tags added.
+ * - Files are fingerprinted, so entries can be relinked if files are moved.
+ * @param {string} dbName Database name.
+ * @param {string[]} filePaths
+ * @param {string[]} tags
+ * @returns {Promise<number>} Entries updated.
+ */
+export async function tagFiles(dbName, filePaths, ...tags) {
+  const tagMap = new Map( filePaths.map(filePath => [filePath, tags]) );
+  return await mergeTags(await tagContext(dbName), tagMap);
+}
+
+/**
+ * Add each entry its own tags, in a single storage write.
+ * - Aliases are replaced by their canonical tags, and implied tags added.
+ * - Files are fingerprinted, so entries can be relinked if files are moved.
+ * @param {TagContext} context Database context.
+ * @param {Map<string, string[]>} tagMap Filepath -> Tags to add.
+ * @param {string} [label='add tags'] Journal description.
+ * @returns {Promise<number>} Entries updated.
+ */
+async function mergeTags(context, tagMap, label = 'add tags') {
+  const prints = /** @type {Map<string, string?>} */ (new Map());
+
+  // sequentially, as there may be thousands
+  for ( const filePath of tagMap.keys() )
+    prints.set( filePath, await fingerprint(filePath) );
+
+  let entriesUpdated = 0;
+  await journaledWrite(context, label, state => {
+    prints.forEach((print, filePath) => {
+      const tags = /** @type {string[]} */ ( tagMap.get(filePath) );
+      const oldSet = new Set( state.get(filePath) );
+      const newSet = oldSet.union( new Set( state.resolveTags(tags) ) );
+
+      if (oldSet.size === newSet.size)
+        return;
 
-    if (oldSet.size != newSet.size) 
       state.set(filePath, [...newSet]);
-    else
+      if (print != null)
+        state.setPrint(filePath, print);
+
+      entriesUpdated++;
+    });
+
+    if (entriesUpdated < 1)
       throw 'rollback'; // don't persist
   });
+
+  return entriesUpdated;
 }
 
 /**
  * Remove tags from entry and save changes to storage.
+ * @param {string} dbName Database name.
  * @param {string} filePath 
  * @param {string[]} tags
  * @returns {Promise<boolean>}
  */
-export async function untagFile(filePath, ...tags) {
-  return await tagStorage.write(state => {
-    const oldSet = new Set( state.get(filePath) );
-    const tagSet = new Set(tags);
-    const newSet = oldSet.difference(tagSet);
+export async function untagFile(dbName, filePath, ...tags) {
+  return await untagFiles(dbName, [filePath], ...tags) > 0;
+}
 
-    // save to storage
-    if (oldSet.size != newSet.size)
-      state.set(filePath, [...newSet]);
-    else
+/**
+ * Remove tags from many entries at once, in a single storage write.
+ * - Aliases remove their canonical tags.
+ * @param {string} dbName Database name.
+ * @param {string[]} filePaths
+ * @param {string[]} tags
+ * @returns {Promise<number>} Entries updated.
+ */
+export async function untagFiles(dbName, filePaths, ...tags) {
+  let entriesUpdated = 0;
+  await journaledWrite(await tagContext(dbName), 'remove tags', state => {
+    const tagSet = new Set([ ...tags, ...tags.map(tag => state.canonicalTag(tag)) ]);
+
+    for ( const filePath of new Set(filePaths) ) {
+      const oldSet = new Set( state.get(filePath) );
+      const newSet = oldSet.difference(tagSet);
+
+      if (oldSet.size !== newSet.size) {
+        state.set(filePath, [...newSet]);
+        entriesUpdated++;
+      }
+    }
+
+    if (entriesUpdated < 1)
       throw 'rollback';
   });
+
+  return entriesUpdated;
 }
 
 /**
- * Rename all occurences of one or more tags.
- * @param {string[]} tags Tags to rename.
+ * Rename all occurences of one or more tags, moving their nested tags along.
+ * @param {string} dbName Database name.
+ * @param {string[]} tags Tags to rename, last one being the new name.
  * @returns {Promise<number>} Entries updated.
  */
-export async function renameTags(...tags) {
+export async function renameTags(dbName, ...tags) {
   const target = /** @type {string} */ (tags.pop());
   const renameMap = new Map( tags.map(tag => [tag, target]) );
 
   let entriesUpdated = 0;
-  await tagStorage.write(state => {
+  await journaledWrite(await tagContext(dbName), 'rename tags', state => {
     entriesUpdated = state.renameTags(renameMap);
 
     if (entriesUpdated < 1)
@@ -70,12 +211,13 @@ export async function renameTags(...tags) {
 
 /**
  * Delete all occurences of one or more tags.
+ * @param {string} dbName Database name.
  * @param {string[]} tags Tags to delete.
  * @returns {Promise<number>} Entries updated.
  */
-export async function deleteTags(...tags) {
+export async function deleteTags(dbName, ...tags) {
   let entriesUpdated = 0;
-  await tagStorage.write(state => {
+  await journaledWrite(await tagContext(dbName), 'delete tags', state => {
     entriesUpdated = state.deleteTags(tags);
 
     if (entriesUpdated < 1)
@@ -85,27 +227,506 @@ export async function deleteTags(...tags) {
   return entriesUpdated;
 }
 
+/**
+ * Alias one or more tags to a canonical tag, applied on future writes.
+ * @param {string} dbName Database name.
+ * @param {string} canonical Canonical tag.
+ * @param {string[]} aliases Tags to alias.
+ * @returns {Promise<number>} Aliases added or changed.
+ */
+export async function aliasTags(dbName, canonical, ...aliases) {
+  let aliasesSet = 0;
+  await journaledWrite(await tagContext(dbName), 'alias tags', state => {
+    aliasesSet = state.setAliases(canonical, aliases);
+
+    if (aliasesSet < 1)
+      throw 'rollback';
+  });
+
+  return aliasesSet;
+}
+
+/**
+ * Remove one or more aliases.
+ * @param {string} dbName Database name.
+ * @param {string[]} aliases Aliases to remove.
+ * @returns {Promise<number>} Aliases removed.
+ */
+export async function unaliasTags(dbName, ...aliases) {
+  let aliasesDeleted = 0;
+  await journaledWrite(await tagContext(dbName), 'unalias tags', state => {
+    aliasesDeleted = state.deleteAliases(aliases);
+
+    if (aliasesDeleted < 1)
+      throw 'rollback';
+  });
+
+  return aliasesDeleted;
+}
+
+/**
+ * Make tag imply one or more tags, applied on future writes.
+ * @param {string} dbName Database name.
+ * @param {string} tag Implying tag.
+ * @param {string[]} impliedTags Tags to imply.
+ * @returns {Promise<number>} Implications added.
+ */
+export async function implyTags(dbName, tag, ...impliedTags) {
+  let implicationsSet = 0;
+  await journaledWrite(await tagContext(dbName), 'imply tags', state => {
+    implicationsSet = state.setImplications(tag, impliedTags);
+
+    if (implicationsSet < 1)
+      throw 'rollback';
+  });
+
+  return implicationsSet;
+}
+
+/**
+ * Remove implications from tag, all of them if none given.
+ * @param {string} dbName Database name.
+ * @param {string} tag Implying tag.
+ * @param {string[]} impliedTags Implied tags to remove.
+ * @returns {Promise<number>} Implications removed.
+ */
+export async function unimplyTags(dbName, tag, ...impliedTags) {
+  let implicationsDeleted = 0;
+  await journaledWrite(await tagContext(dbName), 'unimply tags', state => {
+    implicationsDeleted = state.deleteImplications(tag, impliedTags);
+
+    if (implicationsDeleted < 1)
+      throw 'rollback';
+  });
+
+  return implicationsDeleted;
+}
+
+/**
+ * Apply alias and implication rules to all existing entries.
+ * @param {string} dbName Database name.
+ * @returns {Promise<number>} Entries updated.
+ */
+export async function applyTagRules(dbName) {
+  let entriesUpdated = 0;
+  await journaledWrite(await tagContext(dbName), 'apply tag rules', state => {
+    entriesUpdated = state.applyTagRules();
+
+    if (entriesUpdated < 1)
+      throw 'rollback';
+  });
+
+  return entriesUpdated;
+}
+
 /**
  * Return amount entries whose files are no longer accessible.
+ * @param {string} dbName Database name.
  * @param {boolean} [deleteOrphans=false] Either to delete orphans entries if found.
  * @returns {Promise<number>} Orphaned entry count.
  */
-export async function countOrphans(deleteOrphans = false) {
-  const orphans = await tagStorage.listOrphans(deleteOrphans);
+export async function countOrphans(dbName, deleteOrphans = false) {
+  const context = await tagContext(dbName);
+  const orphans = await context.storage.listOrphans(false);
+
+  if (deleteOrphans && orphans.length > 0) {
+    await journaledWrite(context, 'delete orphans', state => {
+      for (const key of orphans)
+        state.delete(key);
+    });
+  }
+
   return orphans.length;
 }
 
 /**
- * Monitor tagStorage file and broadcast sync requests 
- * to renderer instances on detected changes.
+ * Fingerprint accessible entries lacking one, as those tagged before fingerprinting.
+ * @param {string} dbName Database name.
+ * @returns {Promise<number>} Entries fingerprinted.
+ */
+export async function fingerprintEntries(dbName) {
+  const { storage } = await tagContext(dbName);
+  const state = await storage.getState();
+  const prints = /** @type {Map<string, string>} */ (new Map());
+
+  // sequentially, as there may be thousands
+  for ( const filePath of state.keys() ) {
+    if (state.getPrint(filePath) != null)
+      continue;
+
+    const print = await fingerprint(filePath);
+    if (print != null)
+      prints.set(filePath, print);
+  }
+
+  let entriesUpdated = 0;
+  await storage.write(state => {
+    prints.forEach((print, filePath) => {
+      if ( state.setPrint(filePath, print) )
+        entriesUpdated++;
+    });
+
+    if (entriesUpdated < 1)
+      throw 'rollback';
+  });
+
+  return entriesUpdated;
+}
+
+/**
+ * Search folders for files of orphaned entries by fingerprint, then relink entries to them.
+ * - Entries matching more than one orphan or file are ambiguous, left untouched.
+ * @param {string} dbName Database name.
+ * @param {string[]} roots Absolute paths to folders to search recursively.
+ * @returns {Promise<RelinkReport>}
+ */
+export async function relinkFiles(dbName, ...roots) {
+  const context = await tagContext(dbName);
+  const fingerprinted = await fingerprintEntries(dbName);
+  const orphans = await context.storage.listOrphans(false);
+  const state = await context.storage.getState();
+
+  // fingerprint -> orphan, null if ambiguous
+  const orphanByPrint = /** @type {Map<string, string?>} */ (new Map());
+  for (const orphan of orphans) {
+    const print = state.getPrint(orphan);
+    if (print != null)
+      orphanByPrint.set(print, orphanByPrint.has(print) ? null : orphan);
+  }
+
+  const located = await locateFingerprints( roots, new Set( orphanByPrint.keys() ) );
+
+  /** @type {[string, string][]} */
+  const relinked = [];
+  await journaledWrite(context, 'relink files', state => {
+    orphanByPrint.forEach((orphan, print) => {
+      const candidates = (located.get(print) ?? [])
+        .filter( filePath => !state.has(filePath) );
+
+      if (orphan != null && candidates.length === 1 && state.moveEntry(orphan, candidates[0]) )
+        relinked.push([orphan, candidates[0]]);
+    });
+
+    if (relinked.length < 1)
+      throw 'rollback';
+  });
+
+  const relinkedOrphans = new Set( relinked.map(([orphan]) => orphan) );
+
+  return {
+    relinked: relinked,
+    unmatched: orphans.filter( orphan => !relinkedOrphans.has(orphan) ),
+    fingerprinted: fingerprinted
+  };
+}
+
+/**
+ * Export tags of all entries to a JSON or CSV file, or to sidecar XMP files next to tagged files.
+ * @param {string} dbName Database name.
+ * @param {string} exportPath Absolute path to export file. Ignored for `xmp`.
+ * @param {TagFormat} format Export format.
+ * @returns {Promise<number>} Entries exported.
+ */
+export async function exportTags(dbName, exportPath, format) {
+  exportPath = expandPath(exportPath);
+  const { storage } = await tagContext(dbName);
+  const state = await storage.getState();
+  const entries = state.solved();
+
+  if (format === 'xmp')
+    return await writeSidecars(dbName, [ ...entries.keys() ]);
+
+  const text = interop.serializeTags(entries, exportPath, format);
+  const error = await new Promise(resolve => {
+    fs.writeFile( exportPath, text, 'utf8', (err) => resolve(err) );
+  });
+
+  if (error != null) {
+    console.error(`MXIV::ERROR: Failed to export tags to "${exportPath}":`, error);
+    return 0;
+  }
+
+  return entries.size;
+}
+
+/**
+ * Import tags from a JSON, CSV or sidecar XMP file, or from all sidecars in a folder, recursively.
+ * - Imported tags are added to existing ones, for files found only.
+ * @param {string} dbName Database name.
+ * @param {string} importPath Absolute path to file or folder.
+ * @returns {Promise<number>} Entries updated.
+ * @throws {SyntaxError} On malformed JSON or CSV.
+ */
+export async function importTags(dbName, importPath) {
+  importPath = expandPath(importPath);
+  const stats = await statPath(importPath);
+  if (stats == null)
+    return 0;
+
+  const format = extname(importPath).slice(1).toLowerCase();
+  let tagMap = /** @type {Map<string, string[]>} */ (new Map());
+
+  if ( stats.isFile() && (format === 'json' || format === 'csv') ) {
+    const text = await readText(importPath);
+    if (text == null)
+      throw new Error(`Can't read "${importPath}"`);
+
+    tagMap = interop.parseTags(text, importPath, format);
+  } else {
+    const sidecars = stats.isDirectory()
+      ? await folderSidecars(importPath)
+      : new Map([[ importPath, interop.sidecarTarget( importPath, await readListing( dirname(importPath) ) ) ]]);
+
+    await inBatches([...sidecars], async ([sidecar, target]) => {
+      const text = target != null ? await readText(sidecar) : null;
+      if (target != null && text != null)
+        tagMap.set( target, interop.xmpKeywords(text) );
+    });
+  }
+
+  // keep files found only
+  await inBatches([...tagMap], async ([filePath, tags]) => {
+    await statPath(filePath) != null
+      ? tagMap.set( filePath, treatKeywords(tags) )
+      : tagMap.delete(filePath);
+  });
+
+  return await mergeTags(await tagContext(dbName), tagMap, 'import tags');
+}
+
+/**
+ * Return sidecar XMP files in folder and its subfolders, walked asynchronously.
+ * - Each folder is listed once, as shared by the target lookups of all its sidecars.
+ * @param {string} folder Absolute path to folder.
+ * @returns {Promise<Map<string, string?>>} Sidecar path -> Described file path, if found.
+ */
+async function folderSidecars(folder) {
+  const sidecars = /** @type {Map<string, string?>} */ (new Map());
+  const pendingFolders = [folder];
+
+  while (pendingFolders.length > 0) {
+    const currentFolder = /** @type {string} */ (pendingFolders.pop());
+
+    /** @type {fs.Dirent[]} */
+    const dirents = await new Promise(resolve => {
+      fs.readdir( currentFolder, { withFileTypes: true }, (err, dirents) => resolve(err ? [] : dirents) );
+    });
+
+    const listing = interop.indexListing( dirents.map(dirent => dirent.name) );
+
+    for (const dirent of dirents) {
+      const path = join(currentFolder, dirent.name);
+
+      if ( dirent.isDirectory() )
+        pendingFolders.push(path);
+      else if ( extname(dirent.name).toLowerCase() === '.xmp' )
+        sidecars.set( path, interop.sidecarTarget(path, listing) );
+    }
+  }
+
+  return sidecars;
+}
+
+/**
+ * Read text file. Null if unreadable.
+ * @param {string} path Absolute file path.
+ * @returns {Promise<string?>}
+ */
+function readText(path) {
+  return new Promise(resolve => {
+    fs.readFile( path, 'utf8', (err, text) => resolve(err ? null : text) );
+  });
+}
+
+/**
+ * Return file stats. Null if unreachable.
+ * @param {string} path Absolute file path.
+ * @returns {Promise<fs.Stats?>}
+ */
+function statPath(path) {
+  return new Promise(resolve => {
+    fs.stat( path, (err, stats) => resolve(err ? null : stats) );
+  });
+}
+
+/**
+ * Return folder listing indexed for sidecar lookups. Empty if unreadable.
+ * @param {string} folder Absolute folder path.
+ * @returns {Promise<SidecarListing>}
+ */
+function readListing(folder) {
+  return new Promise(resolve => {
+    fs.readdir( folder, (err, names) => resolve( interop.indexListing(err ? [] : names) ) );
+  });
+}
+
+/**
+ * Run task for every item, `INSPECTLIMIT` items at a time.
+ * @template T
+ * @param {T[]} items Items to process.
+ * @param {(item: T) => Promise<void>} task Task to run.
+ */
+async function inBatches(items, task) {
+  for (let i = 0; i < items.length; i += INSPECTLIMIT)
+    await Promise.all( items.slice(i, i + INSPECTLIMIT).map(task) );
+}
+
+/**
+ * Add keywords embedded in image file as tags, once per session and database.
+ * - Files extracted from archives are skipped.
+ * @param {string} dbName Database name.
+ * @param {string} filePath Absolute path to file.
+ * @returns {Promise<boolean>} Either entry was updated.
+ */
+export async function importEmbeddedTags(dbName, filePath) {
+  if ( leaseOwningFile(filePath) != null )
+    return false;
+
+  const { embeddedChecked } = await tagContext(dbName);
+  if ( embeddedChecked.has(filePath) )
+    return false;
+
+  embeddedChecked.add(filePath);
+  const keywords = treatKeywords( await interop.readEmbeddedKeywords(filePath) );
+
+  return keywords.length > 0 && await tagFiles(dbName, [filePath], ...keywords) > 0;
+}
+
+/**
+ * Write current entry tags to sidecar XMP files, `file.ext.xmp` unless a `file.xmp` exists.
+ * - Files extracted from archives are skipped.
+ * - Each folder is listed once, as shared by the sidecar lookups of all its files.
+ * @param {string} dbName Database name.
+ * @param {string[]} filePaths Absolute paths to tagged files.
+ * @returns {Promise<number>} Sidecars written.
+ */
+export async function writeSidecars(dbName, filePaths) {
+  const { storage } = await tagContext(dbName);
+  const state = await storage.getState();
+  let sidecarsWritten = 0;
+
+  /** @type {Map<string, Promise<SidecarListing>>} */
+  const listings = new Map();
+
+  await inBatches(filePaths, async (filePath) => {
+    if ( leaseOwningFile(filePath) != null )
+      return;
+
+    const folder = dirname(filePath);
+    const listing = listings.get(folder) ?? readListing(folder);
+    listings.set(folder, listing);
+
+    if ( !(await listing).names.has( basename(filePath) ) )
+      return;
+
+    const sidecar = interop.findSidecar(filePath, await listing);
+    const tags = state.get(filePath);
+
+    // don't create sidecars only to say there are no tags
+    if (sidecar == null && tags.length < 1)
+      return;
+
+    const xml = sidecar != null ? await readText(sidecar) : undefined;
+    const text = xml !== null ? interop.sidecarXmp(tags, xml) : null;
+
+    if (text == null) {
+      console.warn(`MXIV::WARN: Can't edit sidecar "${sidecar}". Skipping.`);
+      return;
+    }
+
+    /** @type {NodeJS.ErrnoException?} */
+    const error = await new Promise(resolve => {
+      fs.writeFile( sidecar ?? `${filePath}.xmp`, text, 'utf8', (err) => resolve(err) );
+    });
+
+    if (error != null)
+      console.warn(`MXIV::WARN: Failed to write sidecar for "${filePath}":`, error);
+    else
+      sidecarsWritten++;
+  });
+
+  return sidecarsWritten;
+}
+
+/**
+ * Undo last tag transaction made this session.
+ * @param {string} dbName Database name.
+ * @returns {Promise<TagReplayReport?>} Report, `null` if nothing to undo.
  */
-async function initialize() {
-  tagStorage.watchStorage(() => {
-    broadcast('tags:sync');
+export async function undoTags(dbName) {
+  return await replayJournal(await tagContext(dbName), true);
+}
+
+/**
+ * Redo last undone tag transaction.
+ * @param {string} dbName Database name.
+ * @returns {Promise<TagReplayReport?>} Report, `null` if nothing to redo.
+ */
+export async function redoTags(dbName) {
+  return await replayJournal(await tagContext(dbName), false);
+}
+
+/**
+ * Replay next journaled transaction through storage, then sync renderers.
+ * - Entries changed since the transaction are left untouched.
+ * @param {TagContext} context Database context.
+ * @param {boolean} undo Either to undo or redo.
+ * @returns {Promise<TagReplayReport?>}
+ */
+async function replayJournal(context, undo) {
+  const { file, storage, journal } = context;
+  const change = journal.peek(undo);
+  if (change == null)
+    return null;
+
+  /** @type {TagReplayReport?} */
+  let report = null;
+  const success = await storage.write(state => {
+    report = TagJournal.replay(change, undo, state);
   });
 
-  console.log('MXIV: Monitoring TagStorage file changes.');
+  if (!success)
+    return null;
+
+  journal.commit(undo);
+  broadcast('tags:sync', file);
+
+  return report;
+}
+
+/**
+ * Run storage transaction, journaling its changes so it can be undone.
+ * @param {TagContext} context Database context.
+ * @param {string} label Transaction description.
+ * @param {(state: TagState) => void} transaction Transaction, throw to rollback.
+ * @returns {Promise<boolean>} Success.
+ */
+async function journaledWrite(context, label, transaction) {
+  /** @type {ReturnType<typeof TagJournal.diff>} */
+  let change = null;
+
+  const success = await context.storage.write(state => {
+    const captured = TagJournal.capture(state);
+    transaction(state);
+    change = TagJournal.diff(label, captured, state);
+  });
+
+  if (success)
+    context.journal.record(change);
+
+  return success;
+}
+
+/**
+ * Treat foreign keywords as tags.
+ * @param {string[]} keywords
+ * @returns {string[]}
+ */
+function treatKeywords(keywords) {
+  return keywords.map( keyword => keyword.toLowerCase().trim() )
+    .filter(keyword => keyword !== '');
 }
 
 
-initialize();
+// monitor default database from startup, as other databases are only once used
+createContext({ name: DEFAULTDATABASE, file: tagDBFile, relative: false });
@@ -1,22 +1,43 @@
 // @ts-check
 import { TagStorage, TagState } from './tagStorage.js';
+import { tagDBFile } from '../tool/appPaths.js';
 import { ipcRenderer } from 'electron';
 
 
 /**
- * Tag Storage to read-only in renderer process.
+ * @import { TagRules, TagStat } from './tagStorage.js'
+ * @import { TagDatabase } from './tagDatabases.js'
  */
-const tagStorage = new TagStorage()
+
+
+/**
+ * Tag database this window reads and writes to.
+ * @type {TagDatabase}
+ */
+let database = { name: 'default', file: tagDBFile, relative: false };
+
+/**
+ * Tag Storage to read-only in renderer process, following active database.
+ * - Mirrors whole database state, caught up from the storage log on every sync.
+ */
+let tagStorage = new TagStorage()
 
 /**
- * Cached TagStoraged properties.
- * @type {{state: TagState, uniqueTags: string[]}}
+ * Cached TagStoraged properties. Stats built on demand.
+ * @type {{state: TagState, uniqueTags: string[], stats: TagStat[]?}}
  */
 const cache = {
   state: new TagState(),
-  uniqueTags: []
+  uniqueTags: [],
+  stats: null
 };
 
+/**
+ * Callbacks to run after cache is synced.
+ * @type {(() => void)[]}
+ */
+const syncCallbacks = [];
+
 
 /**
  * Return file tags as an array.
@@ -28,11 +49,94 @@ export function getTags(filePath) {
 }
 
 /**
- * Return unique tags.
+ * Return unique tags, optionally only those within a namespace.
+ * @param {String} [namespace] Parent tag, as in `places/europe`.
  * @returns {String[]}
  */
-export function uniqueTags() {
-  return cache.uniqueTags;
+export function uniqueTags(namespace) {
+  return namespace
+    ? cache.uniqueTags.filter( tag => TagState.isWithin(tag, namespace) )
+    : cache.uniqueTags;
+}
+
+/**
+ * Return tags one level below parent, or top-level tags if none.
+ * @param {String} [parent] Parent tag, as in `places/` or `character:`.
+ * @returns {String[]}
+ */
+export function childTags(parent) {
+  return cache.state.childTags(parent);
+}
+
+/**
+ * Return whether tag is parent itself or nested under it.
+ * - Parents with a trailing separator, as in `places/`, only match nested tags.
+ * @param {String} tag Tag name.
+ * @param {String} parent Parent tag name.
+ * @returns {Boolean}
+ */
+export function isWithinTag(tag, parent) {
+  return TagState.isWithin(tag, parent);
+}
+
+/**
+ * Return tag hierarchy separators.
+ * @returns {String[]}
+ */
+export function tagSeparators() {
+  return [...TagState.separators];
+}
+
+/**
+ * Return tag alias and implication rules.
+ * @returns {TagRules}
+ */
+export function tagRules() {
+  return cache.state.tagRules();
+}
+
+/**
+ * Return usage statistics for every tag.
+ * @returns {TagStat[]}
+ */
+export function tagStats() {
+  return cache.stats ??= cache.state.tagStats();
+}
+
+/**
+ * Run callback whenever cache is synced to storage changes.
+ * @param {() => void} callback
+ */
+export function onSync(callback) {
+  syncCallbacks.push(callback);
+}
+
+/**
+ * Return active tag database.
+ * @returns {TagDatabase}
+ */
+export function activeDatabase() {
+  return database;
+}
+
+/**
+ * Switch window to database, then sync cache to it.
+ * @param {string} name Database name.
+ * @returns {Promise<TagDatabase?>} Active database, null if it can't be used.
+ */
+export async function useDatabase(name) {
+  /** @type {TagDatabase?} */
+  const newDatabase = await ipcRenderer.invoke('tags:useDatabase', name);
+  if (newDatabase == null)
+    return null;
+
+  database = newDatabase;
+  tagStorage = new TagStorage(database.file, database.relative);
+
+  await updateTagCache();
+  syncCallbacks.forEach( callback => callback() );
+
+  return database;
 }
 
 /**
@@ -43,23 +147,42 @@ export async function listOrphans() {
 }
 
 /**
- * Refresh cache with up-to-date values.
+ * Refresh cache with up-to-date values. Storage applies only changes logged since last refresh.
  */
 async function updateTagCache() {
-  cache.state = await tagStorage.getState();
+  const storage = tagStorage;
+  const state = await storage.getState();
+
+  // database switched meanwhile, its own update wins
+  if (storage !== tagStorage)
+    return;
+
+  cache.state = state;
   cache.uniqueTags = cache.state.uniqueTags();
+  cache.stats = null;
 }
 
 /**
  * Listen for main process tag controller sync requests.
- * Sync tag storage state to persistent JSON file.
+ * Sync tag storage state to persistent JSON file, if from active database.
  */
-ipcRenderer.on('coord:onbroadcast', async (_e, message) => {
-  if (message === 'tags:sync') {
-    updateTagCache();
+ipcRenderer.on('coord:onbroadcast', async (_e, message, file) => {
+  if (message === 'tags:sync' && (file == null || file === database.file) ) {
+    await updateTagCache();
+    syncCallbacks.forEach( callback => callback() );
     console.log('MXIV::broadcast: tags:sync');
   }
 })
 
+/**
+ * Fall back to default database when the active one is unregistered, from any window.
+ */
+ipcRenderer.on('coord:onbroadcast', async (_e, message, name) => {
+  if (message === 'tags:removeDatabase' && name === database.name) {
+    await useDatabase('default');
+    console.log('MXIV::broadcast: tags:removeDatabase');
+  }
+})
+
 
 updateTagCache();
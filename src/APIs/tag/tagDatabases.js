@@ -0,0 +1,145 @@
+// @ts-check
+import { JsonStorage } from '../tool/jsonStorage.js';
+import { tagDBFile, tagDatabasesFile } from '../tool/appPaths.js';
+import { expandPath } from '../file/fileTools.js';
+import { broadcast } from '../tool/coordinationUtils.js';
+import fs from 'fs';
+import { join } from 'path';
+
+
+/**
+ * Named tag database.
+ * @typedef TagDatabase
+ * @property {string} name Database name.
+ * @property {string} file Absolute path to storage file.
+ * @property {boolean} relative Either entries are stored relative to storage file folder.
+ */
+
+/**
+ * Persisted tag database registry entry.
+ * @typedef {Omit<TagDatabase, 'name'>} TagDatabaseEntry
+ */
+
+
+/**
+ * Name of the built-in database, at MXIV tagDB filepath.
+ */
+export const DEFAULTDATABASE = 'default';
+
+/**
+ * Storage file name for databases given a folder, as the root of a removable drive.
+ */
+const FOLDERDBNAME = 'mxivTags.json';
+
+/**
+ * Registered databases, as name -> entry. Created on first use.
+ * @type {JsonStorage<TagDatabaseEntry>?}
+ */
+let registry = null;
+
+/**
+ * Window webContents ID -> Active database name.
+ * @type {Map<number, string>}
+ */
+const windowDatabases = new Map();
+
+
+/**
+ * Get database registry, create it if needed.
+ * @returns {JsonStorage<TagDatabaseEntry>}
+ */
+function getRegistry() {
+  return registry ??= new JsonStorage(tagDatabasesFile);
+}
+
+/**
+ * Return all databases, built-in one first.
+ * @returns {Promise<TagDatabase[]>}
+ */
+export async function listDatabases() {
+  const state = await getRegistry().getState();
+  const databases = [...state].map( ([name, entry]) => ({ name, ...entry }) );
+
+  return [{ name: DEFAULTDATABASE, file: tagDBFile, relative: false }, ...databases];
+}
+
+/**
+ * Return database by name, if registered.
+ * @param {string} name Database name.
+ * @returns {Promise<TagDatabase?>}
+ */
+export async function getDatabase(name) {
+  const databases = await listDatabases();
+  return databases.find(database => database.name === name) ?? null;
+}
+
+/**
+ * Register database, or update it if name is taken.
+ * - Folders hold their database in a `mxivTags.json` file.
+ * @param {string} name Database name.
+ * @param {string} path Path to storage file or folder.
+ * @param {boolean} [relative=false] Store entries relative to storage file folder.
+ * @returns {Promise<TagDatabase?>} Registered database, null if name is reserved or write failed.
+ */
+export async function addDatabase(name, path, relative = false) {
+  if (name === DEFAULTDATABASE)
+    return null;
+
+  let file = expandPath(path);
+  if ( fs.statSync(file, { throwIfNoEntry: false })?.isDirectory() )
+    file = join(file, FOLDERDBNAME);
+
+  const success = await getRegistry().write(state => {
+    state.set(name, { file, relative });
+  });
+
+  return success ? { name, file, relative } : null;
+}
+
+/**
+ * Unregister database. Its storage file is kept.
+ * - Windows using it fall back to the built-in database, and are told to switch through a
+ * `tags:removeDatabase` broadcast.
+ * @param {string} name Database name.
+ * @returns {Promise<boolean>} Either database was registered.
+ */
+export async function removeDatabase(name) {
+  let removed = false;
+  await getRegistry().write(state => {
+    removed = state.delete(name);
+
+    if (!removed)
+      throw 'rollback';
+  });
+
+  if (!removed)
+    return false;
+
+  for (const [windowID, database] of windowDatabases) {
+    if (database === name)
+      windowDatabases.delete(windowID);
+  }
+
+  broadcast('tags:removeDatabase', name);
+  return true;
+}
+
+/**
+ * Return active database name for window.
+ * @param {number} windowID Window webContents ID.
+ * @returns {string}
+ */
+export function windowDatabase(windowID) {
+  return windowDatabases.get(windowID) ?? DEFAULTDATABASE;
+}
+
+/**
+ * Set active database for window, forgotten once window closes.
+ * @param {number} windowID Window webContents ID.
+ * @param {string} name Database name.
+ */
+export function setWindowDatabase(windowID, name) {
+  name === DEFAULTDATABASE
+    ? windowDatabases.delete(windowID)
+    : windowDatabases.set(windowID, name);
+}
@@ -0,0 +1,469 @@
+// @ts-check
+import fs from 'fs';
+import { dirname, basename, extname, join, relative, isAbsolute, resolve } from 'path';
+import { inflateSync } from 'zlib';
+import { readBytes } from '../file/fileTools.js';
+
+
+/**
+ * @typedef {'json'|'csv'|'xmp'} TagFormat
+ */
+
+
+/**
+ * Supported tag import/export formats.
+ * @type {TagFormat[]}
+ */
+export const TAGFORMATS = ['json', 'csv', 'xmp'];
+
+/**
+ * JPEG APP1 XMP namespace header.
+ */
+const XMPHEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+/**
+ * Segments or chunks to walk before giving up on a file.
+ */
+const MAXBLOCKS = 1024;
+
+
+/**
+ * Read keywords embedded in JPEG, PNG and WebP files, as XMP `dc:subject` or IPTC keywords.
+ * - Only metadata blocks are read, not image data.
+ * @param {string} filePath Absolute path to file.
+ * @returns {Promise<string[]>} Keywords, empty if none or unsupported.
+ */
+export async function readEmbeddedKeywords(filePath) {
+  /** @type {number?} */
+  const fd = await new Promise(resolve => {
+    fs.open( filePath, 'r', (err, fd) => resolve(err ? null : fd) );
+  });
+
+  if (fd == null)
+    return [];
+
+  const header = await readBytes(fd, 0, 12);
+  let keywords = /** @type {string[]} */ ([]);
+
+  try {
+    if ( header.length >= 4 && header[0] === 0xFF && header[1] === 0xD8 )
+      keywords = await jpegKeywords(fd);
+    else if ( header.length >= 8 && header.readUInt32BE(0) === 0x89504E47 )
+      keywords = await pngKeywords(fd);
+    else if ( header.length >= 12 && header.toString('latin1', 8, 12) === 'WEBP' )
+      keywords = await webpKeywords(fd);
+  } catch (err) {
+    console.warn(`MXIV::WARN: Failed to read embedded keywords from "${filePath}":`, err);
+  }
+
+  await new Promise( resolve => fs.close(fd, resolve) );
+  return [...new Set(keywords)];
+}
+
+/**
+ * Walk JPEG segments for XMP (APP1) and IPTC (APP13) keywords, until image data.
+ * @param {number} fd File descriptor.
+ * @returns {Promise<string[]>}
+ */
+async function jpegKeywords(fd) {
+  const keywords = [];
+  let position = 2;
+
+  for (let segments = 0; segments < MAXBLOCKS; segments++) {
+    const segment = await readBytes(fd, position, 4);
+    if (segment.length < 4 || segment[0] !== 0xFF || segment[1] === 0xDA)
+      break; // end of headers, start-of-scan
+
+    const marker = segment[1];
+    const length = segment.readUInt16BE(2);
+
+    if (marker === 0xE1 || marker === 0xED) {
+      const data = await readBytes(fd, position + 4, length - 2);
+
+      if ( marker === 0xE1 && data.toString('latin1', 0, XMPHEADER.length) === XMPHEADER )
+        keywords.push( ...xmpKeywords( data.toString('utf8', XMPHEADER.length) ) );
+      else if ( marker === 0xED && data.toString('latin1', 0, 14) === 'Photoshop 3.0\0' )
+        keywords.push( ...iptcKeywords( data.subarray(14) ) );
+    }
+
+    position += 2 + length;
+  }
+
+  return keywords;
+}
+
+/**
+ * Walk PNG chunks for XMP in `iTXt` chunks.
+ * @param {number} fd File descriptor.
+ * @returns {Promise<string[]>}
+ */
+async function pngKeywords(fd) {
+  const keywords = [];
+  let position = 8;
+
+  for (let chunks = 0; chunks < MAXBLOCKS; chunks++) {
+    const chunk = await readBytes(fd, position, 8);
+    if (chunk.length < 8)
+      break;
+
+    const length = chunk.readUInt32BE(0);
+    const type = chunk.toString('latin1', 4, 8);
+
+    if (type === 'IEND')
+      break;
+
+    if (type === 'iTXt') {
+      const data = await readBytes(fd, position + 8, length);
+      const keywordEnd = data.indexOf(0);
+
+      // keyword\0, compression flag & method, language\0, translated keyword\0, text
+      if (data.toString('latin1', 0, keywordEnd) === 'XML:com.adobe.xmp') {
+        const compressed = data[keywordEnd + 1] === 1;
+        const languageEnd = data.indexOf(0, keywordEnd + 3);
+        const textStart = data.indexOf(0, languageEnd + 1) + 1;
+        const text = data.subarray(textStart);
+
+        keywords.push( ...xmpKeywords( (compressed ? inflateSync(text) : text).toString('utf8') ) );
+      }
+    }
+
+    position += 12 + length; // length, type, data, crc
+  }
+
+  return keywords;
+}
+
+/**
+ * Walk WebP RIFF chunks for an `XMP ` chunk.
+ * @param {number} fd File descriptor.
+ * @returns {Promise<string[]>}
+ */
+async function webpKeywords(fd) {
+  let position = 12;
+
+  for (let chunks = 0; chunks < MAXBLOCKS; chunks++) {
+    const chunk = await readBytes(fd, position, 8);
+    if (chunk.length < 8)
+      break;
+
+    const type = chunk.toString('latin1', 0, 4);
+    const length = chunk.readUInt32LE(4);
+
+    if (type === 'XMP ') {
+      const data = await readBytes(fd, position + 8, length);
+      return xmpKeywords( data.toString('utf8') );
+    }
+
+    position += 8 + length + (length % 2); // chunks are padded to even sizes
+  }
+
+  return [];
+}
+
+/**
+ * Parse keywords from IPTC-NAA records in a Photoshop image resource block.
+ * @param {Buffer} data Image resource blocks.
+ * @returns {string[]}
+ */
+function iptcKeywords(data) {
+  const keywords = [];
+  let position = 0;
+
+  // 8BIM, resource ID, even-padded pascal name, size, even-padded data
+  while ( position + 12 <= data.length && data.toString('latin1', position, position + 4) === '8BIM' ) {
+    const resourceID = data.readUInt16BE(position + 4);
+    const nameLength = data[position + 6];
+    const sizePosition = position + 6 + nameLength + 1 + ( (nameLength + 1) % 2 );
+    const size = data.readUInt32BE(sizePosition);
+    const start = sizePosition + 4;
+
+    // IPTC-NAA record, keywords are datasets 2:25
+    if (resourceID === 0x0404) {
+      for (let i = start; i + 5 <= start + size && data[i] === 0x1C;) {
+        const length = data.readUInt16BE(i + 3);
+
+        if (data[i + 1] === 2 && data[i + 2] === 25)
+          keywords.push( data.toString('utf8', i + 5, i + 5 + length) );
+
+        i += 5 + length;
+      }
+    }
+
+    position = start + size + (size % 2);
+  }
+
+  return keywords;
+}
+
+/**
+ * Parse `dc:subject` keywords from XMP text.
+ * @param {string} xml XMP packet or sidecar text.
+ * @returns {string[]}
+ */
+export function xmpKeywords(xml) {
+  const subject = xml.match(/<dc:subject\b[^>]*>([\s\S]*?)<\/dc:subject>/);
+  if (subject == null)
+    return [];
+
+  return [...subject[1].matchAll(/<rdf:li\b[^>]*>([\s\S]*?)<\/rdf:li>/g)]
+    .map( ([, keyword]) => decodeXml(keyword).trim() )
+    .filter(keyword => keyword !== '');
+}
+
+/**
+ * Return sidecar XMP text with `dc:subject` set to tags.
+ * - Other metadata in existing sidecars is preserved.
+ * @param {string[]} tags Tags to write.
+ * @param {string} [xml] Existing sidecar text, if any.
+ * @returns {string?} Sidecar text, `null` if existing sidecar isn't editable.
+ */
+export function sidecarXmp(tags, xml) {
+  const subject = [
+    '<dc:subject>',
+    '    <rdf:Bag>',
+    ...tags.map( tag => `     <rdf:li>${encodeXml(tag)}</rdf:li>` ),
+    '    </rdf:Bag>',
+    '   </dc:subject>'
+  ].join('\n');
+
+  const description = [
+    '  <rdf:Description rdf:about=""',
+    '    xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    `   ${subject}`,
+    '  </rdf:Description>\n'
+  ].join('\n');
+
+  if (xml == null)
+    return [
+      '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+      ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+      `${description} </rdf:RDF>`,
+      '</x:xmpmeta>',
+      '<?xpacket end="w"?>\n'
+    ].join('\n');
+
+  const subjectRegex = /<dc:subject\b[^>]*>[\s\S]*?<\/dc:subject>/;
+  if ( subjectRegex.test(xml) )
+    return xml.replace(subjectRegex, () => subject);
+
+  // descriptions may be split, so add our own
+  const rdfEnd = xml.lastIndexOf('</rdf:RDF>');
+  if (rdfEnd < 0)
+    return null;
+
+  return `${xml.slice(0, rdfEnd)}${description} ${xml.slice(rdfEnd)}`;
+}
+
+/**
+ * Return existing sidecar path for file, `file.ext.xmp` over `file.xmp`.
+ * - `file.xmp` only if no other file shares its name, as `file.png` for `file.jpg`.
+ * @param {string} filePath Absolute path to file.
+ * @param {SidecarListing} [listing] File folder listing, read from disk if not given.
+ * @returns {string?}
+ */
+export function findSidecar(filePath, listing) {
+  const exists = (/** @type {string} */ path) => listing != null
+    ? listing.names.has( basename(path) )
+    : fs.existsSync(path);
+
+  if ( exists(`${filePath}.xmp`) )
+    return `${filePath}.xmp`;
+
+  const sidecar = join( dirname(filePath), `${basename( filePath, extname(filePath) )}.xmp` );
+
+  return sidecar !== filePath && exists(sidecar) && sidecarTarget(sidecar, listing) === filePath
+    ? sidecar
+    : null;
+}
+
+/**
+ * Folder listing indexed for sidecar lookups, as to resolve all sidecars in a folder from one listing.
+ * @typedef SidecarListing
+ * @property {Set<string>} names File basenames.
+ * @property {Map<string, string[]>} stems Basenames by their name without extension.
+ */
+
+/**
+ * Index folder listing for sidecar lookups.
+ * @param {string[]} names File basenames in folder.
+ * @returns {SidecarListing}
+ */
+export function indexListing(names) {
+  const stems = /** @type {Map<string, string[]>} */ (new Map());
+
+  for (const name of names) {
+    const stem = basename( name, extname(name) );
+    stems.set(stem, [...stems.get(stem) ?? [], name]);
+  }
+
+  return { names: new Set(names), stems };
+}
+
+/**
+ * Return file described by a sidecar, `file.ext` for `file.ext.xmp`,
+ * or the only file named `file.*` for `file.xmp`.
+ * @param {string} sidecarPath Absolute path to sidecar.
+ * @param {SidecarListing} [listing] Sidecar folder listing, read from disk if not given.
+ * @returns {string?}
+ */
+export function sidecarTarget(sidecarPath, listing) {
+  const target = sidecarPath.slice(0, -extname(sidecarPath).length);
+  const stem = basename(target);
+  const targetExists = listing != null ? listing.names.has(stem) : fs.existsSync(target);
+
+  if ( extname(target) !== '' && targetExists )
+    return target;
+
+  listing ??= indexListing( fs.readdirSync( dirname(sidecarPath) ) );
+  const siblings = ( listing.stems.get(stem) ?? [] )
+    .filter( name => name !== basename(sidecarPath) );
+
+  return siblings.length === 1 ? join( dirname(sidecarPath), siblings[0] ) : null;
+}
+
+/**
+ * Serialize file tags as JSON or CSV.
+ * - Paths within the export folder are written relative to it, so
+ *   exports can be moved along with the files they describe.
+ * @param {Map<string, string[]>} entries Filepath -> Tags.
+ * @param {string} exportPath Absolute path to export file.
+ * @param {'json'|'csv'} format Export format.
+ * @returns {string}
+ */
+export function serializeTags(entries, exportPath, format) {
+  const folder = dirname(exportPath);
+  const portable = /** @type {[string, string[]][]} */ ([]);
+
+  entries.forEach((tags, filePath) => {
+    const relativePath = relative(folder, filePath);
+    const isInside = !relativePath.startsWith('..') && !isAbsolute(relativePath);
+    portable.push([isInside ? relativePath : filePath, tags]);
+  });
+
+  if (format === 'json')
+    return JSON.stringify( Object.fromEntries(portable), null, 2 );
+
+  const rows = portable.map( ([filePath, tags]) => [filePath, tags.join(';')].map(csvField).join(',') );
+  return ['path,tags', ...rows].join('\n') + '\n';
+}
+
+/**
+ * Parse file tags from JSON or CSV text, as exported by `serializeTags`.
+ * - Relative paths are resolved against the import file folder.
+ * @param {string} text File text.
+ * @param {string} importPath Absolute path to import file.
+ * @param {'json'|'csv'} format Import format.
+ * @returns {Map<string, string[]>} Filepath -> Tags.
+ * @throws {SyntaxError} On malformed text.
+ */
+export function parseTags(text, importPath, format) {
+  const folder = dirname(importPath);
+  const entries = /** @type {Map<string, string[]>} */ (new Map());
+
+  /** @type {[string, string[]][]} */
+  let rows;
+
+  if (format === 'json') {
+    const object = JSON.parse(text);
+    if (typeof object !== 'object' || object == null || Array.isArray(object) )
+      throw new SyntaxError('expected an object of filepath -> tags');
+
+    rows = Object.entries(object)
+      .filter( ([, tags]) => Array.isArray(tags) )
+      .map( ([filePath, tags]) => [filePath, tags.map(String)] );
+  } else {
+    rows = parseCsv(text)
+      .filter( ([filePath], idx) => filePath !== '' && !(idx === 0 && filePath === 'path') )
+      .map( ([filePath, tags = '']) => [filePath, tags.split(';')] );
+  }
+
+  for (const [filePath, tags] of rows)
+    entries.set( resolve(folder, filePath), tags );
+
+  return entries;
+}
+
+/**
+ * Quote CSV field if needed.
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+  return /[",\n\r]/.test(value)
+    ? `"${value.replaceAll('"', '""')}"`
+    : value;
+}
+
+/**
+ * Parse CSV text into rows of fields, with quoted fields.
+ * @param {string} text CSV text.
+ * @returns {string[][]}
+ * @throws {SyntaxError} On unterminated quoted field.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"')
+        field += text[++i];
+      else if (char === '"')
+        quoted = false;
+      else
+        field += char;
+    }
+    else if (char === '"')
+      quoted = true;
+    else if (char === ',') {
+      row.push(field);
+      field = '';
+    }
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n')
+        i++;
+
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    }
+    else
+      field += char;
+  }
+
+  if (quoted)
+    throw new SyntaxError('unterminated quoted field');
+
+  if (field !== '' || row.length > 0)
+    rows.push([...row, field]);
+
+  return rows;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function encodeXml(text) {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  const entities = /** @type {Object<string, string>} */ ({ amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' });
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] !== '#')
+      return entities[entity] ?? match;
+
+    return String.fromCodePoint( entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10) );
+  });
+}
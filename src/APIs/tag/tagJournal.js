@@ -0,0 +1,206 @@
+// @ts-check
+import { TagState } from './tagStorage.js';
+
+
+/**
+ * Entry tags and fingerprint at a point in time, `null` if entry didn't exist.
+ * @typedef {{ tags: string[], print?: string }?} EntrySnapshot
+ */
+
+/**
+ * Recorded tag transaction, as before and after states of what it changed.
+ * @typedef TagChange
+ * @property {string} label Transaction description, as in `rename tags`.
+ * @property {Map<string, EntrySnapshot>} before Filepath -> Entry before transaction.
+ * @property {Map<string, EntrySnapshot>} after Filepath -> Entry after transaction.
+ * @property {string} [rulesBefore] Serialized alias and implication rules before transaction, if changed.
+ * @property {string} [rulesAfter] Serialized alias and implication rules after transaction, if changed.
+ */
+
+/**
+ * Outcome of undoing or redoing a tag transaction.
+ * @typedef TagReplayReport
+ * @property {string} label Replayed transaction description.
+ * @property {number} restored Entries restored.
+ * @property {number} conflicts Entries changed since, left untouched.
+ */
+
+
+/**
+ * Bounded undo/redo journal of tag transactions.
+ * - Transactions are recorded as entry diffs, so their inverse is replaying the old side.
+ */
+export class TagJournal {
+
+  /**
+   * Max transactions to remember.
+   */
+  #limit;
+
+  /**
+   * Transactions to undo, most recent last.
+   * @type {TagChange[]}
+   */
+  #undoStack = [];
+
+  /**
+   * Undone transactions to redo, most recent last.
+   * @type {TagChange[]}
+   */
+  #redoStack = [];
+
+  /**
+   * @param {number} [limit=50] Max transactions to remember.
+   */
+  constructor(limit = 50) {
+    this.#limit = limit;
+  }
+
+  /**
+   * Capture state to diff against after a transaction.
+   * - Entries are tracked by state as they change, so capturing is cheap on large storages.
+   * @param {TagState} state State before transaction.
+   * @returns {{ rules: string }}
+   */
+  static capture(state) {
+    state.trackEntries();
+    return { rules: TagJournal.#rules(state) };
+  }
+
+  /**
+   * Return transaction changes between captured and current state, `null` if nothing changed.
+   * @param {string} label Transaction description.
+   * @param {ReturnType<typeof TagJournal.capture>} captured State captured before transaction.
+   * @param {TagState} state State after transaction.
+   * @returns {TagChange?}
+   */
+  static diff(label, captured, state) {
+    const before = /** @type {Map<string, EntrySnapshot>} */ (new Map());
+    const after = /** @type {Map<string, EntrySnapshot>} */ (new Map());
+
+    for ( const [key, oldEntry] of state.trackedEntries() ) {
+      const newEntry = state.has(key)
+        ? TagJournal.#entry( state, key, state.get(key) )
+        : null;
+
+      if ( JSON.stringify(oldEntry) !== JSON.stringify(newEntry) ) {
+        before.set(key, oldEntry);
+        after.set(key, newEntry);
+      }
+    }
+
+    const rules = TagJournal.#rules(state);
+    const rulesChanged = rules !== captured.rules;
+
+    if (after.size < 1 && !rulesChanged)
+      return null;
+
+    return {
+      label: label,
+      before: before,
+      after: after,
+      rulesBefore: rulesChanged ? captured.rules : undefined,
+      rulesAfter: rulesChanged ? rules : undefined
+    };
+  }
+
+  /**
+   * Remember transaction, forgetting undone ones.
+   * @param {TagChange?} change Recorded transaction.
+   */
+  record(change) {
+    if (change == null)
+      return;
+
+    this.#undoStack.push(change);
+    this.#redoStack.length = 0;
+
+    if (this.#undoStack.length > this.#limit)
+      this.#undoStack.shift();
+  }
+
+  /**
+   * Return next transaction to undo or redo, without taking it.
+   * @param {boolean} undo Either to peek undo or redo stack.
+   * @returns {TagChange|undefined}
+   */
+  peek(undo) {
+    return (undo ? this.#undoStack : this.#redoStack).at(-1);
+  }
+
+  /**
+   * Move next transaction to the opposite stack, once replayed.
+   * @param {boolean} undo Either transaction was undone or redone.
+   */
+  commit(undo) {
+    const [from, to] = undo
+      ? [this.#undoStack, this.#redoStack]
+      : [this.#redoStack, this.#undoStack];
+
+    const change = from.pop();
+    if (change != null)
+      to.push(change);
+  }
+
+  /**
+   * Replay one side of transaction on state, skipping entries whose tags changed since.
+   * @param {TagChange} change Recorded transaction.
+   * @param {boolean} undo Either to restore before or after side.
+   * @param {TagState} state State to replay on.
+   * @returns {TagReplayReport}
+   */
+  static replay(change, undo, state) {
+    const [expected, target] = undo
+      ? [change.after, change.before]
+      : [change.before, change.after];
+
+    let restored = 0, conflicts = 0;
+
+    target.forEach((entry, key) => {
+      const current = state.has(key) ? state.get(key) : null;
+
+      // fingerprints are derived from files, only tags tell a conflict
+      if ( JSON.stringify(current) !== JSON.stringify( expected.get(key)?.tags ?? null ) ) {
+        conflicts++;
+        return;
+      }
+
+      state.set(key, entry?.tags ?? []);
+      if (entry?.print != null)
+        state.setPrint(key, entry.print);
+
+      restored++;
+    });
+
+    const rules = undo ? change.rulesBefore : change.rulesAfter;
+    if (rules != null)
+      state.restoreTagRules( JSON.parse(rules) );
+
+    return { label: change.label, restored: restored, conflicts: conflicts };
+  }
+
+  /**
+   * Return entry snapshot.
+   * @param {TagState} state
+   * @param {string} key Filepath.
+   * @param {string[]} tags Entry tags.
+   * @returns {EntrySnapshot}
+   */
+  static #entry(state, key, tags) {
+    const print = state.getPrint(key);
+    return print != null ? { tags: tags, print: print } : { tags: tags };
+  }
+
+  /**
+   * Return serialized alias and implication rules.
+   * @param {TagState} state
+   * @returns {string}
+   */
+  static #rules(state) {
+    const { aliases, implications } = state.tagRules();
+    return JSON.stringify({
+      aliases: Object.fromEntries(aliases),
+      implications: Object.fromEntries(implications)
+    });
+  }
+}
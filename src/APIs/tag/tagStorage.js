@@ -1,7 +1,9 @@
 // @ts-check
 import { JsonStorage } from '../tool/jsonStorage.js';
+import { LogFileBackend } from '../tool/storageBackends.js';
 import { tagDBFile } from '../tool/appPaths.js';
 import { access } from 'fs';
+import { dirname, isAbsolute, join, relative, sep } from 'path';
 
 
 /**
@@ -9,12 +11,46 @@ import { access } from 'fs';
  * @typedef TagStorageFileStruct
  * @property {Object<string, number[]>} _files Filepath -> TagIDs
  * @property {Object<number, string>} _tags TagID -> TagName
- * @property {{nextID: number, orphanIDs: number[]}} _control Meta
+ * @property {TagControl} _control Meta
+ * @property {Object<string, string>} _prints Filepath -> File fingerprint
+ * @property {Object<number, number>} _used TagID -> Last time added to an entry, in ms
+ */
+
+/**
+ * TagStorage control properties.
+ * @typedef TagControl
+ * @property {number} nextID Next unused TagID.
+ * @property {number[]} orphanIDs Freed TagIDs, reused first.
+ * @property {Object<string, string>} aliases Alias -> Canonical tag, applied on write.
+ * @property {Object<string, string[]>} implications Tag -> Implied tags, applied on write.
+ */
+
+/**
+ * Tag usage statistics.
+ * @typedef TagStat
+ * @property {string} tag Tag name.
+ * @property {number} count Entries with tag.
+ * @property {number?} lastUsed Last time tag was added to an entry, in ms. Null if unknown.
+ * @property {[string, number][]} related Co-occurring tag, shared entry count pairs, most shared first.
+ * @property {string[]} files Filepaths of entries with tag.
+ */
+
+/**
+ * @import { StoragePatch } from '../tool/storageBackends.js'
+ */
+
+/**
+ * Tag alias and implication rules.
+ * @typedef TagRules
+ * @property {[string, string][]} aliases Alias, canonical tag pairs.
+ * @property {[string, string[]][]} implications Tag, implied tags pairs.
  */
 
 
 /**
  * TagStorage state wrapper. Abstracts away serialized data.
+ * - Tags are hierarchical, as in `character:alice` or `places/europe/paris`,
+ *   where either separator nests a tag under its parent.
  */
 export class TagState extends Map {
 
@@ -24,9 +60,22 @@ export class TagState extends Map {
   static meta = {
     files: '_files',
     tags: '_tags',
-    control: '_control'
+    control: '_control',
+    prints: '_prints',
+    used: '_used'
   };
 
+  /**
+   * Tag hierarchy separators.
+   */
+  static separators = [':', '/'];
+
+  /**
+   * Folder entry keys are stored relative to, for portable storages. Keys are absolute if null.
+   * @type {string?}
+   */
+  static root = null;
+
   /**
    * Entries which to preserve super get/set behavior.
    */
@@ -52,10 +101,56 @@ export class TagState extends Map {
 
   /**
    * Control properties.
-   * @type {{nextID: number, orphanIDs: number[]}}
+   * @type {TagControl}
    */
   #control;
 
+  /**
+   * File Path -> Fingerprint table, to follow moved files.
+   * @type {Object<string, string>}
+   */
+  #file2Print;
+
+  /**
+   * Tag ID -> Last time added to an entry, in ms.
+   * @type {Object<number, number>}
+   */
+  #tagUsed;
+
+  /**
+   * Meta entry -> Keys changed since last drain. Virtual, not persisted.
+   * @type {Map<string, Set<string>>}
+   */
+  #changes = new Map();
+
+  /**
+   * Stored key -> Entry tag IDs and fingerprint before its first change, if tracking. Virtual, not persisted.
+   * @type {Map<string, {ids?: number[], print?: string}>?}
+   */
+  #originals = null;
+
+  /**
+   * Tag IDs removed from entries since last orphan sweep, which may be orphaned. Virtual, not persisted.
+   * @type {Set<number>}
+   */
+  #droppedIDs = new Set();
+
+  /**
+   * Either state was cleared since last drain, so changes can't be patched.
+   */
+  #cleared = false;
+
+  /**
+   * Serialized control properties as of last drain, as they may be edited in place.
+   */
+  #controlJson = '';
+
+  /**
+   * Alias -> Canonical tag map, built on demand from control aliases. Virtual, not persisted.
+   * @type {Map<string, string>?}
+   */
+  #aliasMap = null;
+
   /**
    * Initialize meta entries.
    * @param  {...any} args 
@@ -63,6 +158,166 @@ export class TagState extends Map {
   constructor(...args) {
     super(...args);
     this.#generateMetaStructure();
+    this.#controlJson = JSON.stringify(this.#control);
+  }
+
+  /**
+   * Return state class storing entry keys relative to a folder, as for storages on removable drives.
+   * - Entries outside folder are stored with absolute keys.
+   * @param {string} root Absolute path to folder.
+   * @returns {typeof TagState}
+   */
+  static rooted(root) {
+    return class RootedTagState extends TagState {
+      static root = root;
+    };
+  }
+
+  /**
+   * Return persisted key for filepath, relative to root if within it.
+   * @param {string} filePath Absolute filepath.
+   * @returns {string}
+   */
+  #storedKey(filePath) {
+    const root = /** @type {typeof TagState} */ (this.constructor).root;
+    if (root == null)
+      return filePath;
+
+    const relativePath = relative(root, filePath);
+    const outside = relativePath === '..' || relativePath.startsWith(`..${sep}`) || isAbsolute(relativePath);
+
+    // portable separators, so drives can move between platforms
+    return outside || relativePath === ''
+      ? filePath
+      : relativePath.split(sep).join('/');
+  }
+
+  /**
+   * Return absolute filepath for persisted key.
+   * @param {string} key Persisted key.
+   * @returns {string}
+   */
+  #entryKey(key) {
+    const root = /** @type {typeof TagState} */ (this.constructor).root;
+
+    return root == null || isAbsolute(key)
+      ? key
+      : join(root, key);
+  }
+
+  /**
+   * Track key as changed in meta entry.
+   * @param {string} meta Meta entry key.
+   * @param {string|number} key Changed key.
+   */
+  #touch(meta, key) {
+    let keys = this.#changes.get(meta);
+    if (keys == null)
+      this.#changes.set(meta, keys = new Set());
+
+    keys.add( String(key) );
+  }
+
+  /**
+   * Remember entry as it was before its first change, if tracking.
+   * @param {string} key Stored key.
+   */
+  #remember(key) {
+    if ( this.#originals != null && !this.#originals.has(key) )
+      this.#originals.set(key, { ids: this.#file2TagIDs[key], print: this.#file2Print[key] });
+  }
+
+  /**
+   * Start tracking entries as they were before their first change, forgetting previous ones.
+   */
+  trackEntries() {
+    this.#originals = new Map();
+  }
+
+  /**
+   * Return tags and fingerprint of entries changed since tracking started, as they were before.
+   * - Null for entries that didn't exist.
+   * @returns {Map<string, {tags: string[], print?: string}?>}
+   */
+  trackedEntries() {
+    const entries = /** @type {Map<string, {tags: string[], print?: string}?>} */ (new Map());
+
+    this.#originals?.forEach(({ ids, print }, key) => {
+      const tags = ids?.map(id => this.#tagId2Name[id]);
+      const entry = tags == null ? null
+        : print != null ? { tags, print } : { tags };
+
+      entries.set(this.#entryKey(key), entry);
+    });
+
+    return entries;
+  }
+
+  /**
+   * Return changes since last drain as storage patches, then forget them.
+   * - Null if state was cleared, to be persisted whole.
+   * @returns {StoragePatch[]?}
+   */
+  drainChanges() {
+    /** @type {StoragePatch[]?} */
+    let patches = [];
+
+    if (this.#cleared)
+      patches = null;
+    else {
+      for (const [meta, keys] of this.#changes) {
+        const table = super.get(meta);
+
+        for (const key of keys) {
+          patches.push( Object.hasOwn(table, key)
+            ? [[meta, key], table[key]]
+            : [[meta, key]] );
+        }
+      }
+    }
+
+    const controlJson = JSON.stringify(this.#control);
+    if (patches != null && controlJson !== this.#controlJson)
+      patches.push([[TagState.meta.control], this.#control]);
+
+    this.#changes.clear();
+    this.#cleared = false;
+    this.#controlJson = controlJson;
+
+    return patches;
+  }
+
+  /**
+   * Return tag followed by its ancestors, most specific first.
+   * @example
+   * TagState.lineage('places/europe/paris'); // ['places/europe/paris', 'places/europe', 'places']
+   * @param {string} tag Tag name.
+   * @returns {string[]}
+   */
+  static lineage(tag) {
+    const tags = [tag];
+
+    for (let i = tag.length - 1; i > 0; i--) {
+      if ( TagState.separators.includes(tag[i]) )
+        tags.push( tag.slice(0, i) );
+    }
+
+    return tags;
+  }
+
+  /**
+   * Either tag is parent itself or nested under it.
+   * - Parents with a trailing separator, as in `places/`, only match nested tags.
+   * @param {string} tag Tag name.
+   * @param {string} parent Parent tag name.
+   * @returns {boolean}
+   */
+  static isWithin(tag, parent) {
+    if ( TagState.separators.includes( parent.at(-1) ?? '' ) )
+      return tag.length > parent.length && tag.startsWith(parent);
+
+    return tag === parent || tag.startsWith(parent)
+      && TagState.separators.includes(tag[parent.length]);
   }
 
   /**
@@ -78,9 +333,22 @@ export class TagState extends Map {
     if ( !super.has(TagState.meta.control) )
       super.set(TagState.meta.control, { nextID: 0, orphanIDs: [] });
 
+    if ( !super.has(TagState.meta.prints) )
+      super.set(TagState.meta.prints, {});
+
+    if ( !super.has(TagState.meta.used) )
+      super.set(TagState.meta.used, {});
+
     this.#file2TagIDs = super.get(TagState.meta.files);
     this.#tagId2Name  = super.get(TagState.meta.tags);
     this.#control     = super.get(TagState.meta.control);
+    this.#file2Print  = super.get(TagState.meta.prints);
+    this.#tagUsed     = super.get(TagState.meta.used);
+
+    // rules were added later, storages may predate them
+    this.#control.aliases ??= {};
+    this.#control.implications ??= {};
+    this.#aliasMap = null;
   }
 
   /**
@@ -95,6 +363,7 @@ export class TagState extends Map {
       return super.get(key);
     }
 
+    key = this.#storedKey(key);
     const fileIDs = this.#file2TagIDs[key] || [];
     return fileIDs.map(id => this.#tagId2Name[id]);
   }
@@ -112,6 +381,9 @@ export class TagState extends Map {
       return this;
     }
 
+    key = this.#storedKey(key);
+    this.#remember(key);
+
     // (re)build inverted tag ID -> Name when empty
     if (this.#tagName2Id.size < 1) {
       for (const id in this.#tagId2Name)
@@ -125,18 +397,64 @@ export class TagState extends Map {
         tagID = this.#control.orphanIDs.pop() ?? this.#control.nextID++;
         this.#tagId2Name[tagID] = name;
         this.#tagName2Id.set(name, tagID);
+        this.#touch(TagState.meta.tags, tagID);
       }
 
       return tagID;
     });
 
-    tagIDs.length > 0
-      ? this.#file2TagIDs[key] = tagIDs
-      : delete this.#file2TagIDs[key];
+    // stamp tags new to entry as used
+    const oldIDs = new Set(this.#file2TagIDs[key]);
+    const now = Date.now();
+
+    oldIDs.difference( new Set(tagIDs) )
+      .forEach( id => this.#droppedIDs.add(id) );
+
+    for (const tagID of tagIDs) {
+      if ( !oldIDs.has(tagID) ) {
+        this.#tagUsed[tagID] = now;
+        this.#touch(TagState.meta.used, tagID);
+      }
+    }
+
+    if (tagIDs.length > 0)
+      this.#file2TagIDs[key] = tagIDs;
+    else {
+      delete this.#file2TagIDs[key];
+      delete this.#file2Print[key];
+      this.#touch(TagState.meta.prints, key);
+    }
 
+    this.#touch(TagState.meta.files, key);
     return this;
   }
 
+  /**
+   * Return entry file fingerprint, if any.
+   * @param {string} key Filepath.
+   * @returns {string|undefined}
+   */
+  getPrint(key) {
+    return this.#file2Print[ this.#storedKey(key) ];
+  }
+
+  /**
+   * Set fingerprint for an existing entry.
+   * @param {string} key Filepath.
+   * @param {string} print File fingerprint.
+   * @returns {boolean} Either entry exists.
+   */
+  setPrint(key, print) {
+    key = this.#storedKey(key);
+    if (this.#file2TagIDs[key] == null)
+      return false;
+
+    this.#remember(key);
+    this.#file2Print[key] = print;
+    this.#touch(TagState.meta.prints, key);
+    return true;
+  }
+
   /**
    * Move entry tags from a path to another.
    * @param {string} oldPath Old entry key.
@@ -144,18 +462,37 @@ export class TagState extends Map {
    * @return {boolean} Success.
    */
   moveEntry(oldPath, newPath) {
+    oldPath = this.#storedKey(oldPath);
+    newPath = this.#storedKey(newPath);
+    this.#remember(oldPath);
+    this.#remember(newPath);
+
     const tagIDs = this.#file2TagIDs[oldPath];
 
     if (tagIDs != null) {
+      this.#file2TagIDs[newPath]?.forEach( id => this.#droppedIDs.add(id) );
       this.#file2TagIDs[newPath] = tagIDs;
       delete this.#file2TagIDs[oldPath];
+
+      const print = this.#file2Print[oldPath];
+      delete this.#file2Print[oldPath];
+
+      print != null
+        ? this.#file2Print[newPath] = print
+        : delete this.#file2Print[newPath];
+
+      for (const path of [oldPath, newPath]) {
+        this.#touch(TagState.meta.files, path);
+        this.#touch(TagState.meta.prints, path);
+      }
     }
 
     return tagIDs != null;
   }
 
   /**
-   * Rename all specified tag occurrences.
+   * Rename all specified tag occurrences, moving their nested tags along.
+   * - Most specific rename wins, as in `places/europe` over `places`.
    * @param {Map<string, string>} renameMap Old-new tag name key value map.
    * @returns {number} Entries updated.
    */
@@ -168,7 +505,7 @@ export class TagState extends Map {
       let tagsRenamed = false;
 
       for (const tag of tags) {
-        const renamedTag = renameMap.get(tag);
+        const renamedTag = TagState.#renamedTag(tag, renameMap);
 
         if (renamedTag != null)
           tagsRenamed = true;
@@ -185,6 +522,191 @@ export class TagState extends Map {
     return entriesUpdated;
   }
 
+  /**
+   * Return tag renamed by its closest renamed ancestor, if any.
+   * @param {string} tag Tag name.
+   * @param {Map<string, string>} renameMap Old-new tag name key value map.
+   * @returns {string|undefined}
+   */
+  static #renamedTag(tag, renameMap) {
+    for ( const ancestor of TagState.lineage(tag) ) {
+      const renamed = renameMap.get(ancestor);
+      if (renamed != null)
+        return renamed + tag.slice(ancestor.length);
+    }
+  }
+
+  /**
+   * Return canonical tag for alias, or tag itself if not an alias.
+   * - Aliased parents alias their nested tags, as `bw/manga` for a `bw` alias.
+   * @param {string} tag Tag name.
+   * @returns {string}
+   */
+  canonicalTag(tag) {
+    this.#aliasMap ??= new Map( Object.entries(this.#control.aliases) );
+    return TagState.#renamedTag(tag, this.#aliasMap) ?? tag;
+  }
+
+  /**
+   * Return tags with aliases replaced by canonical tags and implied tags added.
+   * @param {string[]} tags Tag names.
+   * @returns {string[]}
+   */
+  resolveTags(tags) {
+    const resolved = /** @type {Set<string>} */ (new Set());
+    const pending = [...tags];
+
+    // implied tags are resolved in turn, guarding against cycles
+    for (let i = 0; i < pending.length; i++) {
+      const tag = this.canonicalTag(pending[i]);
+      if ( resolved.has(tag) )
+        continue;
+
+      resolved.add(tag);
+      pending.push( ...this.#control.implications[tag] ?? [] );
+    }
+
+    return [...resolved];
+  }
+
+  /**
+   * Alias one or more tags to a canonical tag.
+   * - Aliases already pointing to an aliased tag are pointed to canonical tag instead.
+   * - Implications of aliased tags are moved to canonical tag.
+   * - Tags can't alias their own nested tags.
+   * @param {string} canonical Canonical tag.
+   * @param {string[]} aliases Tags to alias.
+   * @returns {number} Aliases added or changed.
+   */
+  setAliases(canonical, aliases) {
+    const aliasMap = this.#control.aliases;
+    canonical = this.canonicalTag(canonical);
+    let aliasesSet = 0;
+
+    for (const alias of aliases) {
+      if ( aliasMap[alias] === canonical || TagState.isWithin(canonical, alias) )
+        continue;
+
+      for (const key in aliasMap) {
+        if (aliasMap[key] === alias)
+          aliasMap[key] = canonical;
+      }
+
+      const implied = this.#control.implications[alias];
+      if (implied != null) {
+        delete this.#control.implications[alias];
+        this.setImplications(canonical, implied);
+      }
+
+      aliasMap[alias] = canonical;
+      aliasesSet++;
+      this.#aliasMap = null;
+    }
+
+    return aliasesSet;
+  }
+
+  /**
+   * Remove one or more aliases.
+   * @param {string[]} aliases Aliases to remove.
+   * @returns {number} Aliases removed.
+   */
+  deleteAliases(aliases) {
+    let aliasesDeleted = 0;
+
+    for (const alias of aliases) {
+      if (this.#control.aliases[alias] != null) {
+        delete this.#control.aliases[alias];
+        aliasesDeleted++;
+        this.#aliasMap = null;
+      }
+    }
+
+    return aliasesDeleted;
+  }
+
+  /**
+   * Make tag imply one or more tags.
+   * @param {string} tag Implying tag.
+   * @param {string[]} impliedTags Tags to imply.
+   * @returns {number} Implications added.
+   */
+  setImplications(tag, impliedTags) {
+    tag = this.canonicalTag(tag);
+    const implied = new Set(this.#control.implications[tag]);
+    const oldSize = implied.size;
+
+    for (const impliedTag of impliedTags) {
+      const canonical = this.canonicalTag(impliedTag);
+      if (canonical !== tag)
+        implied.add(canonical);
+    }
+
+    if (implied.size > oldSize)
+      this.#control.implications[tag] = [...implied];
+
+    return implied.size - oldSize;
+  }
+
+  /**
+   * Remove implications from tag, all of them if none given.
+   * @param {string} tag Implying tag.
+   * @param {string[]} [impliedTags] Implied tags to remove.
+   * @returns {number} Implications removed.
+   */
+  deleteImplications(tag, impliedTags = []) {
+    const implied = this.#control.implications[tag] ?? [];
+    const removal = new Set(impliedTags.length > 0 ? impliedTags : implied);
+    const kept = implied.filter( impliedTag => !removal.has(impliedTag) );
+
+    kept.length > 0
+      ? this.#control.implications[tag] = kept
+      : delete this.#control.implications[tag];
+
+    return implied.length - kept.length;
+  }
+
+  /**
+   * Return alias and implication rules.
+   * @returns {TagRules}
+   */
+  tagRules() {
+    return {
+      aliases: Object.entries(this.#control.aliases),
+      implications: Object.entries(this.#control.implications)
+    };
+  }
+
+  /**
+   * Replace alias and implication rules, as when replaying a change.
+   * @param {{aliases: Object<string, string>, implications: Object<string, string[]>}} rules Serialized rules.
+   */
+  restoreTagRules(rules) {
+    this.#control.aliases = rules.aliases;
+    this.#control.implications = rules.implications;
+    this.#aliasMap = null;
+  }
+
+  /**
+   * Resolve tags of all entries by current rules, as for rules added after tagging.
+   * @returns {number} Entries updated.
+   */
+  applyTagRules() {
+    let entriesUpdated = 0;
+
+    this.forEach((tags, key) => {
+      const resolvedTags = this.resolveTags(tags);
+      const tagSet = new Set(tags);
+
+      if ( resolvedTags.length !== tagSet.size || resolvedTags.some(tag => !tagSet.has(tag)) ) {
+        this.set(key, resolvedTags);
+        entriesUpdated++;
+      }
+    });
+
+    return entriesUpdated;
+  }
+
   /**
    * Delete filepath from snapshot. Returns either entry existed before deletion.
    * - Super behavior preserved for meta entries.
@@ -196,8 +718,16 @@ export class TagState extends Map {
     if ( TagState.#metaEntries.includes(key) )
       return super.delete(key);
 
+    key = this.#storedKey(key);
+    this.#remember(key);
     const existed = this.#file2TagIDs[key] != null;
+
+    this.#file2TagIDs[key]?.forEach( id => this.#droppedIDs.add(id) );
     delete this.#file2TagIDs[key];
+    delete this.#file2Print[key];
+
+    this.#touch(TagState.meta.files, key);
+    this.#touch(TagState.meta.prints, key);
     return existed;
   }
 
@@ -230,6 +760,7 @@ export class TagState extends Map {
     super.clear();
     this.#generateMetaStructure();
     this.#tagName2Id.clear();
+    this.#cleared = true;
   }
 
   /**
@@ -243,7 +774,7 @@ export class TagState extends Map {
     if ( TagState.#metaEntries.includes(key) )
       return super.has(key);
 
-    return this.#file2TagIDs[key] != null;
+    return this.#file2TagIDs[ this.#storedKey(key) ] != null;
   }
 
   /**
@@ -252,7 +783,9 @@ export class TagState extends Map {
    * @override
    */
   keys() {
-    const filepaths = Object.keys(this.#file2TagIDs);
+    const filepaths = Object.keys(this.#file2TagIDs)
+      .map( key => this.#entryKey(key) );
+
     return new Set(filepaths).keys();
   }
 
@@ -290,28 +823,113 @@ export class TagState extends Map {
   }
 
   /**
-   * Return unique tags.
+   * Return unique tags, optionally only those within a namespace.
+   * @param {string} [namespace] Parent tag, as in `places/europe`.
    * @returns {string[]}
    */
-  uniqueTags() {
-    return Object.values(this.#tagId2Name);
+  uniqueTags(namespace) {
+    const tags = Object.values(this.#tagId2Name);
+
+    return namespace
+      ? tags.filter( tag => TagState.isWithin(tag, namespace) )
+      : tags;
+  }
+
+  /**
+   * Return tags one level below parent, or top-level tags if none.
+   * - Tags with nested tags are listed with their separator, as in `places/`.
+   * @param {string} [parent=''] Parent tag, with or without trailing separator.
+   * @returns {string[]}
+   */
+  childTags(parent = '') {
+    const children = /** @type {Set<string>} */ (new Set());
+    const start = parent === '' || TagState.separators.includes( parent.at(-1) ?? '' )
+      ? parent.length
+      : parent.length + 1;
+
+    for ( const tag of this.uniqueTags(parent) ) {
+      if (tag.length <= start)
+        continue;
+
+      let end = start;
+      while ( end < tag.length && !TagState.separators.includes(tag[end]) )
+        end++;
+
+      // include separator for tags with nested tags
+      children.add( tag.slice(0, end + 1) );
+    }
+
+    return [...children];
+  }
+
+  /**
+   * Return usage statistics for every tag.
+   * @param {number} [relatedLimit=8] Max co-occurring tags listed per tag.
+   * @returns {TagStat[]}
+   */
+  tagStats(relatedLimit = 8) {
+    /** @type {Map<number, {files: string[], related: Map<number, number>}>} */
+    const usage = new Map();
+
+    for (const file in this.#file2TagIDs) {
+      const tagIDs = this.#file2TagIDs[file];
+
+      for (const tagID of tagIDs) {
+        let tagUsage = usage.get(tagID);
+        if (tagUsage == null)
+          usage.set(tagID, tagUsage = { files: [], related: new Map() });
+
+        tagUsage.files.push( this.#entryKey(file) );
+
+        for (const relatedID of tagIDs) {
+          if (relatedID !== tagID)
+            tagUsage.related.set( relatedID, (tagUsage.related.get(relatedID) ?? 0) + 1 );
+        }
+      }
+    }
+
+    return [...usage].map(([tagID, { files, related }]) => ({
+      tag: this.#tagId2Name[tagID],
+      count: files.length,
+      lastUsed: this.#tagUsed[tagID] ?? null,
+      related: [...related]
+        .sort( (a, b) => b[1] - a[1] )
+        .slice(0, relatedLimit)
+        .map( ([relatedID, shared]) => /** @type {[string, number]} */ ([this.#tagId2Name[relatedID], shared]) ),
+      files: files
+    }));
   }
 
   /**
    * Delete orphaned tags from storage.
+   * - Only tags removed from entries since last sweep are checked, as storages are swept on every write.
    * @returns {Set<number>} Deleted tags.
    */
   deleteOrphanedTags() {
-    const numberIDs = Object.keys(this.#tagId2Name).map(id => Number(id) );
-    const tagIDs = new Set(numberIDs);
-    const usedIDs = new Set( Object.values(this.#file2TagIDs).flat() );
-    const unusedIDs = tagIDs.difference(usedIDs);
+    const unusedIDs = this.#droppedIDs;
+    this.#droppedIDs = new Set();
+
+    if (unusedIDs.size < 1)
+      return unusedIDs;
+
+    // stop early once all are found in use, as most often
+    for (const file in this.#file2TagIDs) {
+      for (const id of this.#file2TagIDs[file])
+        unusedIDs.delete(id);
+
+      if (unusedIDs.size < 1)
+        break;
+    }
 
     unusedIDs.forEach(/** @param {number} id */ (id) => {
       this.#tagName2Id.delete(this.#tagId2Name[id]);
 
       this.#control.orphanIDs.push(id);
       delete this.#tagId2Name[id];
+      delete this.#tagUsed[id];
+
+      this.#touch(TagState.meta.tags, id);
+      this.#touch(TagState.meta.used, id);
     });
 
     return unusedIDs;
@@ -328,7 +946,7 @@ export class TagState extends Map {
     const state = /** @type {Map<string, string[]>} */ ( new Map() );
     for (const file in this.#file2TagIDs) {
       const tags = this.#file2TagIDs[file].map(id => this.#tagId2Name[id]);
-      state.set(file, tags);
+      state.set(this.#entryKey(file), tags);
     }
 
     return state;
@@ -349,13 +967,20 @@ export class TagStorage extends JsonStorage {
 
   /**
    * Use MXIV tagDB filepath by default.
+   * - Persisted as an append-only JSON Lines log next to it, as `tagDB.jsonl` for `tagDB.json`,
+   *   migrated from the whole-file JSON storage on first use.
    * @param {String} storageFile Custom persistence file.
+   * @param {boolean} [relativeKeys=false] Store entries relative to storage file folder.
    */
-  constructor(storageFile = tagDBFile) {
-    super(storageFile, TagState, (state) => {
+  constructor(storageFile = tagDBFile, relativeKeys = false) {
+    const wrapper = relativeKeys ? TagState.rooted( dirname(storageFile) ) : TagState;
+    const logFile = `${ storageFile.replace(/\.json$/i, '') }.jsonl`;
+    const backend = new LogFileBackend(logFile, storageFile);
+
+    super(storageFile, wrapper, (state) => {
       if (state instanceof TagState)
         state.deleteOrphanedTags();
-    });
+    }, backend);
 
     this.#storageFile = storageFile;
   }
@@ -20,11 +20,31 @@ const dataHome = platform === 'win32'
  */
 export const tagDBFile = join(dataHome, 'mxiv', 'tagDB.json');
 
+/**
+ * Absolute path to MXIV named tag databases JSON file.
+ */
+export const tagDatabasesFile = join(dataHome, 'mxiv', 'tagDatabases.json');
+
 /**
  * Absolute path to MXIV library JSON file.
  */
 export const libraryFile = join(dataHome, 'mxiv', 'library.json');
 
+/**
+ * Absolute path to MXIV library shelves JSON file.
+ */
+export const libraryShelvesFile = join(dataHome, 'mxiv', 'libraryShelves.json');
+
+/**
+ * Absolute path to MXIV remembered archive passwords JSON file.
+ */
+export const archivePasswordsFile = join(dataHome, 'mxiv', 'archivePasswords.json');
+
+/**
+ * Absolute path to MXIV temporary folder lease registry JSON file.
+ */
+export const tmpLeasesFile = join(dataHome, 'mxiv', 'tmpLeases.json');
+
 /**
  * Absolute path to MXIV library cover thumbnail directory.
  */
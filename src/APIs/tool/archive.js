@@ -1,5 +1,5 @@
 // @ts-check
-import { execFile } from 'child_process';
+import { execFile, spawn } from 'child_process';
 import path from 'path';
 
 
@@ -12,6 +12,11 @@ if (isWin32)
   process.env.PATH += ";C:\\Program Files\\7-Zip";
 
 
+/**
+ * @import { ArchiveFormat } from '../file/fileTools.js'
+ */
+
+
 /**
  * Check if Tool is accessible.
  * @returns {Promise<boolean>} Either if tool is accessible.
@@ -23,23 +28,179 @@ export async function hasTool() {
 }
 
 /**
- * Extract archive files into folder. Ignores directory structure, 
- * overwriting files under the same name as they're extracted.
+ * Probe which archive formats the installed tool can extract.
+ * @returns {Promise<ArchiveFormat[]>} Supported formats. Empty if tool is inaccessible.
+ */
+export async function supportedFormats() {
+  /** @type {string} */
+  const info = await new Promise(resolve => {
+    execFile(cmd, ['i'], (err, stdout) => resolve(err ? '' : stdout.toString()) );
+  });
+
+  // list format and codec names, as in their own whitespace separated columns
+  const section = (start, end) => {
+    const startIdx = info.indexOf(start), endIdx = info.indexOf(end, startIdx);
+    return startIdx < 0 ? [] : info.slice(startIdx, endIdx < 0 ? undefined : endIdx).split(/\s+/);
+  };
+
+  const formats = section('Formats:', 'Codecs:');
+  const codecs = section('Codecs:', 'Hashers:');
+
+  /** @type {ArchiveFormat[]} */
+  const supported = [];
+  if ( formats.includes('zip') )
+    supported.push('zip');
+  if ( formats.includes('7z') )
+    supported.push('7z');
+  if ( formats.includes('tar') )
+    supported.push('tar');
+  if ( formats.includes('tar') && formats.includes('gzip') )
+    supported.push('tar.gz');
+
+  // RAR decoding is absent from some builds (ex: p7zip standalone), even if listed
+  if ( formats.some(name => /^Rar5?$/.test(name)) && codecs.some(name => /^Rar\d$/.test(name)) )
+    supported.push('rar');
+
+  return supported;
+}
+
+/**
+ * Run command over archive. Compressed tarballs are decompressed into the
+ * command's stdin, as their inner tar wouldn't be unwrapped otherwise.
+ * - Password is passed even if empty when reading, so 7z never waits on a prompt.
+ *   Update commands would prompt for a new password instead, so it's omitted then.
+ * @param {string[]} args Command and switches.
+ * @param {string} archiveFile Path to archive file.
+ * @param {string[]} [files] Archive-relative file paths to operate on.
+ * @param {string} [password] Archive password, if encrypted.
+ * @returns {Promise<{success: boolean, stdout: string, stderr: string}>}
+ */
+function run(args, archiveFile, files = [], password = '') {
+  const isCompressedTarball = archiveFile.toLowerCase().endsWith('.tar.gz');
+  const sourceArgs = isCompressedTarball ? ['-si', '-ttar'] : [];
+  const archiveArgs = isCompressedTarball ? [] : [archiveFile];
+
+  const isUpdate = ['a', 'd', 'rn', 'u'].includes(args[0]);
+  const passwordArgs = isUpdate && password === '' ? [] : [`-p${password}`];
+
+  // stop switch parsing, as names starting with `-` would be read as switches
+  const commandArgs = [...args, ...passwordArgs, ...sourceArgs, '--', ...archiveArgs, ...files];
+
+  return new Promise(resolve => {
+    const child = execFile(cmd, commandArgs,
+      { maxBuffer: 64 * 1024 ** 2 }, (err, stdout, stderr) => {
+        resolve({ success: !err, stdout: stdout.toString(), stderr: stderr.toString() });
+      });
+
+    if (!isCompressedTarball)
+      child.stdin?.end(); // never wait on input
+    else {
+      const source = spawn(cmd, ['x', '-so', '-p', '-tgzip', '--', archiveFile], { stdio: ['ignore', 'pipe', 'ignore'] });
+
+      child.stdin?.on('error', () => source.kill() ); // command exited early
+      source.on('error', () => child.kill() );
+      source.stdout.pipe( /** @type {import('stream').Writable} */ (child.stdin) );
+    }
+  });
+}
+
+/**
+ * Extract archive files into folder, preserving directory structure.
  * @param {string} archiveFile Path to archive to extract files from.
  * @param {string} extractTo Path to folder to extract files onto.
  * @returns {Promise<boolean>} Success.
  */
 export async function extract(archiveFile, extractTo) {
-  // extract, preserve directory structure
-  // 7z x -o"<extractTo>" "<archiveFile>"
+  // extract, preserve directory structure, force yes for overwrites
+  // 7z x -y -o"<extractTo>" "<archiveFile>"
 
-  // extract only basefiles, force yes for overwrites
-  // 7z e -y -o"<extractTo>" "<archiveFile>"
+  const { success } = await run(['x', '-y', `-o${extractTo}`], archiveFile);
+  return success;
+}
 
-  return await new Promise(resolve => {
-    execFile(cmd, ['e', '-y', `-o${extractTo}`, archiveFile],
-             err => resolve(!err) );
-  });
+/**
+ * Archive entry properties.
+ * @typedef ArchiveEntry
+ * @property {string} path Archive-relative path.
+ * @property {number} size Uncompressed size in bytes.
+ * @property {number} modified Last modified timestamp in milliseconds. `0` if unknown.
+ * @property {boolean} folder Either entry is a folder.
+ * @property {boolean} encrypted Either entry is password protected.
+ */
+
+/**
+ * Archive listing and its access state.
+ * @typedef ArchiveListing
+ * @property {ArchiveEntry[]} entries Archive entries. Empty if listing itself is encrypted.
+ * @property {boolean} locked Either archive is encrypted and password is missing or wrong.
+ */
+
+/**
+ * List archive entries, verify password against them if encrypted.
+ * @param {string} archiveFile Path to archive file.
+ * @param {string} [password] Archive password, if encrypted.
+ * @returns {Promise<ArchiveListing>}
+ */
+export async function listArchive(archiveFile, password = '') {
+  const { stdout, stderr } = await run(['l', '-slt', '-ba'], archiveFile, [], password);
+  const entries = parseEntries(stdout);
+
+  // encrypted headers, can't be listed without the right password
+  if ( entries.length < 1 && /wrong password|encrypted archive/i.test(stderr) )
+    return { entries, locked: true };
+
+  // encrypted contents, test cheapest entry against password
+  const encrypted = entries.filter(entry => entry.encrypted && !entry.folder);
+  if (encrypted.length < 1)
+    return { entries, locked: false };
+
+  const smallest = encrypted.reduce( (a, b) => b.size < a.size ? b : a );
+  const { success } = await run(['t', '-spd'], archiveFile, [smallest.path], password);
+
+  return { entries, locked: !success };
+}
+
+/**
+ * List entries and their properties from archive.
+ * @param {string} archiveFile Path to archive file.
+ * @param {string} [password] Archive password, if encrypted.
+ * @returns {Promise<ArchiveEntry[]>} Archive entries.
+ */
+export async function entryList(archiveFile, password = '') {
+  const { stdout } = await run(['l', '-slt', '-ba'], archiveFile, [], password);
+  return parseEntries(stdout);
+}
+
+/**
+ * Parse entries from technical listing output.
+ * @param {string} stdout Listing output.
+ * @returns {ArchiveEntry[]}
+ */
+function parseEntries(stdout) {
+  const rawList = stdout.split(newlineCode);
+
+  const entries = /** @type {ArchiveEntry[]} */ ([]);
+  let entry = null;
+
+  // technical listing blocks start at their path property
+  for (const line of rawList) {
+    if ( line.startsWith('Path = ') ) {
+      entry = { path: line.replace('Path = ', ''), size: 0, modified: 0, folder: false, encrypted: false };
+      entries.push(entry);
+    }
+    else if (entry == null)
+      continue;
+    else if ( line.startsWith('Size = ') )
+      entry.size = Number( line.replace('Size = ', '') ) || 0;
+    else if ( line.startsWith('Modified = ') )
+      entry.modified = Date.parse( line.replace('Modified = ', '').replace(' ', 'T') ) || 0;
+    else if ( line.startsWith('Folder = ') )
+      entry.folder = line === 'Folder = +';
+    else if ( line.startsWith('Encrypted = ') )
+      entry.encrypted = line === 'Encrypted = +';
+  }
+
+  return entries;
 }
 
 /**
@@ -48,19 +209,95 @@ export async function extract(archiveFile, extractTo) {
  * @returns {Promise<string[]>} Archive-relative file paths.
  */
 export async function fileList(archiveFile) {
-  const rawList = await new Promise(resolve => {
-    execFile(cmd, ['l', '-slt', '-ba', archiveFile], (_err, stdout) => {
-      resolve( stdout.toString().split(newlineCode) );
-    });
-  });
+  const entries = await entryList(archiveFile);
+  return entries.map(entry => entry.path);
+}
 
-  const archivePaths = [];
-  for (const line of rawList) {
-    if ( line.includes('Path = ') )
-      archivePaths.push( line.replace('Path = ', '') );
-  }
+/**
+ * Extract archive entries into folder in a single pass, preserving directory structure.
+ * @param {string[]} files Archive-relative file paths to extract.
+ * @param {string} archiveFile Target archive to extract from.
+ * @param {string} extractTo Folder path to extract files onto.
+ * @param {string} [password] Archive password, if encrypted.
+ * @returns {Promise<boolean>} Success.
+ */
+export async function extractEntries(files, archiveFile, extractTo, password = '') {
+  // disable wildcard matching, as entry names are literal
+  const { success } = await run(['x', '-y', '-spd', `-o${extractTo}`], archiveFile, files, password);
+  return success;
+}
 
-  return archivePaths;
+/**
+ * Test archive integrity.
+ * @param {string} archiveFile Path to archive file.
+ * @param {string} [password] Archive password, if encrypted.
+ * @returns {Promise<boolean>} Either archive is valid.
+ */
+export async function testArchive(archiveFile, password = '') {
+  const { success } = await run(['t'], archiveFile, [], password);
+  return success;
+}
+
+/**
+ * Delete entries from archive in place.
+ * @param {string[]} files Archive-relative file paths to delete.
+ * @param {string} archiveFile Target archive.
+ * @param {ArchiveFormat} format Archive format. Compressed tarballs aren't writable.
+ * @param {string} [password] Archive password, if encrypted.
+ * @returns {Promise<boolean>} Success.
+ */
+export async function deleteEntries(files, archiveFile, format, password = '') {
+  // 7z d -t<format> -spd "<archiveFile>" "<file>"...
+  const { success } = await run(['d', ...writeSwitches(format, password), '-spd'],
+    archiveFile, files, password);
+
+  return success;
+}
+
+/**
+ * Rename or move entry in archive in place.
+ * @param {string} file Archive-relative file path to rename.
+ * @param {string} newPath New archive-relative file path.
+ * @param {string} archiveFile Target archive.
+ * @param {ArchiveFormat} format Archive format. Compressed tarballs aren't writable.
+ * @param {string} [password] Archive password, if encrypted.
+ * @returns {Promise<boolean>} Success.
+ */
+export async function renameEntry(file, newPath, archiveFile, format, password = '') {
+  // 7z rn -t<format> "<archiveFile>" "<file>" "<newPath>"
+  const { success } = await run(['rn', ...writeSwitches(format, password)],
+    archiveFile, [file, newPath], password);
+
+  return success;
+}
+
+/**
+ * Add folder contents to archive root in place, replacing entries on conflict.
+ * @param {string} folder Folder whose contents to add, structure preserved.
+ * @param {string} archiveFile Target archive.
+ * @param {ArchiveFormat} format Archive format. Compressed tarballs aren't writable.
+ * @param {string} [password] Archive password, if encrypted. Also encrypts added files.
+ * @returns {Promise<boolean>} Success.
+ */
+export async function addEntries(folder, archiveFile, format, password = '') {
+  // wildcard stores contents relative to folder: 7z a -t<format> "<archiveFile>" "<folder>/*"
+  const { success } = await run(['a', ...writeSwitches(format, password)],
+    archiveFile, [path.join(folder, '*')], password);
+
+  return success;
+}
+
+/**
+ * Return switches to update an archive in given format.
+ * - Encrypted 7z archives keep their listing encrypted, as it'd be rewritten in plain otherwise.
+ * @param {ArchiveFormat} format Archive format.
+ * @param {string} password Archive password, if encrypted.
+ * @returns {string[]}
+ */
+function writeSwitches(format, password) {
+  return format === '7z' && password !== ''
+    ? [`-t${format}`, '-mhe=on']
+    : [`-t${format}`];
 }
 
 /**
@@ -76,9 +313,6 @@ export async function extractOnly(file, archiveFile, extractTo) {
   const fileIsNested = path.dirname(file) !== '.';
   const basename = fileIsNested ? path.basename(file) : file;
 
-  return await new Promise(resolve => {
-    execFile(cmd, ['e', `-o${extractTo}`, archiveFile, file], () => {
-      resolve( path.join(extractTo, basename) );
-    });
-  });
+  await run(['e', `-o${extractTo}`], archiveFile, [file]);
+  return path.join(extractTo, basename);
 }
@@ -21,7 +21,7 @@ export function requestLock(name) {
 
 /**
  * Release mutex lock.
- * @param {Number} name Lock identifier.
+ * @param {string} name Lock identifier.
  */
 export function releaseLock(name) {
   mutexLocks[name] = false;
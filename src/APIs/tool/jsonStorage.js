@@ -1,19 +1,28 @@
 // @ts-check
 import fs from 'fs';
 import { parse, join } from 'path';
+import { JsonFileBackend } from './storageBackends.js';
+
+
+/**
+ * @import { StorageBackend, StoragePatch } from './storageBackends.js'
+ */
 
 
 /**
  * Persistent JSON storage.
+ * - Wrappers implementing `drainChanges(): StoragePatch[]?` persist only their changes on
+ *   backends supporting it, returning `null` when changes can't be expressed as patches.
  * @template T
  * @template {Map<string, T>} [W=Map<string, T>]
  */
 export class JsonStorage {
 
   /**
-   * Persistent JSON filepath.
+   * Storage file persistence backend.
+   * @type {StorageBackend}
    */
-  #storageFile = '';
+  #backend;
 
   /**
    * Storage mutex lock filepath.
@@ -25,17 +34,6 @@ export class JsonStorage {
    */
   #retryInterval = 50;
 
-  /**
-   * Last read storage-file modified-time.
-   * @type {number|undefined}
-   */
-  #cachedModifiedTime;
-
-  /**
-   * Last read storage-file JSON text.
-   */
-  #cachedJsonText = '{}';
-
   /**
    * Storage state wrapper class.
    * @typedef {function(new:W, [string, T][])} Wrapper
@@ -62,23 +60,17 @@ export class JsonStorage {
    * @param {string} storageFile Persistent JSON storage filepath.
    * @param {Wrapper} [wrapper=Map] Custom state wrapper class.
    * @param {setStatePrepass} [setStatePrepass] Function to run before persisting state.
+   * @param {StorageBackend} [backend] Persistence backend, whole-file JSON by default.
    * @throws {TypeError} If storage filepath is empty.
    * @throws {Error} If storage file fails to be reached/initialized.
    */
-  constructor(storageFile, wrapper, setStatePrepass) {
+  constructor(storageFile, wrapper, setStatePrepass, backend) {
     if ( storageFile.trim().length < 1 )
       throw new TypeError('Storage filepath can\'t be empty');
 
-    // create storage file, catch if already present, throw otherwise
-    try {
-      fs.writeFileSync(storageFile, '{}', { flag: 'wx' });
-    } catch (error) {
-      if (/** @type NodeJS.ErrnoException? */ (error)?.code !== 'EEXIST')
-        throw new Error(`Failed to initialize storage file:\n${error}`);
-    }
+    this.#backend = backend ?? new JsonFileBackend(storageFile);
 
-    const { dir, base } = parse(storageFile);
-    this.#storageFile = storageFile;
+    const { dir, base } = parse(this.#backend.file);
     this.#lockFile = join(dir, `${base}.lock`);
 
     // @ts-ignore (TS psychobabble)
@@ -135,9 +127,7 @@ export class JsonStorage {
    * @returns {Promise<number?>}
    */
   async getLastModified() {
-    return await new Promise(resolve => {
-      fs.stat( this.#storageFile, (_err, stats) => resolve(stats?.mtimeMs) );
-    });
+    return await this.#backend.lastModified();
   }
 
   /**
@@ -147,26 +137,7 @@ export class JsonStorage {
    * @returns {Promise<W>} State snapshot.
    */
   async #readState() {
-    const modifiedTime = await this.getLastModified() || Date.now();
-    let storageObject;
-
-    if (modifiedTime === this.#cachedModifiedTime)
-      storageObject = JSON.parse(this.#cachedJsonText)
-    else {
-      const jsonText = await new Promise((resolve, reject) => {
-        fs.readFile(this.#storageFile, 'utf8', async (err, text) => {
-          if (err)
-            reject(err);
-          else
-            resolve(text);
-        });
-      });
-
-      storageObject = JSON.parse(jsonText);
-      this.#cachedJsonText = jsonText;
-      this.#cachedModifiedTime = modifiedTime;
-    }
-
+    const storageObject = await this.#backend.read();
     return new this.#wrapper( Object.entries(storageObject) );
   }
 
@@ -186,31 +157,20 @@ export class JsonStorage {
   /**
    * Persist state snapshot to storage file.
    * @param {Map<string, T>} state State snapshot to persist.
+   * @param {boolean} [whole=false] Persist whole state, as when not read from storage.
    * @throws {NodeJS.ErrnoException} If file is not writable.
    * @returns {Promise<NodeJS.ErrnoException?>}
    */
-  async #writeState(state) {
+  async #writeState(state, whole = false) {
     if (this.#setStatePrepass != null)
       await this.#setStatePrepass(state);
 
+    const changes = drainChanges(state);
+    const patches = whole ? null : changes;
+
     // get object from native class iterator, hopefully not overridden 
     const storageObject = Object.fromEntries(state);
-    const json = JSON.stringify(storageObject);
-
-    /**
-     * @type {NodeJS.ErrnoException?}
-     */
-    return await new Promise(resolve => {
-      fs.writeFile(this.#storageFile, json, 'utf8', async (err) => {
-        if (err)
-          resolve(err);
-        else {
-          this.#cachedJsonText = json;
-          this.#cachedModifiedTime = await this.getLastModified() || Date.now();
-          resolve(null);
-        }
-      });
-    });
+    return await this.#backend.write(storageObject, patches);
   }
 
   /**
@@ -223,7 +183,7 @@ export class JsonStorage {
     while ( !await this.#captureLock() )
       await this.#retryDelay();
 
-    const error = await this.#writeState(state);
+    const error = await this.#writeState(state, true);
 
     // release lock before possibly throwing exception
     await this.#releaseLock();
@@ -240,16 +200,25 @@ export class JsonStorage {
    */
   async write(transaction) {
     let result = true;
+    /** @type {W|undefined} */
+    let state;
 
     while ( !await this.#captureLock() )
       await this.#retryDelay();
 
     try {
-      const state = await this.#readState();
+      state = await this.#readState();
       await transaction(state);
-      await this.#writeState(state);
+
+      const error = await this.#writeState(state);
+      if (error != null)
+        throw error;
     } catch {
       result = false;
+
+      // backends may cache state, drop it unless known untouched
+      if (drainChanges(state)?.length !== 0)
+        this.#backend.invalidate();
     }
 
     await this.#releaseLock();
@@ -265,15 +234,20 @@ export class JsonStorage {
    * @param {AbortSignal} [signal] Optional `AbortController` signal.
    */
   watchStorage(callback, signal) {
-    // fs.watch runs the callback twice on every single file write, 
-    // so track the call count and process only when it's even.
-    let watchCalls = 0;
-
-    fs.watch(this.#storageFile, { signal }, () => {
-      if (++watchCalls === 2) {
-        watchCalls = 0;
-        callback();
-      }
-    });
+    this.#backend.watch(callback, signal);
   }
 }
+
+
+/**
+ * Return changes tracked by state wrapper, if it does. Null if untracked.
+ * @param {Map<string, any>|undefined} state State snapshot.
+ * @returns {StoragePatch[]?}
+ */
+function drainChanges(state) {
+  const drain = /** @type {any} */ (state)?.drainChanges;
+
+  return typeof drain === 'function'
+    ? drain.call(state)
+    : null;
+}
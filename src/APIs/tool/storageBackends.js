@@ -0,0 +1,501 @@
+// @ts-check
+import fs from 'fs';
+import { basename, dirname } from 'path';
+import { readBytes } from '../file/fileTools.js';
+
+
+/**
+ * Change to a storage object. Sets value at key path, deletes key if no value given.
+ * @typedef {[path: string[], value?: any]} StoragePatch
+ */
+
+/**
+ * Persistence backend for JsonStorage, reading and writing plain storage objects.
+ * @typedef StorageBackend
+ * @property {string} file Persistent filepath.
+ * @property {() => Promise<number?>} lastModified Return file last-modified time. Null if inaccessible.
+ * @property {() => Promise<Object<string, any>>} read Return current storage object.
+ * @property {(storageObject: Object<string, any>, patches: StoragePatch[]?) => Promise<NodeJS.ErrnoException?>} write
+ * Persist storage object, only its patches if given and supported.
+ * @property {() => void} invalidate Drop cached storage object, if any.
+ * @property {(callback: () => any, signal?: AbortSignal) => void} watch Run callback on file changes.
+ */
+
+/**
+ * Log header line, identifying current snapshot.
+ * @typedef LogHeader
+ * @property {number} generation Snapshot generation, changes on compaction.
+ */
+
+
+/**
+ * Max bytes appended to a log before compaction, unless snapshot is larger.
+ */
+const COMPACTBYTES = 1024 ** 2;
+
+/**
+ * Bytes read to find log header line.
+ */
+const HEADERBYTES = 256;
+
+/**
+ * Milliseconds to wait for file events to settle before notifying changes.
+ */
+const WATCHDELAY = 50;
+
+
+/**
+ * Whole-file JSON backend. Every write re-serializes the whole object.
+ * @implements {StorageBackend}
+ */
+export class JsonFileBackend {
+
+  /**
+   * Persistent JSON filepath.
+   */
+  #file = '';
+
+  /**
+   * Last read file modified-time.
+   * @type {number|undefined}
+   */
+  #cachedModifiedTime;
+
+  /**
+   * Last read file JSON text.
+   */
+  #cachedJsonText = '{}';
+
+  /**
+   * @param {string} file Persistent JSON filepath.
+   * @throws {Error} If file fails to be reached/initialized.
+   */
+  constructor(file) {
+    // create storage file, catch if already present, throw otherwise
+    try {
+      fs.writeFileSync(file, '{}', { flag: 'wx' });
+    } catch (error) {
+      if (/** @type NodeJS.ErrnoException? */ (error)?.code !== 'EEXIST')
+        throw new Error(`Failed to initialize storage file:\n${error}`);
+    }
+
+    this.#file = file;
+  }
+
+  get file() {
+    return this.#file;
+  }
+
+  /**
+   * @returns {Promise<number?>}
+   */
+  async lastModified() {
+    return await new Promise(resolve => {
+      fs.stat( this.#file, (_err, stats) => resolve(stats?.mtimeMs) );
+    });
+  }
+
+  /**
+   * @throws {NodeJS.ErrnoException} If file is not readable.
+   * @throws {SyntaxError} If file contains invalid JSON.
+   * @returns {Promise<Object<string, any>>}
+   */
+  async read() {
+    const modifiedTime = await this.lastModified() || Date.now();
+
+    if (modifiedTime === this.#cachedModifiedTime)
+      return JSON.parse(this.#cachedJsonText);
+
+    const jsonText = await new Promise((resolve, reject) => {
+      fs.readFile(this.#file, 'utf8', (err, text) => {
+        if (err)
+          reject(err);
+        else
+          resolve(text);
+      });
+    });
+
+    const storageObject = JSON.parse(jsonText);
+    this.#cachedJsonText = jsonText;
+    this.#cachedModifiedTime = modifiedTime;
+
+    return storageObject;
+  }
+
+  /**
+   * @param {Object<string, any>} storageObject
+   * @param {StoragePatch[]?} _patches Ignored, whole object is written.
+   * @returns {Promise<NodeJS.ErrnoException?>}
+   */
+  async write(storageObject, _patches) {
+    const json = JSON.stringify(storageObject);
+
+    return await new Promise(resolve => {
+      fs.writeFile(this.#file, json, 'utf8', async (err) => {
+        if (err)
+          resolve(err);
+        else {
+          this.#cachedJsonText = json;
+          this.#cachedModifiedTime = await this.lastModified() || Date.now();
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  invalidate() {
+    // every read returns a fresh object
+  }
+
+  /**
+   * @param {() => any} callback
+   * @param {AbortSignal} [signal]
+   */
+  watch(callback, signal) {
+    // fs.watch runs the callback twice on every single file write,
+    // so track the call count and process only when it's even.
+    let watchCalls = 0;
+
+    fs.watch(this.#file, { signal }, () => {
+      if (++watchCalls === 2) {
+        watchCalls = 0;
+        callback();
+      }
+    }).on('error', (err) => {
+      // as when storage lives on a removed drive
+      console.warn(`MXIV::WARN: Stopped watching "${this.#file}":`, err);
+    });
+  }
+}
+
+/**
+ * Append-only log backend, for large storages with frequent small writes.
+ * - File holds a header line, a snapshot line, then one patch line per change since.
+ * - Reads apply only lines appended since last read, writes append patches only.
+ * - Log is compacted into a new snapshot once patches outweigh it.
+ * - Returned storage object is cached and live, meant to be changed only through writes.
+ * @implements {StorageBackend}
+ */
+export class LogFileBackend {
+
+  /**
+   * Persistent log filepath.
+   */
+  #file = '';
+
+  /**
+   * Storage object as of last read or write.
+   * @type {Object<string, any>?}
+   */
+  #cache = null;
+
+  /**
+   * Snapshot generation of cached object.
+   */
+  #generation = 0;
+
+  /**
+   * Bytes of log applied to cached object.
+   */
+  #offset = 0;
+
+  /**
+   * Bytes of header and snapshot lines.
+   */
+  #snapshotBytes = 0;
+
+  /**
+   * Bytes past last applied line, as left by an interrupted write.
+   */
+  #danglingBytes = 0;
+
+  /**
+   * @param {string} file Persistent log filepath.
+   * @param {string} [legacyFile] Whole-file JSON storage to migrate from, if log doesn't exist yet.
+   * Renamed to `<legacyFile>.bak` once migrated.
+   * @throws {Error} If file fails to be reached/initialized.
+   * @throws {SyntaxError} If legacy file contains invalid JSON.
+   */
+  constructor(file, legacyFile) {
+    this.#file = file;
+
+    if ( fs.existsSync(file) )
+      return;
+
+    const migrating = legacyFile != null && fs.existsSync(legacyFile);
+    const storageObject = migrating ? JSON.parse( fs.readFileSync(legacyFile, 'utf8') ) : {};
+
+    // create log file, catch if already created by another instance, throw otherwise
+    try {
+      fs.writeFileSync(file, LogFileBackend.#snapshotText(Date.now(), storageObject), { flag: 'wx' });
+    } catch (error) {
+      if (/** @type NodeJS.ErrnoException? */ (error)?.code !== 'EEXIST')
+        throw new Error(`Failed to initialize storage file:\n${error}`);
+
+      return;
+    }
+
+    if (migrating) {
+      fs.renameSync(legacyFile, `${legacyFile}.bak`);
+      console.log(`MXIV: Migrated "${legacyFile}" storage to "${file}".`);
+    }
+  }
+
+  get file() {
+    return this.#file;
+  }
+
+  /**
+   * Return header and snapshot lines for storage object.
+   * @param {number} generation Snapshot generation.
+   * @param {Object<string, any>} storageObject
+   * @returns {string}
+   */
+  static #snapshotText(generation, storageObject) {
+    return `${JSON.stringify({ generation })}\n${JSON.stringify(storageObject)}\n`;
+  }
+
+  /**
+   * Apply patch to storage object, creating missing parents.
+   * @param {Object<string, any>} storageObject
+   * @param {StoragePatch} patch
+   */
+  static #applyPatch(storageObject, [path, value]) {
+    let target = storageObject;
+    for (const key of path.slice(0, -1))
+      target = target[key] ??= {};
+
+    const key = /** @type {string} */ ( path.at(-1) );
+    value === undefined
+      ? delete target[key]
+      : target[key] = value;
+  }
+
+  /**
+   * @returns {Promise<number?>}
+   */
+  async lastModified() {
+    return await new Promise(resolve => {
+      fs.stat( this.#file, (_err, stats) => resolve(stats?.mtimeMs) );
+    });
+  }
+
+  /**
+   * Read log bytes from position to end of file, or up to a length.
+   * @param {number} position Byte offset.
+   * @param {number} [maxLength=Infinity] Max bytes to read.
+   * @returns {Promise<Buffer>}
+   * @throws {NodeJS.ErrnoException} If file is not readable.
+   */
+  async #readFrom(position, maxLength = Infinity) {
+    const fd = await new Promise((resolve, reject) => {
+      fs.open( this.#file, 'r', (err, fd) => err ? reject(err) : resolve(fd) );
+    });
+
+    const size = await new Promise(resolve => {
+      fs.fstat( fd, (_err, stats) => resolve(stats?.size ?? 0) );
+    });
+
+    const length = Math.min(size - position, maxLength);
+    const bytes = length > 0 ? await readBytes(fd, position, length) : Buffer.alloc(0);
+    fs.close(fd, () => {});
+
+    return bytes;
+  }
+
+  /**
+   * Return log header. Null if unreadable.
+   * @returns {Promise<LogHeader?>}
+   */
+  async #readHeader() {
+    const bytes = await this.#readFrom(0, HEADERBYTES).catch( () => Buffer.alloc(0) );
+    const end = bytes.indexOf(0x0a);
+
+    try {
+      return end < 0 ? null : JSON.parse( bytes.subarray(0, end).toString('utf8') );
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Apply complete lines from bytes, return bytes consumed.
+   * @param {Buffer} bytes Log bytes, starting at a line.
+   * @param {(line: string) => void} onLine Line handler.
+   * @returns {number}
+   */
+  static #consumeLines(bytes, onLine) {
+    const end = bytes.lastIndexOf(0x0a) + 1;
+    const lines = bytes.subarray(0, end).toString('utf8').split('\n');
+
+    for (const line of lines) {
+      if (line !== '')
+        onLine(line);
+    }
+
+    return end;
+  }
+
+  /**
+   * Load whole log into cache.
+   * @throws {NodeJS.ErrnoException} If file is not readable.
+   * @throws {SyntaxError} If file contains invalid JSON.
+   */
+  async #load() {
+    const bytes = await this.#readFrom(0);
+
+    /** @type {Object<string, any>?} */
+    let storageObject = null;
+    let lineCount = 0;
+    let snapshotBytes = 0;
+
+    const consumed = LogFileBackend.#consumeLines(bytes, (line) => {
+      if (lineCount === 0)
+        this.#generation = JSON.parse(line).generation;
+      else if (lineCount === 1)
+        storageObject = JSON.parse(line);
+      else
+        LogFileBackend.#applyPatch( /** @type {Object<string, any>} */ (storageObject), JSON.parse(line) );
+
+      if (++lineCount <= 2)
+        snapshotBytes += Buffer.byteLength(line) + 1;
+    });
+
+    if (storageObject == null)
+      throw new SyntaxError(`Storage log "${this.#file}" lacks a snapshot`);
+
+    this.#cache = storageObject;
+    this.#offset = consumed;
+    this.#snapshotBytes = snapshotBytes;
+    this.#danglingBytes = bytes.length - consumed;
+  }
+
+  /**
+   * Apply lines appended since last read to cache.
+   * @throws {NodeJS.ErrnoException} If file is not readable.
+   * @throws {SyntaxError} If appended lines contain invalid JSON.
+   */
+  async #catchUp() {
+    const cache = /** @type {Object<string, any>} */ (this.#cache);
+    const bytes = await this.#readFrom(this.#offset);
+
+    const consumed = LogFileBackend.#consumeLines(bytes, (line) => {
+      LogFileBackend.#applyPatch( cache, JSON.parse(line) );
+    });
+
+    this.#offset += consumed;
+    this.#danglingBytes = bytes.length - consumed;
+  }
+
+  /**
+   * @throws {NodeJS.ErrnoException} If file is not readable.
+   * @throws {SyntaxError} If file contains invalid JSON.
+   * @returns {Promise<Object<string, any>>}
+   */
+  async read() {
+    const header = await this.#readHeader();
+
+    // reload on compaction by another instance
+    this.#cache == null || header?.generation !== this.#generation
+      ? await this.#load()
+      : await this.#catchUp();
+
+    return /** @type {Object<string, any>} */ (this.#cache);
+  }
+
+  /**
+   * Append patches, or compact log into a new snapshot if none given or log grew too large.
+   * - Expects cache to be up-to-date, as read under the same lock.
+   * @param {Object<string, any>} storageObject
+   * @param {StoragePatch[]?} patches Changes since last read.
+   * @returns {Promise<NodeJS.ErrnoException?>}
+   */
+  async write(storageObject, patches) {
+    this.#cache = storageObject;
+
+    const text = patches?.map( patch => `${JSON.stringify(patch)}\n` ).join('') ?? '';
+    const bytes = Buffer.byteLength(text);
+    const logBytes = this.#offset - this.#snapshotBytes + bytes;
+
+    if ( patches == null || this.#danglingBytes > 0 || logBytes > Math.max(this.#snapshotBytes, COMPACTBYTES) )
+      return await this.#compact();
+
+    if (bytes < 1)
+      return null;
+
+    const error = await new Promise(resolve => {
+      fs.appendFile( this.#file, text, 'utf8', (err) => resolve(err) );
+    });
+
+    error == null
+      ? this.#offset += bytes
+      : this.invalidate();
+
+    return error;
+  }
+
+  /**
+   * Rewrite log as header and snapshot of cache only.
+   * - Snapshot is written to a file next to the log then renamed over it,
+   *   so an interrupted write never leaves a truncated log behind.
+   * @returns {Promise<NodeJS.ErrnoException?>}
+   */
+  async #compact() {
+    const generation = Math.max( Date.now(), this.#generation + 1 );
+    const text = LogFileBackend.#snapshotText( generation, /** @type {Object<string, any>} */ (this.#cache) );
+    const tmpFile = `${this.#file}.${process.pid}.tmp`;
+
+    /** @type {NodeJS.ErrnoException?} */
+    const error = await new Promise(resolve => {
+      fs.writeFile(tmpFile, text, 'utf8', (err) => {
+        if (err != null)
+          return fs.rm( tmpFile, { force: true }, () => resolve(err) );
+
+        fs.rename(tmpFile, this.#file, (err) => {
+          err != null
+            ? fs.rm( tmpFile, { force: true }, () => resolve(err) )
+            : resolve(null);
+        });
+      });
+    });
+
+    if (error != null) {
+      this.invalidate();
+      return error;
+    }
+
+    this.#generation = generation;
+    this.#offset = this.#snapshotBytes = Buffer.byteLength(text);
+    this.#danglingBytes = 0;
+
+    return null;
+  }
+
+  invalidate() {
+    this.#cache = null;
+  }
+
+  /**
+   * @param {() => any} callback
+   * @param {AbortSignal} [signal]
+   */
+  watch(callback, signal) {
+    /** @type {NodeJS.Timeout|undefined} */
+    let timeout;
+
+    const name = basename(this.#file);
+
+    // watch folder as compaction replaces the file, appends and replaces fire a varying
+    // number of events, notify once settled
+    fs.watch(dirname(this.#file), { signal }, (_event, filename) => {
+      if (filename !== name)
+        return;
+
+      clearTimeout(timeout);
+      timeout = setTimeout(callback, WATCHDELAY);
+    }).on('error', (err) => {
+      // as when storage lives on a removed drive
+      console.warn(`MXIV::WARN: Stopped watching "${this.#file}":`, err);
+    });
+  }
+}
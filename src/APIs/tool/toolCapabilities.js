@@ -1,12 +1,18 @@
 // @ts-check
-import { hasTool as hasArchiveTool } from './archive.js';
+import { hasTool as hasArchiveTool, supportedFormats } from './archive.js';
 import { hasTool as hasThumbnailTool } from './thumbnail.js';
+import { archiveFormat } from '../file/fileTools.js';
 
 
+/**
+ * @import { ArchiveFormat } from '../file/fileTools.js'
+ */
+
 /**
  * Possible tool capabilities for feature switches.
  * @typedef ToolCapabilities
  * @property {boolean} canExtract Either process can extract archives.
+ * @property {ArchiveFormat[]} archiveFormats Archive formats process can extract.
  * @property {boolean} canThumbnail Either process can generate thumbnails.
  */
 
@@ -16,15 +22,31 @@ import { hasTool as hasThumbnailTool } from './thumbnail.js';
  */
 export const tools = {
   canExtract: false,
+  archiveFormats: [],
   canThumbnail: false
 };
 
 
+/**
+ * Check if archive is in a format the process can extract.
+ * @param {string} archivePath Path to archive file.
+ * @param {ToolCapabilities} [capabilities] Tool capabilities to check against.
+ * @returns {Promise<boolean>}
+ */
+export async function canExtractArchive(archivePath, capabilities = tools) {
+  if (!capabilities.canExtract)
+    return false;
+
+  const format = await archiveFormat(archivePath);
+  return format != null && capabilities.archiveFormats.includes(format);
+}
+
 /**
  * Probe tool availability once in the main process.
  */
 function initialize() {
   hasArchiveTool().then(value => tools.canExtract = value);
+  supportedFormats().then(value => tools.archiveFormats = value);
   hasThumbnailTool().then(value => tools.canThumbnail = value);
 }
 
@@ -43,6 +43,13 @@ const infoElement = /** @type HTMLParagraphElement */ (containerElement.querySel
 const inputElement = new InputPrompt( /** @type HTMLInputElement */ (containerElement.querySelector('input')) );
 
 
+/**
+ * Pending password request, if any. Prompt is masked and won't run actions while set.
+ * @type {{message: string, resolve: (password: string?) => void}?}
+ */
+let passwordRequest = null;
+
+
 /**
  * Action palette visibility.
  * @returns {boolean}
@@ -113,6 +120,11 @@ function createElement(item, leadingAction = []) {
  * Generate hint list based on current inputElement text.
  */
 async function displayHints() {
+  if (passwordRequest != null) {
+    setPaletteInfo(passwordRequest.message);
+    return listElement.populate([], createElement);
+  }
+
   setPaletteInfo('');
 
   const currentActions = getCurrentActions(),
@@ -198,6 +210,22 @@ function initialize() {
   // control inputs
   inputElement.onkeydown = (e) => {
 
+    // password requests only confirm or close
+    if (passwordRequest != null) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        resolvePassword( inputElement.getText() );
+        togglePalette(false);
+      }
+      else if (e.key === 'Backspace' && inputElement.getText().length < 1) {
+        e.stopImmediatePropagation();
+        togglePalette(false);
+      }
+
+      return;
+    }
+
     // navigate hints
     if (e.key === 'Tab' || e.key === 'ArrowUp' || e.key === 'ArrowDown') {
       e.preventDefault();
@@ -330,6 +358,10 @@ export function togglePalette(open, text = '') {
     displayHints();
   }
 
+  // closing dismisses pending password request
+  if (!open)
+    resolvePassword(null);
+
   // play fade-in/out animation, clear list on close
   paletteIsVisible = open;
   containerElement.animate(
@@ -343,6 +375,39 @@ export function togglePalette(open, text = '') {
   };
 }
 
+/**
+ * Ask for a password through a masked prompt. Supersedes pending requests.
+ * @param {string} message Message to display, such as what the password is for.
+ * @returns {Promise<string?>} Typed password, `null` if dismissed.
+ */
+export function requestPassword(message) {
+  resolvePassword(null);
+
+  return new Promise(resolve => {
+    passwordRequest = { message, resolve };
+    inputElement.setMasked(true);
+
+    togglePalette(true);
+    inputElement.setText('', true);
+    displayHints();
+  });
+}
+
+/**
+ * Resolve pending password request, if any, and unmask prompt.
+ * @param {string?} password Typed password, `null` if dismissed.
+ */
+function resolvePassword(password) {
+  const request = passwordRequest;
+  if (request == null)
+    return;
+
+  passwordRequest = null;
+  inputElement.setMasked(false);
+  inputElement.setText('', true);
+  request.resolve(password);
+}
+
 /**
  * Repeat last executed action, if any.
  */
@@ -376,5 +441,5 @@ initialize();
  */
 export default {
   get paletteIsVisible() { return paletteIsVisible },
-  togglePalette, repeatLastAction, clearActionHistory, setPaletteInfo
+  togglePalette, repeatLastAction, clearActionHistory, setPaletteInfo, requestPassword
 };
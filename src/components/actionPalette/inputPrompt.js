@@ -135,6 +135,14 @@ export class InputPrompt {
     return output;
   }
 
+  /**
+   * Mask or reveal typed characters, as for passwords.
+   * @param {boolean} masked Either to mask characters.
+   */
+  setMasked(masked) {
+    this.#input.type = masked ? 'password' : 'text';
+  }
+
   /**
    * Focus prompt element.
    */
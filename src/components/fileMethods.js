@@ -1,6 +1,18 @@
 import { notify } from "./notifier.js";
+import { option, setPaletteInfo } from "./actionPalette/actionPalette.js";
+import userPreferences from "./userPreferences.js";
 
 
+/**
+ * Treat tags from user input.
+ * @param {string[]} tags Raw tags.
+ * @returns {string[]}
+ */
+function treatTags(tags) {
+  return tags.map( tag => tag.toLowerCase().trim() )
+    .filter(tag => tag !== '');
+}
+
 /**
  * Add or remove tags from given file.
  * @param {string?} filepath Absolute file path.
@@ -11,9 +23,7 @@ export async function tag(filepath, add, ...tags) {
   if (!filepath)
     return notify('no file to tag', 'tag');
 
-  // treat tags
-  const treatedTags = tags.map( tag => tag.toLowerCase().trim() )
-    .filter(tag => tag !== '');
+  const treatedTags = treatTags(tags);
 
   if (treatedTags.length < 1) 
     return notify('no tags to update');
@@ -22,17 +32,43 @@ export async function tag(filepath, add, ...tags) {
     ? await elecAPI.addTags(filepath, ...treatedTags)
     : await elecAPI.removeTags(filepath, ...treatedTags);
 
+  if ( success && userPreferences.get('writeTagSidecars') )
+    await elecAPI.writeTagSidecars([filepath]);
+
   notify(`${success ? '' : 'no '}tags updated`, 'tag');
 }
 
+/**
+ * Add or remove tags from many files at once.
+ * @param {string[]} filepaths Absolute file paths.
+ * @param {boolean} add Add tags instead of removing them.
+ * @param  {...string} tags Tags to associate to files.
+ */
+export async function tagMany(filepaths, add, ...tags) {
+  if (filepaths.length < 1)
+    return notify('no files to tag', 'tag');
+
+  const treatedTags = treatTags(tags);
+
+  if (treatedTags.length < 1)
+    return notify('no tags to update');
+
+  const updatedEntries = add
+    ? await elecAPI.addTagsToMany(filepaths, ...treatedTags)
+    : await elecAPI.removeTagsFromMany(filepaths, ...treatedTags);
+
+  if ( updatedEntries > 0 && userPreferences.get('writeTagSidecars') )
+    await elecAPI.writeTagSidecars(filepaths);
+
+  notify(`${updatedEntries} of ${filepaths.length} files updated`, 'tag');
+}
+
 /**
  * Rename all occurences of one or more tags.
  * @param {string[]} tags Tags to rename.
  */
 export async function renameTags(...tags) {
-  // treat tags
-  const treatedTags = tags.map( tag => tag.toLowerCase().trim() )
-    .filter(tag => tag !== '');
+  const treatedTags = treatTags(tags);
 
   if (treatedTags.length < 1)
     return notify('no tags to update');
@@ -46,9 +82,7 @@ export async function renameTags(...tags) {
  * @param {string[]} tags Tags to delete.
  */
 export async function deleteTags(...tags) {
-  // treat tags
-  const treatedTags = tags.map( tag => tag.toLowerCase().trim() )
-    .filter(tag => tag !== '');
+  const treatedTags = treatTags(tags);
 
   if (treatedTags.length < 1)
     return notify('no tags to update');
@@ -57,6 +91,240 @@ export async function deleteTags(...tags) {
   notify(`${updatedEntries} entries updated`);
 }
 
+/**
+ * Undo last tag change made this session, or redo last undone one.
+ * @param {boolean} undo Either to undo or redo.
+ */
+export async function replayTags(undo) {
+  const report = undo ? await elecAPI.undoTags() : await elecAPI.redoTags();
+
+  if (report == null)
+    return notify(`nothing to ${undo ? 'undo' : 'redo'}`, 'tagUndo');
+
+  const conflicts = report.conflicts > 0 ? `, ${report.conflicts} changed since skipped` : '';
+  notify(`${undo ? 'undone' : 'redone'} "${report.label}": ${report.restored} entries restored${conflicts}`, 'tagUndo');
+}
+
+/**
+ * Alias one or more tags to a canonical tag, replaced by it when tagging.
+ * @param {string} canonical Canonical tag.
+ * @param {string[]} aliases Tags to alias.
+ */
+export async function aliasTags(canonical = '', ...aliases) {
+  const [treatedCanonical] = treatTags([canonical]);
+  const treatedAliases = treatTags(aliases);
+
+  if (treatedCanonical == null || treatedAliases.length < 1)
+    return notify('needs a canonical tag and aliases', 'tagRules');
+
+  const aliasesSet = await elecAPI.aliasTags(treatedCanonical, ...treatedAliases);
+  notify(`${aliasesSet} aliases set`, 'tagRules');
+}
+
+/**
+ * Remove one or more aliases.
+ * @param {string[]} aliases Aliases to remove.
+ */
+export async function unaliasTags(...aliases) {
+  const treatedAliases = treatTags(aliases);
+
+  if (treatedAliases.length < 1)
+    return notify('no aliases to remove', 'tagRules');
+
+  const aliasesDeleted = await elecAPI.unaliasTags(...treatedAliases);
+  notify(`${aliasesDeleted} aliases removed`, 'tagRules');
+}
+
+/**
+ * Make tag imply one or more tags, added along with it when tagging.
+ * @param {string} tag Implying tag.
+ * @param {string[]} impliedTags Tags to imply.
+ */
+export async function implyTags(tag = '', ...impliedTags) {
+  const [treatedTag] = treatTags([tag]);
+  const treatedImplied = treatTags(impliedTags);
+
+  if (treatedTag == null || treatedImplied.length < 1)
+    return notify('needs a tag and tags to imply', 'tagRules');
+
+  const implicationsSet = await elecAPI.implyTags(treatedTag, ...treatedImplied);
+  notify(`${implicationsSet} implications set`, 'tagRules');
+}
+
+/**
+ * Remove implications from tag, all of them if none given.
+ * @param {string} tag Implying tag.
+ * @param {string[]} impliedTags Implied tags to remove.
+ */
+export async function unimplyTags(tag = '', ...impliedTags) {
+  const [treatedTag] = treatTags([tag]);
+
+  if (treatedTag == null)
+    return notify('no implications to remove', 'tagRules');
+
+  const implicationsDeleted = await elecAPI.unimplyTags(treatedTag, ...treatTags(impliedTags));
+  notify(`${implicationsDeleted} implications removed`, 'tagRules');
+}
+
+/**
+ * Apply alias and implication rules to already tagged files.
+ */
+export async function applyTagRules() {
+  const updatedEntries = await elecAPI.applyTagRules();
+  notify(`${updatedEntries} entries updated`, 'tagRules');
+}
+
+/**
+ * Export all tags to a JSON or CSV file, or to sidecar XMP files next to tagged files.
+ * @param {string} path Export file path, format deduced from extension. Ignored for `xmp`.
+ * @param {string} [format] Export format, either `json`, `csv` or `xmp`.
+ */
+export async function exportTags(path = '', format) {
+  format = format ?? path.slice(path.lastIndexOf('.') + 1).toLowerCase();
+
+  if (format !== 'json' && format !== 'csv' && format !== 'xmp')
+    return notify('export format must be json, csv or xmp', 'tagExport');
+
+  if (format !== 'xmp' && path.trim() === '')
+    return notify('no file to export to', 'tagExport');
+
+  const exported = await elecAPI.exportTags(path, format);
+  notify(`${exported} entries exported`, 'tagExport');
+}
+
+/**
+ * Import tags from a JSON, CSV or sidecar XMP file, or from all sidecars in a folder.
+ * @param {string} path File or folder path.
+ */
+export async function importTags(path = '') {
+  if (path.trim() === '')
+    return notify('no file to import from', 'tagImport');
+
+  try {
+    const updatedEntries = await elecAPI.importTags(path);
+    notify(`${updatedEntries} entries updated`, 'tagImport');
+  } catch (err) {
+    console.error(err);
+
+    // errors from main process reach here rewrapped, their original name in the message
+    const malformed = err instanceof Error && err.message.includes('SyntaxError');
+    notify(malformed ? 'failed to import, malformed file' : 'failed to import tags', 'tagImport');
+  }
+}
+
+/**
+ * Relink tag entries of moved files found under given folders.
+ * @param {string[]} roots Folders to search recursively.
+ */
+export async function relinkFiles(...roots) {
+  if (roots.length < 1)
+    return notify('no folders to search', 'relink');
+
+  notify('searching for moved files...', 'relink');
+  const report = await elecAPI.relinkTags(...roots);
+
+  if (report.relinked.length > 0)
+    console.log('MXIV: Relinked tag entries:', report.relinked);
+
+  notify(`${report.relinked.length} entries relinked, ${report.unmatched.length} still orphaned`, 'relink');
+}
+
+/**
+ * Switch window to a tag database.
+ * @param {string} name Database name.
+ * @returns {Promise<boolean>} Success.
+ */
+export async function useTagDatabase(name = '') {
+  const database = name.trim() !== ''
+    ? await elecAPI.useTagDatabase( name.trim() )
+    : null;
+
+  database != null
+    ? notify(`using "${database.name}" tag database`, 'tagDB')
+    : notify(`can't use tag database "${name}"`, 'tagDB');
+
+  return database != null;
+}
+
+/**
+ * Register a tag database, at a JSON file or in a folder as the root of a removable drive.
+ * @param {string} name Database name.
+ * @param {string} path Storage file or folder path.
+ * @param {string} [keys] Either `absolute` or `relative` to storage folder, for portable databases.
+ */
+export async function addTagDatabase(name = '', path = '', keys = 'absolute') {
+  if (name.trim() === '' || path.trim() === '')
+    return notify('needs a database name and path', 'tagDB');
+
+  const database = await elecAPI.addTagDatabase( name.trim(), path, keys === 'relative' );
+  database != null
+    ? notify(`added "${database.name}" tag database at ${database.file}`, 'tagDB')
+    : notify(`can't add "${name}" tag database`, 'tagDB');
+}
+
+/**
+ * Unregister a tag database, keeping its storage file. Falls back to default database if in use.
+ * @param {string} name Database name.
+ */
+export async function removeTagDatabase(name = '') {
+  // windows using it, this one included, switch to default on broadcast
+  const removed = await elecAPI.removeTagDatabase( name.trim() );
+  notify(removed ? `removed "${name}" tag database` : `no "${name}" tag database`, 'tagDB');
+}
+
+/**
+ * Return palette options for registered tag databases.
+ * @param {boolean} [includeDefault=true] Either to list the built-in database.
+ */
+export async function tagDatabaseOptions(includeDefault = true) {
+  const active = elecAPI.activeTagDatabase().name;
+  const databases = await elecAPI.listTagDatabases();
+
+  return databases
+    .filter( database => includeDefault || database.name !== 'default' )
+    .map( database => option(database.name, `${database.name === active ? '(current) ' : ''}${database.file}`) );
+}
+
+/**
+ * Return palette options for tag rules.
+ * @param {'aliases'|'implications'} [kind] Rule kind to list, both if none.
+ */
+export function tagRuleOptions(kind) {
+  const rules = elecAPI.tagRules();
+  const options = [];
+
+  if (kind !== 'implications')
+    options.push( ...rules.aliases
+      .map( ([alias, canonical]) => option(alias, `alias of ${canonical}`) ) );
+
+  if (kind !== 'aliases')
+    options.push( ...rules.implications
+      .map( ([tag, implied]) => option(tag, `implies ${implied.join(', ')}`) ) );
+
+  return options;
+}
+
+/**
+ * Return tag completions for query, namespace by namespace.
+ * - Lists tags one level below the last separator in query, as in `places/`.
+ * - Also lists nested tags once a name is being typed, so `alice` finds `character:alice`.
+ * @param {string} query Partial tag.
+ * @returns {string[]}
+ */
+export function tagCompletions(query) {
+  const separatorIdx = Math.max( query.lastIndexOf(':'), query.lastIndexOf('/') );
+  const parent = query.slice(0, separatorIdx + 1);
+  const children = elecAPI.childTags(parent);
+
+  if ( query.length === parent.length )
+    return children;
+
+  const nested = elecAPI.uniqueTags(parent)
+    .filter( tag => !children.includes(tag) );
+
+  return children.concat(nested);
+}
+
 /**
  * Run user script on system shell.
  * @param {string} userScript User script.
@@ -81,26 +349,89 @@ export async function runScript(userScript, filepath, optMsg) {
 }
 
 /**
- * Check file against substrings or tags.
- * - Prepend '-' to a query to exclude a tag.
- * @param {{ name: string, path: string }} file File to test against.
- * @param {string[]} queries Substrings or tags to check.
- * @returns {boolean} Match
+ * Tag database actions shared by components with a `tag` action group,
+ * as they don't depend on which files are on display.
+ * @type {Object<string, import('../actions/componentActions.js').Action>}
  */
-export function matchNameOrTags(file, queries) {
-  const tags = elecAPI.getTags(file.path);
-  const name = file.name.toLowerCase();
-  
-  for (const query of queries) {
-    if (query[0] === '-') {
-      // exclude tag query from results
-      if ( tags.includes( query.slice(1) ) )
-        return false;
-    } else {
-      if ( !name.includes(query) && !tags.includes(query) )
-        return false;
+export const sharedTagActions = {
+  'undo': {
+    desc: 'undo last tag change made this session',
+    run: async () => await replayTags(true)
+  },
+  'redo': {
+    desc: 'redo last undone tag change',
+    run: async () => await replayTags(false)
+  },
+  'alias': {
+    desc: 'alias tags to a canonical tag, which replaces them on tagging',
+    run: async (canonical, ...aliases) => await aliasTags(canonical, ...aliases),
+    options: (query) => {
+      setPaletteInfo('arguments: <canonical> <alias...>');
+      return tagCompletions(query);
+    }
+  },
+  'unalias': {
+    desc: 'remove one or more tag aliases',
+    run: async (...aliases) => await unaliasTags(...aliases),
+    options: () => tagRuleOptions('aliases')
+  },
+  'imply': {
+    desc: 'make a tag imply other tags, added along with it on tagging',
+    run: async (tag, ...impliedTags) => await implyTags(tag, ...impliedTags),
+    options: (query) => {
+      setPaletteInfo('arguments: <tag> <implied...>');
+      return tagCompletions(query);
     }
+  },
+  'unimply': {
+    desc: 'remove implications from a tag, all of them if none given',
+    run: async (tag, ...impliedTags) => await unimplyTags(tag, ...impliedTags),
+    options: (_query, allArgs) => {
+      if (allArgs.length < 2)
+        return tagRuleOptions('implications');
+
+      const [, implied = []] = elecAPI.tagRules().implications
+        .find( ([tag]) => tag === allArgs[0] ) ?? [];
+
+      return implied;
+    }
+  },
+  'rules': {
+    desc: 'list tag aliases and implications',
+    run: () => {},
+    options: () => tagRuleOptions()
+  },
+  'applyRules': {
+    desc: 'apply tag aliases and implications to already tagged files',
+    run: async () => await applyTagRules()
+  },
+  'export': {
+    desc: 'export all tags to a json or csv file, or to xmp sidecars next to tagged files',
+    run: async (path, format) => await exportTags(path, format),
+    options: async (query, allArgs) => {
+      setPaletteInfo('arguments: <path.json|path.csv|xmp> [json|csv|xmp]');
+
+      return allArgs.length < 2
+        ? [option('xmp', 'write sidecar xmp files'), ...await elecAPI.queryPath(query)]
+        : ['json', 'csv', 'xmp'];
+    }
+  },
+  'import': {
+    desc: 'import tags from a json, csv or xmp file, or from all xmp sidecars in a folder',
+    run: async (path) => await importTags(path),
+    options: async (query) => {
+      setPaletteInfo('arguments: <path>');
+      return await elecAPI.queryPath(query);
+    },
+    customFilter : () => () => true // filtered upstream, skip usual filter
+  },
+  'relink': {
+    desc: 'search folders for moved tagged files, then relink their tags',
+    run: async (...roots) => await relinkFiles(...roots),
+    options: async (query) => {
+      setPaletteInfo('arguments: <folder...>');
+      return await elecAPI.queryPath(query);
+    },
+    customFilter : () => () => true // filtered upstream, skip usual filter
   }
-  
-  return true;
-}
+};
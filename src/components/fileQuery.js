@@ -0,0 +1,329 @@
+// @ts-check
+
+/**
+ * File query language, as used to filter and find files by name and tags.
+ * - `word`: name contains word, or file has it as a tag.
+ * - `word*`, `*word`: `*` matches any characters, against whole names and tags.
+ * - `name:word`, `tag:word`: match only names or only tags.
+ * - `artist:name`: namespaced tag, matched as a tag.
+ * - `places/europe`, `artist:`: tags also match their nested tags, as `places/europe/paris`.
+ * - `untagged`, `tags>3`: tag count predicates, also `<`, `=`, `>=`, `<=`.
+ * - `a b`, `a and b`: both match. `a | b`, `a or b`: either match.
+ * - `-a`, `not a`: doesn't match. `(a | b) c`: group expressions.
+ * @example
+ * // files tagged by either artist, not sketches, named "cover" or with few tags
+ * compileQuery(['(artist:foo', '|', 'artist:bar)', '-sketch*', '(name:cover', 'or', 'tags<2)']);
+ */
+
+
+/**
+ * Query subject to match against.
+ * @typedef {{ name: string, path: string }} QueryFile
+ */
+
+/**
+ * Compiled query node.
+ * @typedef {(name: string, tags: string[]) => boolean} QueryNode
+ */
+
+/**
+ * @typedef {'word'|'literal'|'open'|'close'|'not'|'and'|'or'} TokenType
+ */
+
+/**
+ * @typedef Token
+ * @property {TokenType} type Token type.
+ * @property {string} text Token text.
+ */
+
+
+/**
+ * Query syntax summary, for palette info.
+ */
+const QUERYSYNTAX = 'query: word, tag*, ns:tag, parent/, name:|tag:word, -not, a | b, (...), untagged, tags>n, ?: list tags';
+
+/**
+ * Query syntax error, with a message meant for display.
+ */
+export class QuerySyntaxError extends SyntaxError {
+  name = 'QuerySyntaxError';
+}
+
+
+/**
+ * Compile query into a file predicate.
+ * - Arguments holding whitespace, as quoted in the palette, are matched literally.
+ * @param {string[]} queries Query arguments.
+ * @returns {(file: QueryFile) => boolean} Predicate. Matches all files for empty queries.
+ * @throws {QuerySyntaxError} On invalid query.
+ */
+export function compileQuery(queries) {
+  const tokens = tokenize(queries);
+  if (tokens.length < 1)
+    return () => true;
+
+  const parser = new Parser(tokens);
+  const node = parser.parse();
+
+  return (file) => node( file.name.toLowerCase(), elecAPI.getTags(file.path) );
+}
+
+/**
+ * Return syntax summary for palette info, or syntax error if query is invalid.
+ * @param {string[]} queries Query arguments.
+ * @returns {string}
+ */
+export function queryInfo(queries) {
+  try {
+    compileQuery(queries);
+    return QUERYSYNTAX;
+  } catch (err) {
+    return `invalid query: ${/** @type {Error} */ (err).message}`;
+  }
+}
+
+/**
+ * Split query arguments into tokens.
+ * @param {string[]} queries Query arguments.
+ * @returns {Token[]}
+ */
+function tokenize(queries) {
+  /** @type {Token[]} */
+  const tokens = [];
+
+  for (const query of queries) {
+    let text = query.toLowerCase().trim();
+    if (text === '')
+      continue;
+
+    if ( /\s/.test(text) ) {
+      tokens.push({ type: 'literal', text });
+      continue;
+    }
+
+    // detach leading negations and parentheses, then trailing parentheses
+    while (text[0] === '(' || text[0] === '-') {
+      tokens.push({ type: text[0] === '(' ? 'open' : 'not', text: text[0] });
+      text = text.slice(1);
+    }
+
+    let closing = 0;
+    while (text.at(-1) === ')') {
+      closing++;
+      text = text.slice(0, -1);
+    }
+
+    if (text === '|' || text === 'or')
+      tokens.push({ type: 'or', text });
+    else if (text === 'and' || text === 'not')
+      tokens.push({ type: text, text });
+    else if (text !== '')
+      tokens.push({ type: 'word', text });
+
+    for (let i = 0; i < closing; i++)
+      tokens.push({ type: 'close', text: ')' });
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent query parser.
+ * - `or` binds looser than `and`, which binds looser than `not`.
+ */
+class Parser {
+
+  /**
+   * @type {Token[]}
+   */
+  #tokens;
+
+  /**
+   * Current token index.
+   */
+  #idx = 0;
+
+  /**
+   * @param {Token[]} tokens Query tokens.
+   */
+  constructor(tokens) {
+    this.#tokens = tokens;
+  }
+
+  /**
+   * Parse tokens into a single query node.
+   * @returns {QueryNode}
+   * @throws {QuerySyntaxError}
+   */
+  parse() {
+    const node = this.#orExpression();
+
+    const token = this.#tokens[this.#idx];
+    if (token != null)
+      throw new QuerySyntaxError(`unexpected "${token.text}"`);
+
+    return node;
+  }
+
+  /**
+   * @returns {QueryNode}
+   */
+  #orExpression() {
+    const nodes = [ this.#andExpression() ];
+
+    while (this.#tokens[this.#idx]?.type === 'or') {
+      this.#idx++;
+      nodes.push( this.#andExpression() );
+    }
+
+    return nodes.length > 1
+      ? (name, tags) => nodes.some( node => node(name, tags) )
+      : nodes[0];
+  }
+
+  /**
+   * @returns {QueryNode}
+   */
+  #andExpression() {
+    const nodes = [ this.#unary() ];
+
+    // juxtaposed terms are implicitly joined by `and`
+    for (let token = this.#tokens[this.#idx]; token != null; token = this.#tokens[this.#idx]) {
+      if (token.type === 'and')
+        this.#idx++;
+      else if (token.type === 'or' || token.type === 'close')
+        break;
+
+      nodes.push( this.#unary() );
+    }
+
+    return nodes.length > 1
+      ? (name, tags) => nodes.every( node => node(name, tags) )
+      : nodes[0];
+  }
+
+  /**
+   * @returns {QueryNode}
+   */
+  #unary() {
+    const token = this.#tokens[this.#idx];
+
+    if (token?.type === 'not') {
+      this.#idx++;
+      const node = this.#unary();
+      return (name, tags) => !node(name, tags);
+    }
+
+    return this.#primary();
+  }
+
+  /**
+   * @returns {QueryNode}
+   */
+  #primary() {
+    const token = this.#tokens[this.#idx++];
+
+    if (token == null) {
+      const previous = this.#tokens[this.#idx - 2];
+      throw new QuerySyntaxError(`expected term after "${previous.text}"`);
+    }
+
+    if (token.type === 'open') {
+      if (this.#tokens[this.#idx]?.type === 'close')
+        throw new QuerySyntaxError('empty parentheses');
+
+      const node = this.#orExpression();
+      if (this.#tokens[this.#idx++]?.type !== 'close')
+        throw new QuerySyntaxError('missing ")"');
+
+      return node;
+    }
+
+    if (token.type === 'literal')
+      return (name, tags) => name.includes(token.text) || tags.includes(token.text);
+
+    if (token.type === 'word')
+      return term(token.text);
+
+    throw new QuerySyntaxError(`unexpected "${token.text}"`);
+  }
+}
+
+/**
+ * Compile single query term.
+ * @param {string} text Term text.
+ * @returns {QueryNode}
+ * @throws {QuerySyntaxError}
+ */
+function term(text) {
+  if (text === 'untagged')
+    return (_name, tags) => tags.length < 1;
+
+  const count = text.match(/^tags(<=|>=|<|>|=)(\d+)$/);
+  if (count != null) {
+    const [, operator, value] = count;
+    return (_name, tags) => compare(tags.length, operator, Number(value));
+  }
+
+  // scoped terms, any other prefix is a tag namespace
+  const separatorIdx = text.indexOf(':');
+  const scope = separatorIdx > 0 ? text.slice(0, separatorIdx) : '';
+  const nested = elecAPI.tagSeparators().some( separator => text.indexOf(separator) > 0 );
+
+  if (scope === 'name' || scope === 'tag') {
+    const pattern = text.slice(separatorIdx + 1);
+    if (pattern === '')
+      throw new QuerySyntaxError(`empty "${scope}:" term`);
+
+    if (scope === 'name') {
+      const matchName = wordMatcher(pattern, true);
+      return (name) => matchName(name);
+    } else {
+      const matchTag = wordMatcher(pattern, false);
+      return (_name, tags) => tags.some(matchTag);
+    }
+  }
+
+  const matchName = wordMatcher(text, true);
+  const matchTag = wordMatcher(text, false);
+
+  return nested
+    ? (_name, tags) => tags.some(matchTag)
+    : (name, tags) => matchName(name) || tags.some(matchTag);
+}
+
+/**
+ * Return matcher for word, as a wildcard pattern if it has any `*`.
+ * @param {string} word Word to match.
+ * @param {boolean} partial Match substrings, otherwise whole tags and their nested tags. Ignored for patterns.
+ * @returns {(value: string) => boolean}
+ */
+function wordMatcher(word, partial) {
+  if ( !word.includes('*') )
+    return partial
+      ? (value) => value.includes(word)
+      : (value) => elecAPI.isWithinTag(value, word);
+
+  const escaped = word.split('*')
+    .map( chunk => chunk.replace(/[.+?^${}()|[\]\\]/g, '\\$&') );
+
+  const regex = new RegExp(`^${escaped.join('.*')}$`);
+  return (value) => regex.test(value);
+}
+
+/**
+ * Compare numbers by operator.
+ * @param {number} a
+ * @param {string} operator One of `<`, `>`, `=`, `<=`, `>=`.
+ * @param {number} b
+ * @returns {boolean}
+ */
+function compare(a, operator, b) {
+  switch (operator) {
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    case '>=': return a >= b;
+    default: return a === b;
+  }
+}
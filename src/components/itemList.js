@@ -3,6 +3,9 @@
 /**
  * Paginated item list for elements. Styling not included.
  * - Generate pages as they are requested, for performance.
+ * - Optional group headers are rendered between items as `separator` elements, skipped on navigation.
+ * - Hidden item elements are also skipped on navigation.
+ * - Folded items take no page slot and render only their group header, as for collapsed groups.
  * @template I Item type.
  * @template {HTMLElement} E Element type.
  */
@@ -12,13 +15,16 @@ export class ItemList extends HTMLElement {
 
   /**
    * Keeps track of items yet to be rendered on demand.
-   * @type {{ unrendered:boolean, items:I[] }[]}
+   * @type {{ unrendered:boolean, items:I[], folded:Set<I> }[]}
    */
   #virtualPages = [];
 
   /** @type {(item:I)=>E} */
   #itemGenerator;
 
+  /** @type {((item:I, previous:I?)=>HTMLElement?)|undefined} */
+  #headerGenerator;
+
   /** @type {HTMLDivElement}       */ #pageContainerDiv;
   /** @type {HTMLDivElement}       */ #paginatorDiv;
   /** @type {HTMLButtonElement}    */ #paginatorBtnL;
@@ -64,14 +70,18 @@ export class ItemList extends HTMLElement {
    * @param {I[]} iterableList Items to process.
    * @param {(item:I)=>E} itemGenerator Item HTML element generator.
    * @param {(item:I)=>Boolean} [filterFunc] Item filter. Optional.
+   * @param {(item:I, previous:I?)=>HTMLElement?} [headerGenerator] Group header to insert before item,
+   * given previous item on page or `null` on page start. Optional.
+   * @param {(item:I)=>Boolean} [foldFunc] Either item is folded under its header, without an element. Optional.
    */
-  populate(iterableList, itemGenerator, filterFunc) {
+  populate(iterableList, itemGenerator, filterFunc, headerGenerator, foldFunc) {
     // reset state
     this.currentPage = 0;
     this.currentPageDiv = null;
     this.#pageContainerDiv.textContent = '';
     this.#virtualPages = [];
     this.#itemGenerator = itemGenerator;
+    this.#headerGenerator = headerGenerator;
 
     let pageCount = 0, pageItemCount = 0;
     const applyFilter = filterFunc != null;
@@ -80,17 +90,26 @@ export class ItemList extends HTMLElement {
       if ( applyFilter && !filterFunc(item) )
         continue;
 
+      // folded items join current page without taking a slot
+      if ( foldFunc?.(item) ) {
+        this.#virtualPages[pageCount] ??= { unrendered: true, items: [], folded: new Set() };
+        this.#virtualPages[pageCount].items.push(item);
+        this.#virtualPages[pageCount].folded.add(item);
+        continue;
+      }
+
       // reset pageItemCount and increment page on threshold
       if (pageItemCount === this.itemsPerPage) {
         pageCount++;
         pageItemCount = 0;
       }
 
-      // create new virtual page on pageItemCount zero
+      // create new virtual page on pageItemCount zero, unless folded items started it
       if (pageItemCount === 0)
-        this.#virtualPages[pageCount] = {
+        this.#virtualPages[pageCount] ??= {
           unrendered: true,
-          items: []
+          items: [],
+          folded: new Set()
         };
 
       // append item to virtual page and increment itemCounter
@@ -123,8 +142,19 @@ export class ItemList extends HTMLElement {
     page.className = 'itemListPage';
     page.style.display = 'none';
 
-    for (const item of pageData.items)
-      page.append( this.#itemGenerator(item) );
+    let previous = null;
+    for (const item of pageData.items) {
+      const header = this.#headerGenerator?.(item, previous);
+      if (header != null) {
+        header.setAttribute('separator', '');
+        page.append(header);
+      }
+
+      if ( !pageData.folded.has(item) )
+        page.append( this.#itemGenerator(item) );
+
+      previous = item;
+    }
 
     this.#pageContainerDiv.append(page);
     pageData.unrendered = false;
@@ -162,10 +192,10 @@ export class ItemList extends HTMLElement {
 
     this.#virtualPages.forEach((pageData, pageKey) => {
       if (pageData.unrendered) {
-        count += pageData.items.length;
+        count += pageData.items.length - pageData.folded.size;
       } else {
         const element = this.#pageContainerDiv.querySelector(`[page='${pageKey}']`);
-        count += element && element.childElementCount || 0; // in case nodes were removed
+        count += element && ItemList.#itemElements(element).length || 0; // in case nodes were removed
       }
     });
 
@@ -178,7 +208,7 @@ export class ItemList extends HTMLElement {
    */
   get itemArray() {
     const items = [];
-    this.#virtualPages.forEach( pageData => items.push(...pageData.items) );
+    this.#virtualPages.forEach( pageData => items.push( ...pageData.items.filter( item => !pageData.folded.has(item) ) ) );
 
     return items;
   }
@@ -192,20 +222,38 @@ export class ItemList extends HTMLElement {
     let itemIdx = 0; // relative to itemArray
 
     for ( const [pageKey, pageData] of this.#virtualPages.entries() ) {
+      let elementIdx = 0; // relative to page item elements
 
-      for (let i = 0; i < pageData.items.length; i++) {
-        const item = pageData.items[i];
+      for (const item of pageData.items) {
+        if ( pageData.folded.has(item) )
+          continue;
 
         if ( predicate(item, itemIdx++) ) {
           const pageElement = this.#goToPage(pageKey);
-          return /** @type {E} */ (pageElement.children[i]);
+          return /** @type {E} */ ( ItemList.#itemElements(pageElement)[elementIdx] );
         }
+
+        elementIdx++;
       }
     }
 
     return null;
   }
 
+  /**
+   * Go to page of first item whose predicate returns true, folded items included.
+   * @param {(item:I)=>boolean} predicate
+   * @returns {boolean} Either an item was found.
+   */
+  showItemPage(predicate) {
+    const pageKey = this.#virtualPages.findIndex( pageData => pageData.items.some(predicate) );
+    if (pageKey < 0)
+      return false;
+
+    this.#goToPage(pageKey);
+    return true;
+  }
+
   /**
    * Navigate ItemList page items. Returns selected Element.
    * @param {boolean} forward Navigation direction.
@@ -220,7 +268,7 @@ export class ItemList extends HTMLElement {
     // no selection, focus first-item:first-page or last-item:last-page 
     if (selection == null) {
       const nextPage = this.#goToPage(forward ? 0 : this.#virtualPages.length - 1);
-      selection = forward ? nextPage.firstElementChild : nextPage.lastElementChild;
+      selection = ItemList.#edgeItem(nextPage, forward);
 
       selection?.classList.add('selected');
       return /** @type {E?} */ (selection);
@@ -231,20 +279,67 @@ export class ItemList extends HTMLElement {
 
     // focus sibling or focus current page extreme if selected element is in another page
     if (selection.parentElement === this.currentPageDiv)
-      selection = forward ? selection.nextElementSibling : selection.previousElementSibling;
+      selection = ItemList.#siblingItem(selection, forward);
     else
-      selection = forward ? this.currentPageDiv.firstElementChild : this.currentPageDiv.lastElementChild;
+      selection = ItemList.#edgeItem(this.currentPageDiv, forward);
 
-    // no neighbors at direction, wrap around page(s)
-    if (selection == null) {
+    // no neighbors at direction, wrap around page(s), skipping pages without navigable items
+    for (let i = 0; selection == null && i < this.#virtualPages.length; i++) {
       const nextPage = this.#goToPage( this.currentPage + (forward ? 1 : -1) );
-      selection = forward ? nextPage.firstElementChild : nextPage.lastElementChild;
+      selection = ItemList.#edgeItem(nextPage, forward);
     }
 
     selection?.classList.add('selected');
     return /** @type {E?} */ (selection);
   }
 
+  /**
+   * Return page item elements, without group headers.
+   * @param {Element} page Page element.
+   * @returns {Element[]}
+   */
+  static #itemElements(page) {
+    return [...page.children].filter( element => !element.hasAttribute('separator') );
+  }
+
+  /**
+   * Either element can be selected by navigation.
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  static #isNavigable(element) {
+    return !element.hasAttribute('separator') && !/** @type {HTMLElement} */ (element).hidden;
+  }
+
+  /**
+   * Return next navigable sibling of item element in direction, if any.
+   * @param {Element} element Item element.
+   * @param {boolean} forward Navigation direction.
+   * @returns {Element?}
+   */
+  static #siblingItem(element, forward) {
+    let sibling = forward ? element.nextElementSibling : element.previousElementSibling;
+
+    while ( sibling != null && !ItemList.#isNavigable(sibling) )
+      sibling = forward ? sibling.nextElementSibling : sibling.previousElementSibling;
+
+    return sibling;
+  }
+
+  /**
+   * Return first or last navigable item element in page, if any.
+   * @param {Element} page Page element.
+   * @param {boolean} first Either to return first or last item.
+   * @returns {Element?}
+   */
+  static #edgeItem(page, first) {
+    const edge = first ? page.firstElementChild : page.lastElementChild;
+
+    return edge == null || ItemList.#isNavigable(edge)
+      ? edge
+      : ItemList.#siblingItem(edge, first);
+  }
+
   /**
    * Go to respective page and scroll ItemList item element into view. 
    * @param {HTMLElement} itemElement 
@@ -7,6 +7,14 @@ import { ObservableEvents } from "./observableEvents.js";
  * @typedef {'dark'|'light'|'system'} ThemeOverride
  */
 
+/**
+ * @typedef {'none'|'folder'|'watchlist'} LibraryGrouping
+ */
+
+/**
+ * @import { LibrarySortOrder } from "../APIs/library/libraryStorage.js"
+ */
+
 
 const storage = new GenericStorage('userPreferences');
 
@@ -22,8 +30,13 @@ export const events = new ObservableEvents();
 const values = {
   libraryItemsPerPage: 100,
   libraryCoverSize: 200,
+  librarySortOrder: /** @type LibrarySortOrder */ ({ key: 'path', descending: false }),
+  libraryGroupBy: /** @type LibraryGrouping */ ('none'),
   themeOverride: /** @type ThemeOverride */ ('system'),
-  paletteHistorySize: 10
+  paletteHistorySize: 10,
+  rememberArchivePasswords: false,
+  readEmbeddedTags: false,
+  writeTagSidecars: false
 };
 
 
@@ -1,6 +1,7 @@
 // @ts-check
 import { Viewer } from "./viewer/viewer.js";
 import { Library } from "./library/library.js";
+import { TagBrowser } from "./tagBrowser/tagBrowser.js";
 
 
 /**
@@ -41,6 +42,14 @@ const registry = {
       allowProfiling: true,
       allowDuplicate: false
     }
+  },
+  'tagbrowser': {
+    'description': 'tag usage statistics, to review, rename and merge tags',
+    'class': TagBrowser,
+    'policy': {
+      allowProfiling: true,
+      allowDuplicate: false
+    }
   }
 }
 
@@ -1,7 +1,7 @@
 // @ts-check
 
 /**
- * @import { LibraryEntry } from "../../APIs/library/libraryStorage.js"
+ * @import { LibraryEntry, ReadingProgress } from "../../APIs/library/libraryStorage.js"
  */
 
 
@@ -28,12 +28,23 @@ export class Cover extends HTMLElement {
    */
   coverURL = null;
 
+  /**
+   * Book reading progress, if ever opened.
+   * @type {ReadingProgress?}
+   */
+  progress = null;
+
   /**
    * Set behavior on 'remove' button click.
    * @type {Function?}
    */
   onClickRemove = null;
 
+  /**
+   * 'remove' button tooltip.
+   */
+  removeTitle = 'delist book';
+
   static {
     customElements.define(Cover.tagName, Cover);
   }
@@ -46,7 +57,7 @@ export class Cover extends HTMLElement {
     const removeBtn = document.createElement('button');
     removeBtn.className = 'coverRemoveButton';
     removeBtn.setAttribute('icon', 'close');
-    removeBtn.title = 'delist book';
+    removeBtn.title = this.removeTitle;
     removeBtn.tabIndex = -1;
 
     const coverURL = this.coverURL ?? '../icons/libraryIconPlaceholder.jpg';
@@ -59,7 +70,31 @@ export class Cover extends HTMLElement {
         this.onClickRemove();
     };
 
-    this.append(title, removeBtn);
+    const progressBar = document.createElement('div');
+    progressBar.className = 'coverProgress';
+
+    this.append(title, removeBtn, progressBar);
+    this.updateProgress(this.progress);
+  }
+
+  /**
+   * Update reading progress bar, hidden for unread books.
+   * @param {ReadingProgress?} progress
+   */
+  updateProgress(progress) {
+    this.progress = progress;
+
+    const progressBar = /** @type {HTMLElement?} */ (this.querySelector('.coverProgress'));
+    if (progressBar == null)
+      return;
+
+    const ratio = progress == null ? 0
+      : progress.finished ? 1
+      : (progress.page + 1) / Math.max(progress.pageCount, 1);
+
+    progressBar.style.width = `${Math.min(ratio, 1) * 100}%`;
+    progressBar.style.display = progress == null ? 'none' : '';
+    this.toggleAttribute('finished', progress?.finished === true);
   }
 
   /**
@@ -82,6 +117,7 @@ export class Cover extends HTMLElement {
     cover.bookName = entry.name;
     cover.bookPath = entry.path;
     cover.coverURL = entry.coverURL;
+    cover.progress = entry.progress ?? null;
 
     return cover;
   }
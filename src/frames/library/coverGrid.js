@@ -3,17 +3,47 @@ import { ItemList } from "../../components/itemList.js";
 import { Cover } from "./coverElement.js";
 import { newTab, TAB } from "../../tabs/tab.js";
 import { generalState } from "../../tabs/profiles.js";
-import { matchNameOrTags } from '../../components/fileMethods.js';
 import userPreferences from "../../components/userPreferences.js";
 
 
 /**
  * @import { Library } from "./library.js"
- * @import { LibraryEntry } from "../../APIs/library/libraryStorage.js"
+ * @import { LibraryEntry, ReadingProgress } from "../../APIs/library/libraryStorage.js"
  * @import { Viewer } from "../viewer/viewer.js"
+ * @import { LibraryGrouping } from "../../components/userPreferences.js"
+ * @import { LibraryShelf } from "../../APIs/library/shelves.js"
  */
 
 
+/**
+ * Library sort keys and descriptions.
+ */
+export const librarySortKeys = {
+  path: 'sort by path (default)',
+  name: 'sort by book name',
+  added: 'sort by date added to library',
+  opened: 'sort by last opened',
+  modified: 'sort by book modified time',
+  pages: 'sort by page count, as of last scan',
+  random: 'shuffle books'
+};
+
+/**
+ * Library groupings and descriptions.
+ * @type {Record<LibraryGrouping, string>}
+ */
+export const libraryGroupings = {
+  none: 'no grouping (default)',
+  folder: 'group by parent folder',
+  watchlist: 'group by watchlist folder'
+};
+
+/**
+ * Group name for books outside every watchlist folder.
+ */
+const UNWATCHEDGROUP = 'not in watchlist';
+
+
 /**
  * List covers and navigate them.
  */
@@ -36,6 +66,11 @@ export class CoverGrid {
    */
   static #cacheIsDirty = true;
 
+  /**
+   * Group name sorting tool.
+   */
+  static #collator = new Intl.Collator('en', { numeric: true });
+
   /**
    * Host library.
    * @type {Library}
@@ -54,6 +89,30 @@ export class CoverGrid {
    */
   #drawnCovers = new Map();
 
+  /**
+   * Last drawn cover filter.
+   * @type {((entry: LibraryEntry) => boolean)|undefined}
+   */
+  #filterFunc;
+
+  /**
+   * Book path -> Group name, for last grouped drawing.
+   * @type {Map<string, string>}
+   */
+  #entryGroups = new Map();
+
+  /**
+   * Groups whose covers are folded under their header.
+   * @type {Set<string>}
+   */
+  #collapsedGroups = new Set();
+
+  /**
+   * Shelf on display, whole library if `null`.
+   * @type {string?}
+   */
+  #shelf = null;
+
   /**
    * Currently selected cover.
    * @type {Cover?}
@@ -62,11 +121,24 @@ export class CoverGrid {
 
   // invalidate cache on external updates
   static {
-    elecAPI.onBroadcast(function onLibrarySync(/** @type string */ message) {
+    elecAPI.onBroadcast(function onLibrarySync(/** @type string */ message, ...args) {
       if (message === 'library:sync') {
         CoverGrid.#cacheIsDirty = true;
         console.log('MXIV::broadcast: library:sync');
       }
+
+      // keep reading progress current, as recorded by Viewers
+      else if (message === 'library:progress') {
+        const [path, progress] = args;
+        const cacheItem = CoverGrid.#cachedEntryMap.get(path);
+
+        if (cacheItem != null)
+          cacheItem.progress = progress;
+      }
+    });
+
+    userPreferences.events.observe('librarySortOrder', () => {
+      CoverGrid.#cacheIsDirty = true;
     });
   }
 
@@ -88,7 +160,7 @@ export class CoverGrid {
    * Retrieve and cache library entries.
    */
   static async #buildCache() {
-    this.#cachedEntries = await elecAPI.getLibraryEntries();
+    this.#cachedEntries = await elecAPI.getLibraryEntries( userPreferences.get('librarySortOrder') );
 
     this.#cachedEntryMap.clear();
     this.#cachedEntries
@@ -116,6 +188,31 @@ export class CoverGrid {
     });
   }
 
+  /**
+   * Update drawn cover reading progress in place.
+   * @param {string} path Book path.
+   * @param {ReadingProgress?} progress Progress, `null` if marked unread.
+   */
+  updateProgress(path, progress) {
+    this.#drawnCovers.get(path)?.updateProgress(progress);
+  }
+
+  /**
+   * Return cover filter by reading progress.
+   * - `continue`: opened but not finished, `unread`: never opened, `finished`: last page reached.
+   * @param {string} state Reading state.
+   * @returns {((entry: LibraryEntry) => boolean)|undefined} Filter, `undefined` for unknown states.
+   */
+  static readingFilter(state) {
+    const filters = {
+      'continue': (/** @type {LibraryEntry} */ entry) => entry.progress != null && !entry.progress.finished,
+      'unread': (/** @type {LibraryEntry} */ entry) => entry.progress == null,
+      'finished': (/** @type {LibraryEntry} */ entry) => entry.progress?.finished === true
+    };
+
+    return filters[state];
+  }
+
   /**
    * Set how many items to display per page and reload covers.
    * @param {number} count
@@ -137,21 +234,60 @@ export class CoverGrid {
   }
 
   /**
-   * Draw covers whose path or tags includes query. Draws all if not given.
-   * @param {string[]} [queries] Filter covers.
+   * Shelf on display, `null` for whole library.
    */
-  async drawCovers(queries) {
+  get shelf() {
+    return this.#shelf;
+  }
+
+  /**
+   * Return shelf paths of books on display, in shelf order.
+   * - Shelves keep books delisted from library, and filters hide others.
+   * @param {string[]} paths Shelf book paths.
+   * @returns {string[]}
+   */
+  displayedPaths(paths) {
+    return paths.filter(path => {
+      const entry = CoverGrid.#cachedEntryMap.get(path);
+      return entry != null && (this.#filterFunc?.(entry) ?? true);
+    });
+  }
+
+  /**
+   * Draw covers matching filter. Draws all if not given.
+   * - Covers are grouped under collapsible headers by `libraryGroupBy` preference.
+   * - Shelves are drawn in their own order instead, ungrouped.
+   * @param {(entry: LibraryEntry) => boolean} [filterFunc] Filter covers, as from `compileQuery`.
+   */
+  async drawCovers(filterFunc) {
     if (CoverGrid.#cacheIsDirty)
       await CoverGrid.#buildCache();
 
-    // all queries must match either path or a tag. Exclusive.
-    const filterFunc = !queries
-      ? undefined
-      : (/** @type {LibraryEntry} */ file) => matchNameOrTags(file, queries);
-
+    this.#filterFunc = filterFunc;
     this.#drawnCovers.clear();
+    this.#entryGroups.clear();
+
+    const shelf = this.#shelf;
+    const shelfEntries = shelf != null
+      ? await this.#shelfEntries(shelf)
+      : null;
+
+    const grouping = shelfEntries == null ? userPreferences.get('libraryGroupBy') : 'none';
+    const { entries, groupSizes } = grouping !== 'none'
+      ? this.#groupEntries(grouping, filterFunc)
+      : { entries: shelfEntries ?? CoverGrid.#cachedEntries, groupSizes: null };
 
-    this.#list.populate(CoverGrid.#cachedEntries, (entry) => {
+    const headerGenerator = groupSizes != null
+      ? (/** @type {LibraryEntry} */ entry, /** @type {LibraryEntry?} */ previous) => {
+          const group = /** @type {string} */ ( this.#entryGroups.get(entry.path) );
+
+          return previous == null || this.#entryGroups.get(previous.path) !== group
+            ? this.#createGroupHeader( group, /** @type {number} */ (groupSizes.get(group)) )
+            : null;
+        }
+      : undefined;
+
+    this.#list.populate(entries, (entry) => {
       const cover = Cover.from(entry);
 
       cover.onclick = () => {
@@ -161,12 +297,17 @@ export class CoverGrid {
       };
 
       cover.onauxclick = () => this.openCoverBook(cover, true);
-      cover.onClickRemove = () => this.removeCover(cover);
+      if (shelfEntries != null) {
+        cover.removeTitle = 'remove from shelf';
+        cover.onClickRemove = () => elecAPI.removeFromShelf(shelf, cover.bookPath);
+      } else
+        cover.onClickRemove = () => this.removeCover(cover);
 
       this.#drawnCovers.set(entry.path, cover);
 
       return cover;
-    }, filterFunc);
+    }, groupSizes != null ? undefined : filterFunc, headerGenerator,
+      (entry) => this.#collapsedGroups.has( this.#entryGroups.get(entry.path) ?? '' ));
 
     // recover last selection
     const lastPath = generalState.librarySelection;
@@ -181,6 +322,148 @@ export class CoverGrid {
     this.#library.refreshStatus();
   }
 
+  /**
+   * Display shelf books in shelf order, or whole library if not given. Clears filter.
+   * @param {string?} name Shelf name.
+   * @returns {Promise<boolean>} Either shelf was found, always `true` for whole library.
+   */
+  async viewShelf(name) {
+    this.#shelf = name;
+    await this.drawCovers();
+
+    return this.#shelf === name;
+  }
+
+  /**
+   * Return library entries on shelf, in shelf order. Falls back to whole library if shelf is gone.
+   * @param {string} name Shelf name.
+   * @returns {Promise<LibraryEntry[]?>} Shelf entries, `null` if shelf not found.
+   */
+  async #shelfEntries(name) {
+    /** @type {LibraryShelf[]} */
+    const shelves = await elecAPI.listShelves();
+    const shelf = shelves.find(shelf => shelf.name === name);
+
+    if (shelf == null) {
+      this.#shelf = null;
+      return null;
+    }
+
+    return shelf.paths
+      .map( path => CoverGrid.#cachedEntryMap.get(path) )
+      .filter(entry => entry != null);
+  }
+
+  /**
+   * Return filtered entries ordered by group, keeping sort order within groups.
+   * @param {Exclude<LibraryGrouping, 'none'>} grouping
+   * @param {(entry: LibraryEntry) => boolean} [filterFunc] Filter covers.
+   * @returns {{ entries: LibraryEntry[], groupSizes: Map<string, number> }}
+   */
+  #groupEntries(grouping, filterFunc) {
+    const groupOf = grouping === 'folder'
+      ? CoverGrid.#parentFolder
+      : this.#watchlistRootFunction();
+
+    /** @type {Map<string, LibraryEntry[]>} */
+    const groups = new Map();
+
+    for (const entry of CoverGrid.#cachedEntries) {
+      if ( filterFunc != null && !filterFunc(entry) )
+        continue;
+
+      const group = groupOf(entry.path);
+      this.#entryGroups.set(entry.path, group);
+
+      const members = groups.get(group);
+      members != null
+        ? members.push(entry)
+        : groups.set(group, [entry]);
+    }
+
+    // order groups by name, books outside watchlist last
+    const names = [...groups.keys()].sort( (a, b) => (a === UNWATCHEDGROUP ? 1 : 0) - (b === UNWATCHEDGROUP ? 1 : 0)
+      || CoverGrid.#collator.compare(a, b) );
+
+    return {
+      entries: names.flatMap( name => /** @type {LibraryEntry[]} */ (groups.get(name)) ),
+      groupSizes: new Map( names.map( name => [name, /** @type {LibraryEntry[]} */ (groups.get(name)).length] ) )
+    };
+  }
+
+  /**
+   * Return book parent folder path.
+   * @param {string} path Book path.
+   * @returns {string}
+   */
+  static #parentFolder(path) {
+    const separatorIdx = Math.max( path.lastIndexOf('/'), path.lastIndexOf('\\') );
+    return separatorIdx > 0 ? path.slice(0, separatorIdx) : path;
+  }
+
+  /**
+   * Return function mapping book paths to their innermost watchlist folder.
+   * @returns {(path: string) => string}
+   */
+  #watchlistRootFunction() {
+    const roots = this.#library.watchlistPanel.getItems()
+      .map( item => item.path.replace(/[\\/]+$/, '') )
+      .sort( (a, b) => b.length - a.length );
+
+    return (path) => roots.find( root => path === root
+      || path.startsWith(root) && ( path[root.length] === '/' || path[root.length] === '\\' ) )
+      ?? UNWATCHEDGROUP;
+  }
+
+  /**
+   * Create group header, collapsing or expanding group covers on click.
+   * @param {string} group Group name.
+   * @param {number} size Group cover count.
+   * @returns {HTMLElement}
+   */
+  #createGroupHeader(group, size) {
+    const header = document.createElement('div');
+    header.className = 'coverGroup';
+    header.dataset.group = group;
+    header.title = group;
+    header.textContent = `${group} [${size}]`;
+    header.toggleAttribute( 'collapsed', this.#collapsedGroups.has(group) );
+
+    header.onclick = () => this.toggleGroup(group);
+    return header;
+  }
+
+  /**
+   * Collapse or expand group covers under their headers, then show group page.
+   * - Covers are redrawn, as collapsed covers take no room in pagination.
+   * @param {string} group Group name.
+   * @param {boolean} [collapse] Force collapse or expand, toggles if not given.
+   */
+  async toggleGroup(group, collapse = !this.#collapsedGroups.has(group)) {
+    collapse
+      ? this.#collapsedGroups.add(group)
+      : this.#collapsedGroups.delete(group);
+
+    await this.redrawCovers();
+    this.#list.showItemPage( (/** @type {LibraryEntry} */ entry) => this.#entryGroups.get(entry.path) === group );
+
+    const header = [...this.#list.querySelectorAll('.coverGroup')]
+      .find( header => /** @type {HTMLElement} */ (header).dataset.group === group );
+
+    header?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Redraw covers keeping last filter.
+   * @param {boolean} [resort=false] Either to rebuild cache in current sort order first.
+   */
+  async redrawCovers(resort = false) {
+    if (resort)
+      CoverGrid.#cacheIsDirty = true;
+
+    await this.drawCovers(this.#filterFunc);
+  }
+
   /**
    * Cover grid info.
    */
@@ -237,7 +520,7 @@ export class CoverGrid {
   }
 
   /**
-   * Open book in Viewer tab.
+   * Open book in Viewer tab, resuming at last file read.
    * @param {Cover} cover Custom cover to open.
    * @param {boolean} [keepOpen=false] Either to keep Library open.
    */
@@ -247,9 +530,15 @@ export class CoverGrid {
       return;
 
     const libraryTab = keepOpen ? null : TAB
+    const progress = CoverGrid.#cachedEntryMap.get(selection.bookPath)?.progress;
+
+    // resume unfinished books by starting on last file read, as page indexes vary by sort order
+    const resumeFile = progress != null && !progress.finished ? progress.file : null;
 
-    newTab('viewer', viewer => {
-     /** @type Viewer */ (viewer).open(selection.bookPath);
+    newTab('viewer', async viewer => {
+      resumeFile
+        ? await /** @type Viewer */ (viewer).open(resumeFile, selection.bookPath)
+        : await /** @type Viewer */ (viewer).open(selection.bookPath);
     });
 
     libraryTab?.close();
@@ -11,7 +11,8 @@ import style from "./library.css" with { type: 'css' };
 
 
 /**
- * @import { LibraryUpdate } from "../../APIs/library/main.js"
+ * @import { LibraryUpdate, LibraryPruneReport } from "../../APIs/library/main.js"
+ * @import { LibraryShelf } from "../../APIs/library/shelves.js"
  */
 
 
@@ -57,6 +58,14 @@ export class Library extends GenericFrame {
         library.coverGrid.setCoverSize(size);
     });
 
+    userPreferences.events.observe('librarySortOrder', () => {
+      Library.#singleInstanceRef?.coverGrid.redrawCovers(true);
+    });
+
+    userPreferences.events.observe('libraryGroupBy', () => {
+      Library.#singleInstanceRef?.coverGrid.redrawCovers();
+    });
+
     elecAPI.onLibraryNew(async function handleUpdate(/** @type {LibraryUpdate} */ update) {
       const library = Library.#singleInstanceRef;
       if (library == null)
@@ -76,6 +85,20 @@ export class Library extends GenericFrame {
 
       library.refreshStatus();
     });
+
+    // redraw on books added or delisted by watched folders or shelf changes, update read books
+    elecAPI.onBroadcast(function onLibraryBroadcast(/** @type string */ message, ...args) {
+      const library = Library.#singleInstanceRef;
+      if (library == null)
+        return;
+
+      if (message === 'library:watch')
+        library.coverGrid.reloadCovers();
+      else if (message === 'library:progress')
+        library.coverGrid.updateProgress(args[0], args[1]);
+      else if (message === 'library:shelves' && library.coverGrid.shelf != null)
+        library.coverGrid.redrawCovers();
+    });
   }
 
   connectedCallback() {
@@ -113,37 +136,42 @@ export class Library extends GenericFrame {
    */
   status() {
     const { itemCount, itemsPerPage, coverSize } = this.coverGrid.getInfo();
+    const shelf = this.coverGrid.shelf;
 
     return {
       title: 'Library',
-      infoLeft: this.#taskStatus || 'Library',
+      infoLeft: this.#taskStatus || (shelf != null ? `Shelf: ${shelf}` : 'Library'),
       infoRight: `${itemsPerPage} @ ${coverSize} [${itemCount}]`
     }
   }
 
   /**
    * Sync library to watchlist, update covers.
+   * - Books vanished from watched folders are delisted.
    */
   async syncToWatchlist() {
     const watchItems = this.watchlistPanel.getItems();
 
-    if ( watchItems.length > 0 && !await elecAPI.requestLock('library') )
+    if ( !await elecAPI.requestLock('library') )
       return;
 
     // prevent closing window while async population happens
     this.hold(true);
 
     console.time(`syncToWatchlist`);
-    let addedPaths = await elecAPI.addToLibrary(watchItems);
+    const delistedPaths = await elecAPI.delistFromLibrary(watchItems);
+    const addedPaths = await elecAPI.addToLibrary(watchItems);
     console.timeEnd(`syncToWatchlist`);
 
-    this.notify(`${addedPaths} new book(s) added`, 'syncToWatchlist');
+    this.notify(`${addedPaths} new book(s) added, ${delistedPaths} delisted`, 'syncToWatchlist');
 
     // reload entries & generate thumbnails
-    if (addedPaths > 0) {
+    if (addedPaths + delistedPaths > 0) {
       await this.coverGrid.reloadCovers();
       elecAPI.broadcast('library:sync');
+    }
 
+    if (addedPaths > 0) {
       console.time('generateThumbnails');
       await elecAPI.updateLibraryThumbnails();
       console.timeEnd('generateThumbnails'); 
@@ -220,6 +248,175 @@ export class Library extends GenericFrame {
     return success;
   }
 
+  /**
+   * Delist books no longer found and delete stale cover thumbnails, reporting counts on status.
+   * - On `dryRun`, only missing books are drawn instead.
+   * @param {boolean} [dryRun=false] Only list what would be pruned.
+   * @returns {Promise<LibraryPruneReport?>} Prune report, `null` if library is busy.
+   */
+  async pruneLibrary(dryRun = false) {
+    if ( !await elecAPI.requestLock('library') )
+      return null;
+
+    this.hold(true);
+    this.#taskStatus = dryRun ? 'Checking books' : 'Pruning library';
+    this.refreshStatus();
+
+    let status = '';
+    try {
+      /** @type {LibraryPruneReport} */
+      const report = await elecAPI.pruneLibrary(dryRun);
+      const unreachable = report.unreachable.length > 0 ? `, ${report.unreachable.length} unreachable kept` : '';
+      const counts = `${report.missing.length} missing book(s), ${report.covers} stale cover(s)${unreachable}`;
+
+      if (dryRun) {
+        const listed = new Set([...report.missing, ...report.unreachable]);
+        await this.coverGrid.drawCovers( entry => listed.has(entry.path) );
+      } else if (report.missing.length > 0) {
+        await this.coverGrid.reloadCovers();
+        elecAPI.broadcast('library:sync');
+      }
+
+      status = dryRun ? `Prunable: ${counts}` : `Pruned ${counts}`;
+      return report;
+    } finally {
+      this.#taskStatus = status;
+      this.refreshStatus();
+      this.hold(false);
+      await elecAPI.releaseLock('library');
+    }
+  }
+
+  /**
+   * Create empty shelf.
+   * @param {string} name Shelf name.
+   * @returns {Promise<boolean>} Success.
+   */
+  async createShelf(name) {
+    const success = await elecAPI.createShelf(name);
+
+    success
+      ? this.notify(`created "${name}" shelf`, 'shelf')
+      : this.notify(`"${name}" is not a valid or available shelf name`, 'shelf');
+
+    return success;
+  }
+
+  /**
+   * Rename shelf, following it if on display.
+   * @param {string} name Shelf name.
+   * @param {string} newName New shelf name.
+   * @returns {Promise<boolean>} Success.
+   */
+  async renameShelf(name, newName) {
+    const success = await elecAPI.renameShelf(name, newName);
+
+    if (!success)
+      this.notify(`can't rename "${name}" shelf to "${newName}"`, 'shelf');
+    else {
+      this.notify(`renamed "${name}" shelf to "${newName}"`, 'shelf');
+
+      if (this.coverGrid.shelf === name)
+        await this.coverGrid.viewShelf(newName);
+    }
+
+    return success;
+  }
+
+  /**
+   * Delete shelf. Its books stay in library.
+   * @param {string} name Shelf name.
+   * @returns {Promise<boolean>} Success.
+   */
+  async deleteShelf(name) {
+    const success = await elecAPI.deleteShelf(name);
+
+    success
+      ? this.notify(`deleted "${name}" shelf`, 'shelf')
+      : this.notify(`no "${name}" shelf to delete`, 'shelf');
+
+    return success;
+  }
+
+  /**
+   * Add or remove selected book from shelf.
+   * @param {string} name Shelf name.
+   * @param {boolean} [add=true] Either to add or remove book.
+   * @returns {Promise<boolean>} Success.
+   */
+  async shelveSelected(name, add = true) {
+    const bookPath = this.coverGrid.selectedCover?.bookPath;
+    if (bookPath == null) {
+      this.notify('no book selected', 'shelf');
+      return false;
+    }
+
+    const success = add
+      ? await elecAPI.addToShelf(name, bookPath)
+      : await elecAPI.removeFromShelf(name, bookPath);
+
+    if (success)
+      this.notify(`${add ? 'added to' : 'removed from'} "${name}" shelf`, 'shelf');
+    else
+      this.notify(add ? `no "${name}" shelf, or book already on it` : `book is not on "${name}" shelf`, 'shelf');
+
+    return success;
+  }
+
+  /**
+   * Mark selected book as unread, unfinished or finished.
+   * @param {'unread'|'unfinished'|'finished'} state Reading state to set.
+   * @returns {Promise<boolean>} Success.
+   */
+  async markSelected(state) {
+    const bookPath = this.coverGrid.selectedCover?.bookPath;
+    if (bookPath == null) {
+      this.notify('no book selected', 'mark');
+      return false;
+    }
+
+    const success = await elecAPI.markReadingProgress(bookPath, state);
+    this.notify(success ? `marked as ${state}` : 'book is no longer in library', 'mark');
+
+    return success;
+  }
+
+  /**
+   * Move selected book in order of shelf on display.
+   * @param {'left'|'right'|'first'|'last'} where Where to move book.
+   * @returns {Promise<boolean>} Success.
+   */
+  async moveSelected(where) {
+    const shelf = this.coverGrid.shelf;
+    const bookPath = this.coverGrid.selectedCover?.bookPath;
+
+    if (shelf == null || bookPath == null) {
+      this.notify('select a book on a shelf to reorder it', 'shelfMove');
+      return false;
+    }
+
+    /** @type {LibraryShelf[]} */
+    const shelves = await elecAPI.listShelves();
+    const paths = shelves.find(item => item.name === shelf)?.paths ?? [];
+
+    // move past displayed neighbors only, as hidden books would take steps unseen
+    const displayed = this.coverGrid.displayedPaths(paths);
+    const idx = displayed.indexOf(bookPath);
+    if (idx < 0)
+      return false;
+
+    const neighbor = {
+      'left': displayed[idx - 1],
+      'right': displayed[idx + 1],
+      'first': displayed[0],
+      'last': displayed.at(-1)
+    }[where];
+
+    // taking neighbor stored index places book before it moving back, after it moving forward
+    return neighbor != null && neighbor !== bookPath
+      && await elecAPI.moveInShelf( shelf, bookPath, paths.indexOf(neighbor) );
+  }
+
   /**
    * Remove all entries from library.
    * @returns {Promise<boolean>} Success.
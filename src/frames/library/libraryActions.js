@@ -1,25 +1,42 @@
 import { setComponentActions } from "../../actions/actionService.js";
 import { option, standardFilter, setPaletteInfo } from "../../components/actionPalette/actionPalette.js";
 import { FRAME }  from "../../tabs/tab.js";
-import { runScript, tag, renameTags, deleteTags } from "../../components/fileMethods.js";
+import { runScript, tag, tagCompletions, renameTags, deleteTags,
+  sharedTagActions } from "../../components/fileMethods.js";
+import { compileQuery, queryInfo } from "../../components/fileQuery.js";
+import { CoverGrid, librarySortKeys, libraryGroupings } from "./coverGrid.js";
+import userPreferences from "../../components/userPreferences.js";
+
+
+/**
+ * Return shelf names as palette options, with their book count.
+ */
+async function shelfOptions() {
+  /** @type {import("../../APIs/library/shelves.js").LibraryShelf[]} */
+  const shelves = await elecAPI.listShelves();
+  return shelves.map( shelf => option(shelf.name, `${shelf.paths.length} book(s)`) );
+}
 
 
 setComponentActions('library', {
 
   'filter': {
-    desc: 'filter books by name or tags, list tags with ?, prepend - to exclude it',
+    desc: 'filter books by query on name and tags, list tags with ?',
     run : () => {},
     options: (query, allArgs) => {
-      setPaletteInfo('arguments: [[-]string...], ?: list tags');
+      setPaletteInfo( queryInfo(allArgs) );
 
       // inject tag completion if query begins with '?'
       if (query[0] === '?')
         return elecAPI.uniqueTags();
 
-      // treat queries
-      const queries = allArgs
-        .map( str => str.toLowerCase().trim() )
-        .filter(str => str);
+      // keep last valid filter while query is incomplete
+      let predicate;
+      try {
+        predicate = compileQuery(allArgs);
+      } catch {
+        return [];
+      }
 
       // display 'clear filter' on single empty arg, show filter otherwise
       if (allArgs.length === 1 && query === '')
@@ -27,7 +44,7 @@ setComponentActions('library', {
       else if (query !== '')
         FRAME.notify(`filter: ${query}`, 'filter');
 
-      FRAME.coverGrid.drawCovers(queries);
+      FRAME.coverGrid.drawCovers(predicate);
       return [];
     },
     customFilter: (query) => {
@@ -38,13 +55,158 @@ setComponentActions('library', {
     }
   },
 
+  'reading': {
+    desc: 'show books to continue reading, unread or finished, all if none given',
+    run: (state) => {
+      const predicate = CoverGrid.readingFilter(state);
+
+      FRAME.coverGrid.drawCovers(predicate);
+      FRAME.notify(predicate != null ? `showing ${state} books` : 'clear filter', 'filter');
+    },
+    options: (_query, allArgs) => allArgs.length < 2
+      ? [
+          option('continue', 'opened but not finished'),
+          option('unread', 'never opened'),
+          option('finished', 'last page reached')
+        ]
+      : []
+  },
+
+  'mark': {
+    desc: 'mark selected book as unread, unfinished or finished',
+    run: async (state) => {
+      if (state !== 'unread' && state !== 'unfinished' && state !== 'finished')
+        return FRAME.notify(`"${state}" is not a reading state`, 'mark');
+
+      await FRAME.markSelected(state);
+    },
+    options: (_query, allArgs) => allArgs.length < 2
+      ? [
+          option('unread', 'forget reading progress'),
+          option('unfinished', 'keep progress, resume on open'),
+          option('finished', 'read through')
+        ]
+      : []
+  },
+
+  'sort': {
+    desc: 'sort books or group them under collapsible headers',
+    actions: {
+      'by': {
+        desc: 'sort books by path, name, date added, last opened, modified time, page count or shuffle them',
+        run: (key = 'path', order = 'ascending') => {
+          if ( !Object.hasOwn(librarySortKeys, key) )
+            return FRAME.notify(`"${key}" is not a valid sort key`, 'sort');
+
+          userPreferences.set('librarySortOrder', {
+            key: /** @type {keyof typeof librarySortKeys} */ (key),
+            descending: order === 'descending'
+          });
+          FRAME.notify(`sorted by ${key}${order === 'descending' ? ', descending' : ''}`, 'sort');
+        },
+        options: (_query, allArgs) => {
+          if (allArgs.length < 2)
+            return Object.entries(librarySortKeys).map( ([key, desc]) => option(key, desc) );
+
+          if (allArgs.length < 3) return [
+            option('ascending', 'default'),
+            option('descending', 'reverse order')
+          ];
+
+          return [];
+        }
+      },
+      'group': {
+        desc: 'group books by parent folder or watchlist folder, click headers to collapse',
+        run: (grouping = 'none') => {
+          if ( !Object.hasOwn(libraryGroupings, grouping) )
+            return FRAME.notify(`"${grouping}" is not a valid grouping`, 'group');
+
+          userPreferences.set('libraryGroupBy', /** @type {keyof typeof libraryGroupings} */ (grouping));
+          FRAME.notify(grouping !== 'none' ? `grouped by ${grouping}` : 'ungrouped', 'group');
+        },
+        options: (_query, allArgs) => allArgs.length < 2
+          ? Object.entries(libraryGroupings).map( ([grouping, desc]) => option(grouping, desc) )
+          : []
+      }
+    }
+  },
+
+  'shelf': {
+    desc: 'view, edit and reorder manually ordered book shelves',
+    actions: {
+      'view': {
+        desc: 'view shelf books in shelf order, whole library if none given',
+        run: async (name) => {
+          if ( !await FRAME.coverGrid.viewShelf(name ?? null) )
+            FRAME.notify(`no "${name}" shelf`, 'shelf');
+        },
+        options: async (_query, allArgs) => allArgs.length < 2
+          ? await shelfOptions()
+          : []
+      },
+      'create': {
+        desc: 'create an empty shelf',
+        run: async (name = '') => await FRAME.createShelf( name.trim() ),
+        options: () => {
+          setPaletteInfo('arguments: <name>');
+          return [];
+        }
+      },
+      'rename': {
+        desc: 'rename a shelf',
+        run: async (name = '', newName = '') => await FRAME.renameShelf( name, newName.trim() ),
+        options: async (_query, allArgs) => {
+          setPaletteInfo('arguments: <shelf> <new name>');
+
+          return allArgs.length < 2
+            ? await shelfOptions()
+            : [];
+        }
+      },
+      'delete': {
+        desc: 'delete a shelf, keeping its books in library',
+        run: async (name = '') => await FRAME.deleteShelf(name),
+        options: async (_query, allArgs) => allArgs.length < 2
+          ? await shelfOptions()
+          : []
+      },
+      'add': {
+        desc: 'add selected book to a shelf',
+        run: async (name = '') => await FRAME.shelveSelected(name, true),
+        options: async (_query, allArgs) => allArgs.length < 2
+          ? await shelfOptions()
+          : []
+      },
+      'remove': {
+        desc: 'remove selected book from a shelf, the one on display by default',
+        run: async (name = FRAME.coverGrid.shelf ?? '') => await FRAME.shelveSelected(name, false),
+        options: async (_query, allArgs) => allArgs.length < 2
+          ? await shelfOptions()
+          : []
+      },
+      'move': {
+        desc: 'move selected book in order of shelf on display',
+        run: async (where = 'right') => {
+          if ( !['left', 'right', 'first', 'last'].includes(where) )
+            return FRAME.notify(`"${where}" is not a valid direction`, 'shelfMove');
+
+          await FRAME.moveSelected( /** @type {'left'|'right'|'first'|'last'} */ (where) );
+        },
+        options: (_query, allArgs) => allArgs.length < 2
+          ? [option('right', 'default'), 'left', 'first', 'last']
+          : []
+      }
+    }
+  },
+
   'tag': {
     desc : 'add or remove tags from current book',
     actions: {
       'add': {
         desc: 'add one or more tags to current book',
         run: (...tags) => tag(FRAME.coverGrid.selectedCover?.bookPath, true, ...tags),
-        options: () => elecAPI.uniqueTags()
+        options: (query) => tagCompletions(query)
       },
       'del': {
         desc: 'delete one or more tags from current book',
@@ -54,7 +216,7 @@ setComponentActions('library', {
           : []
       },
       'rename': {
-        desc: 'rename all occurrences of one or more tags',
+        desc: 'rename all occurrences of one or more tags, along with their nested tags',
         run: async (...tags) => await renameTags(...tags),
         options: () => elecAPI.uniqueTags()
       },
@@ -62,7 +224,8 @@ setComponentActions('library', {
         desc: 'purge all occurrences of one or more tags',
         run: async (...tags) => await deleteTags(...tags),
         options: () => elecAPI.uniqueTags()
-      }
+      },
+      ...sharedTagActions
     }
   },
 
@@ -72,6 +235,14 @@ setComponentActions('library', {
     options: async (query) => await elecAPI.queryPath(query)
   },
 
+  'prune': {
+    desc: 'list books no longer found and stale covers, or delist and delete them',
+    run: async (mode) => await FRAME.pruneLibrary(mode !== 'remove'),
+    options: (_query, allArgs) => allArgs.length < 2
+      ? [option('list', '(default) show missing books without removing'), option('remove', 'delist missing books, delete stale covers')]
+      : []
+  },
+
   'watchlist': {
     desc: 'toggle panel, add or remove paths from Watchlist',
     actions: {
@@ -9,13 +9,19 @@ import { GenericStorage } from "../../components/genericStorage.js";
 
 /**
  * Add and remove folders from watchlist.
+ * - Watchlist folders are watched live, syncing library on changes.
  */
 export class WatchlistPanel {
 
   /**
    * @type {GenericStorage<WatchlistItem>}
    */
-  #storage = new GenericStorage('libraryWatch');
+  static #storage = new GenericStorage('libraryWatch');
+
+  // watch stored folders from startup
+  static {
+    WatchlistPanel.#watch();
+  }
 
   /**
    * Background overlay element.
@@ -53,7 +59,7 @@ export class WatchlistPanel {
    * @returns {WatchlistItem[]}
    */
   getItems() {
-    return this.#storage.values();
+    return WatchlistPanel.#storage.values();
   }
 
   /**
@@ -62,11 +68,12 @@ export class WatchlistPanel {
    * @param {boolean} [recursive=true] Also sync child directories.
    */
   addItem(path, recursive = true) {
-    this.#storage.set(path, {
+    WatchlistPanel.#storage.set(path, {
       'path': path,
       'recursive': recursive
     });
-    
+
+    WatchlistPanel.#watch();
     console.log(`added "${path}" to watchlist`);
   }
 
@@ -76,11 +83,12 @@ export class WatchlistPanel {
    * @param {boolean} recursive New recursive value.
    */
   setRecursion(path, recursive) {
-    const watchItem = this.#storage.get(path);
+    const watchItem = WatchlistPanel.#storage.get(path);
 
     if (watchItem) {
       watchItem.recursive = recursive;
-      this.#storage.set(path, watchItem);
+      WatchlistPanel.#storage.set(path, watchItem);
+      WatchlistPanel.#watch();
     }
   }
 
@@ -90,14 +98,22 @@ export class WatchlistPanel {
    * @returns {boolean} Success.
    */
   removeItem(path) {
-    if ( this.#storage.get(path) == null )
+    if ( WatchlistPanel.#storage.get(path) == null )
       return false;
 
-    this.#storage.delete(path);
+    WatchlistPanel.#storage.delete(path);
+    WatchlistPanel.#watch();
     console.log(`removed "${path}" from watchlist`);
     return true;
   }
 
+  /**
+   * Update folders watched by main process to current watchlist.
+   */
+  static #watch() {
+    elecAPI.watchLibrary( WatchlistPanel.#storage.values() );
+  }
+
   /**
    * Draw list of folders to add to library on sync.
    */
@@ -108,7 +124,7 @@ export class WatchlistPanel {
     folderList.textContent = '';
 
     // populate list
-    for ( const item of this.#storage.values() ) {
+    for ( const item of WatchlistPanel.#storage.values() ) {
       const div = document.createElement('div');
       div.className = 'folderItem';
 
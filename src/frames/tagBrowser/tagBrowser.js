@@ -0,0 +1,279 @@
+// @ts-check
+import { GenericFrame } from "../genericFrame.js";
+import { TagRow } from "./tagRow.js";
+import { sortTags } from "./tagSorter.js";
+import { newTab, TAB } from "../../tabs/tab.js";
+
+import "./tagBrowserActions.js";
+import "./tagBrowserAccelerators.js";
+
+import style from "./tagBrowser.css" with { type: 'css' };
+
+
+/**
+ * @import { TagStat } from "../../APIs/tag/tagStorage.js"
+ * @import { ItemList } from "../../components/itemList.js"
+ * @import { Viewer } from "../viewer/viewer.js"
+ * @import { TagSortKey } from "./tagSorter.js"
+ */
+
+/**
+ * Image files presented as their own thumbnails.
+ */
+const IMAGEFILE = /\.(jpe?g|png|gif|apng|webp|avif|svg|ico)$/i;
+
+/**
+ * Max sample thumbnails per tag.
+ */
+const SAMPLECOUNT = 4;
+
+
+/**
+ * Tag statistics browser, to review and curate tags.
+ */
+export class TagBrowser extends GenericFrame {
+
+  /**
+   * Current TagBrowser frame instance, if connected.
+   * @type {TagBrowser?}
+   */
+  static #singleInstanceRef = null;
+
+  /**
+   * Tag list.
+   * @type {ItemList<TagStat, TagRow>}
+   */
+  #list;
+
+  /**
+   * Library entry path -> Cover URL, for non-image samples.
+   * @type {Map<string, string>}
+   */
+  #coverURLs = new Map();
+
+  /**
+   * Current search words.
+   * @type {string[]}
+   */
+  #searchQuery = [];
+
+  /**
+   * Current sort key.
+   * @type {TagSortKey}
+   */
+  #sortKey = 'count';
+
+  /**
+   * Current sort direction.
+   */
+  #descending = true;
+
+  /**
+   * Currently selected row.
+   * @type {TagRow?}
+   */
+  selectedRow = null;
+
+  // redraw on tag changes
+  static {
+    elecAPI.onTagSync(() => TagBrowser.#singleInstanceRef?.drawTags());
+  }
+
+  connectedCallback() {
+    const template = /** @type HTMLTemplateElement */ (document.getElementById('tagBrowserTemplate'));
+    const shadowRoot = this.attachShadow({ mode: 'open' });
+
+    shadowRoot.append( template.content.cloneNode(true) );
+    shadowRoot.adoptedStyleSheets = [style];
+
+    this.#list = /** @type ItemList */ (shadowRoot.getElementById('tagList'));
+
+    this.tabName = 'Tags';
+    this.#loadCovers();
+
+    TagBrowser.#singleInstanceRef = this;
+  }
+
+  disconnectedCallback() {
+    TagBrowser.#singleInstanceRef = null;
+  }
+
+  /**
+   * @override
+   */
+  onSelected() {
+    this.selectedRow?.scrollIntoView({ block: 'center' });
+  }
+
+  /**
+   * @override
+   */
+  status() {
+    const search = this.#searchQuery.length > 0 ? ` matching "${this.#searchQuery.join(' ')}"` : '';
+
+    return {
+      title: 'Tags',
+      infoLeft: `by ${this.#sortKey}, ${this.#descending ? 'descending' : 'ascending'}${search}`,
+      infoRight: `[${this.#list.itemCount}]`
+    };
+  }
+
+  /**
+   * @override
+   */
+  getState() {
+    return {
+      searchQuery: this.#searchQuery,
+      sortKey: this.#sortKey,
+      descending: this.#descending
+    };
+  }
+
+  /**
+   * @override
+   * @param {*} stateObj TagBrowser state object.
+   */
+  restoreState(stateObj) {
+    this.#searchQuery = stateObj.searchQuery ?? [];
+    this.#sortKey = stateObj.sortKey ?? 'count';
+    this.#descending = stateObj.descending ?? true;
+
+    this.drawTags();
+  }
+
+  /**
+   * Draw tags matching search, sorted, keeping selection if still listed.
+   */
+  drawTags() {
+    const selectedTag = this.selectedRow?.stat.tag;
+    const stats = sortTags(elecAPI.tagStats(), this.#sortKey, this.#descending);
+
+    // every word must be in tag or in one of its related tags
+    const words = this.#searchQuery;
+    const matchTag = (/** @type {TagStat} */ stat) => words.every(word => {
+      return stat.tag.includes(word) || stat.related.some( ([tag]) => tag.includes(word) );
+    });
+
+    this.#list.populate(stats, (stat) => {
+      const row = TagRow.from( stat, this.#sampleURLs(stat) );
+
+      row.onclick = () => {
+        this.selectedRow !== row
+          ? this.selectRow(row)
+          : this.openTag(stat.tag);
+      };
+
+      row.onauxclick = () => this.openTag(stat.tag, true);
+      row.onClickRelated = (tag) => this.search(tag);
+
+      return row;
+    }, words.length > 0 ? matchTag : undefined);
+
+    this.selectedRow = null;
+    if (selectedTag != null)
+      this.selectRow( this.#list.findItemElement(stat => stat.tag === selectedTag) );
+
+    this.refreshStatus();
+  }
+
+  /**
+   * Filter tags by words, clear if none given.
+   * @param {string[]} words Words each matching tag or a related tag.
+   */
+  search(...words) {
+    this.#searchQuery = words.map( word => word.toLowerCase().trim() )
+      .filter(word => word !== '');
+
+    this.drawTags();
+  }
+
+  /**
+   * Sort tags by key and direction.
+   * @param {TagSortKey} key Sort key.
+   * @param {boolean} [descending] Either to reverse order. Keeps current direction if not given.
+   */
+  sort(key, descending = this.#descending) {
+    this.#sortKey = key;
+    this.#descending = descending;
+
+    this.drawTags();
+  }
+
+  /**
+   * Select row, scroll it into view.
+   * @param {TagRow?} row
+   */
+  selectRow(row) {
+    if (row != null)
+      this.#list.selectIntoFocus(row);
+
+    this.selectedRow = row;
+  }
+
+  /**
+   * Select next or previous row.
+   * @param {boolean} [forward=true]
+   */
+  navRows(forward = true) {
+    this.selectRow( this.#list.navItems(forward) );
+  }
+
+  /**
+   * Open all files with tag in a new Viewer tab.
+   * @param {string} tag Tag name.
+   * @param {boolean} [background=false] Keep focus on browser.
+   */
+  openTag(tag, background = false) {
+    const stat = elecAPI.tagStats().find(stat => stat.tag === tag);
+    if (stat == null)
+      return this.notify(`no files tagged "${tag}"`, 'tagOpen');
+
+    const browserTab = background ? TAB : null;
+
+    newTab('viewer', async (frame) => {
+      const viewer = /** @type {Viewer} */ (frame);
+
+      await viewer.open(...stat.files);
+      viewer.tabName = tag;
+    });
+
+    browserTab?.select();
+  }
+
+  /**
+   * Return sample thumbnail URLs for tag, from images and library covers.
+   * @param {TagStat} stat
+   * @returns {string[]}
+   */
+  #sampleURLs(stat) {
+    const urls = [];
+
+    for (const file of stat.files) {
+      const url = IMAGEFILE.test(file)
+        ? elecAPI.getFileURL(file)
+        : this.#coverURLs.get(file);
+
+      if (url != null)
+        urls.push(url);
+
+      if (urls.length >= SAMPLECOUNT)
+        break;
+    }
+
+    return urls;
+  }
+
+  /**
+   * Load library covers for samples, then draw tags.
+   */
+  async #loadCovers() {
+    this.#coverURLs.clear();
+
+    for ( const entry of await elecAPI.getLibraryEntries() ) {
+      if (entry.coverURL != null)
+        this.#coverURLs.set(entry.path, entry.coverURL);
+    }
+
+    this.drawTags();
+  }
+}
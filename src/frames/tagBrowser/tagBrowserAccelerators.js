@@ -0,0 +1,22 @@
+import { setComponentAccelerators } from "../../actions/acceleratorService.js"
+
+
+setComponentAccelerators('tagbrowser', {
+  'Space'       : ['tag', 'open'],
+  'Shift+Space' : ['tag', 'open', '', 'background'],
+
+  'f'      : ['palette', 'show', 'search'],
+  'o'      : ['palette', 'show', 'sort'],
+  'r'      : ['palette', 'show', 'tag rename'],
+  'm'      : ['palette', 'show', 'tag merge'],
+  'Delete' : ['palette', 'show', 'tag purge'],
+  'Control+z' : ['tag', 'undo'],
+  'Control+y' : ['tag', 'redo'],
+  'Shift+r'   : ['palette', 'repeatLast'],
+
+  // vertical navigation
+  'ArrowUp'   : ['moveSelection', 'back'],
+  'w'         : ['moveSelection', 'back'],
+  'ArrowDown' : ['moveSelection', 'next'],
+  's'         : ['moveSelection', 'next']
+});
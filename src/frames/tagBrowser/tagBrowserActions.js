@@ -0,0 +1,117 @@
+import { setComponentActions } from "../../actions/actionService.js";
+import { option, setPaletteInfo } from "../../components/actionPalette/actionPalette.js";
+import { FRAME } from "../../tabs/tab.js";
+import { renameTags, deleteTags, replayTags } from "../../components/fileMethods.js";
+import { tagSortKeys, isTagSortKey } from "./tagSorter.js";
+
+
+/**
+ * Prepend selected tag to arguments if they're only the given amount.
+ * @param {string[]} tags Tag arguments.
+ * @param {number} count Argument count that implies the selected tag.
+ * @returns {string[]}
+ */
+function withSelectedTag(tags, count) {
+  const selectedTag = FRAME.selectedRow?.stat.tag;
+
+  return tags.length === count && selectedTag != null
+    ? [selectedTag, ...tags]
+    : tags;
+}
+
+setComponentActions('tagbrowser', {
+
+  'search': {
+    desc: 'search tags by name, or by name of co-occurring tags',
+    run: () => {},
+    options: (_query, allArgs) => {
+      setPaletteInfo('arguments: <word...>, each in tag or in a related tag');
+
+      FRAME.search(...allArgs);
+      return [];
+    }
+  },
+
+  'sort': {
+    desc: 'sort tags by file count, name or last use',
+    run: (key = 'count', order = 'descending') => {
+      isTagSortKey(key)
+        ? FRAME.sort(key, order === 'descending')
+        : FRAME.notify(`"${key}" is not a valid sort key`, 'sort');
+    },
+    options: (_query, allArgs) => {
+      if (allArgs.length < 2)
+        return Object.entries(tagSortKeys).map( ([key, desc]) => option(key, desc) );
+
+      if (allArgs.length < 3) return [
+        option('descending', 'default'),
+        option('ascending', 'reverse order')
+      ];
+
+      return [];
+    }
+  },
+
+  'tag': {
+    desc: 'open, rename, merge or purge tags, selected tag by default',
+    actions: {
+      'open': {
+        desc: 'open all files with tag in a new viewer tab',
+        run: (tag, whichTab = 'focus') => {
+          tag = tag || FRAME.selectedRow?.stat.tag;
+
+          tag != null
+            ? FRAME.openTag(tag, whichTab === 'background')
+            : FRAME.notify('no tag to open', 'tagOpen');
+        },
+        options: (_query, allArgs) => {
+          if (allArgs.length < 2)
+            return elecAPI.uniqueTags();
+
+          return allArgs.length < 3 ? [
+            option('focus', 'switch to new tab (default)'),
+            option('background', 'stay on tag browser')
+          ] : [];
+        }
+      },
+      'rename': {
+        desc: 'rename selected tag, or given tags, along with their nested tags',
+        run: async (...tags) => await renameTags( ...withSelectedTag(tags, 1) ),
+        options: (_query, allArgs) => {
+          setPaletteInfo('arguments: [tag] <new name>');
+          return allArgs.length < 2 ? elecAPI.uniqueTags() : [];
+        }
+      },
+      'merge': {
+        desc: 'merge tags into the last one, selected tag if only one given',
+        run: async (...tags) => await renameTags( ...withSelectedTag(tags, 1) ),
+        options: () => {
+          setPaletteInfo('arguments: <tag...> <into>');
+          return elecAPI.uniqueTags();
+        }
+      },
+      'purge': {
+        desc: 'purge all occurrences of selected tag, or given tags',
+        run: async (...tags) => await deleteTags( ...withSelectedTag(tags, 0) ),
+        options: () => elecAPI.uniqueTags()
+      },
+      'undo': {
+        desc: 'undo last tag change made this session',
+        run: async () => await replayTags(true)
+      },
+      'redo': {
+        desc: 'redo last undone tag change',
+        run: async () => await replayTags(false)
+      }
+    }
+  },
+
+  'moveSelection': {
+    desc: 'move tag selection',
+    run: (next = 'next') => FRAME.navRows(next === 'next'),
+    options: (_query, allArgs) => allArgs.length < 2 ? [
+      option('next', 'select tag below (default)'),
+      option('back', 'select tag above')
+    ] : []
+  }
+});
@@ -0,0 +1,114 @@
+// @ts-check
+
+/**
+ * @import { TagStat } from "../../APIs/tag/tagStorage.js"
+ */
+
+
+/**
+ * Tag browser row, presenting a tag and its usage.
+ */
+export class TagRow extends HTMLElement {
+
+  static tagName = 'tag-row';
+
+  /**
+   * Presented tag statistics.
+   * @type {TagStat}
+   */
+  stat;
+
+  /**
+   * HTML url encoded sample thumbnails.
+   * @type {string[]}
+   */
+  sampleURLs = [];
+
+  /**
+   * Set behavior on related tag click.
+   * @type {((tag: string) => void)?}
+   */
+  onClickRelated = null;
+
+  static {
+    customElements.define(TagRow.tagName, TagRow);
+  }
+
+  connectedCallback() {
+    const name = document.createElement('p');
+    name.className = 'tagName';
+    name.textContent = this.stat.tag;
+
+    const count = document.createElement('p');
+    count.className = 'tagCount';
+    count.textContent = `${this.stat.count}`;
+    count.title = `${this.stat.count} tagged file(s)`;
+
+    const lastUsed = document.createElement('p');
+    lastUsed.className = 'tagUsed';
+    lastUsed.textContent = this.stat.lastUsed != null ? formatAge(this.stat.lastUsed) : '-';
+    lastUsed.title = this.stat.lastUsed != null ? new Date(this.stat.lastUsed).toLocaleString() : 'never used since tracked';
+
+    const related = document.createElement('div');
+    related.className = 'tagRelated';
+
+    for (const [tag, shared] of this.stat.related) {
+      const chip = document.createElement('span');
+      chip.textContent = tag;
+      chip.title = `${shared} shared file(s)`;
+
+      chip.onclick = (e) => {
+        e.stopImmediatePropagation();
+
+        if (this.onClickRelated)
+          this.onClickRelated(tag);
+      };
+
+      related.append(chip);
+    }
+
+    const samples = document.createElement('div');
+    samples.className = 'tagSamples';
+
+    for (const url of this.sampleURLs) {
+      const img = document.createElement('img');
+      img.loading = 'lazy';
+      img.src = url;
+      samples.append(img);
+    }
+
+    this.append(samples, name, count, lastUsed, related);
+  }
+
+  /**
+   * Create and return a new row element for tag.
+   * @param {TagStat} stat Tag statistics.
+   * @param {string[]} sampleURLs Sample thumbnail URLs.
+   * @returns {TagRow}
+   */
+  static from(stat, sampleURLs) {
+    const row = /** @type {TagRow} */ (document.createElement(this.tagName));
+
+    row.stat = stat;
+    row.sampleURLs = sampleURLs;
+
+    return row;
+  }
+}
+
+/**
+ * Return how long ago a time was, in its largest unit.
+ * @param {number} time Time in ms.
+ * @returns {string}
+ */
+function formatAge(time) {
+  const seconds = Math.max(0, (Date.now() - time) / 1000);
+  const units = [['y', 31536000], ['mo', 2592000], ['d', 86400], ['h', 3600], ['m', 60]];
+
+  for (const [unit, size] of /** @type {[string, number][]} */ (units)) {
+    if (seconds >= size)
+      return `${Math.floor(seconds / size)}${unit} ago`;
+  }
+
+  return 'just now';
+}
@@ -0,0 +1,52 @@
+// @ts-check
+
+/**
+ * @import { TagStat } from "../../APIs/tag/tagStorage.js"
+ */
+
+/**
+ * @typedef {'count'|'name'|'recent'} TagSortKey
+ */
+
+
+/**
+ * Sort keys and their descriptions.
+ * @type {Object<TagSortKey, string>}
+ */
+export const tagSortKeys = {
+  count: 'sort by tagged file count (default)',
+  name: 'sort by tag name',
+  recent: 'sort by last time used'
+};
+
+/**
+ * Tag comparators, in ascending order. Ties sorted by name.
+ * @type {Object<TagSortKey, (a: TagStat, b: TagStat) => number>}
+ */
+const comparators = {
+  count: (a, b) => a.count - b.count || a.tag.localeCompare(b.tag),
+  name: (a, b) => a.tag.localeCompare(b.tag),
+  recent: (a, b) => (a.lastUsed ?? 0) - (b.lastUsed ?? 0) || a.tag.localeCompare(b.tag)
+};
+
+
+/**
+ * Either value is a tag sort key.
+ * @param {string} key
+ * @returns {key is TagSortKey}
+ */
+export function isTagSortKey(key) {
+  return Object.hasOwn(tagSortKeys, key);
+}
+
+/**
+ * Return sorted copy of tag statistics.
+ * @param {TagStat[]} stats Tag statistics.
+ * @param {TagSortKey} key Sort key.
+ * @param {boolean} descending Either to reverse order.
+ * @returns {TagStat[]}
+ */
+export function sortTags(stats, key, descending) {
+  const compare = comparators[key];
+  return stats.toSorted( (a, b) => descending ? compare(b, a) : compare(a, b) );
+}
@@ -1,10 +1,16 @@
 // @ts-check
-import { matchNameOrTags } from '../../components/fileMethods.js';
+import { ObservableEvents } from '../../components/observableEvents.js';
+import { sortFiles, mergeFiles, defaultSortOrder } from './fileSorter.js';
 
 
 /**
  * @import { FileObject } from "../../APIs/file/fileSearch"
- * @import { BookObject } from "../../APIs/file/openFile"
+ * @import { BookObject, OpenOptions } from "../../APIs/file/openFile"
+ * @import { SortOrder } from "./fileSorter.js"
+ */
+
+/**
+ * @typedef {'fileBook:stream'} FileBookEvents
  */
 
 
@@ -13,11 +19,28 @@ import { matchNameOrTags } from '../../components/fileMethods.js';
  */
 export class FileBook {
 
+  /**
+   * Books currently receiving streamed files, by book ID.
+   * @type {Map<string, FileBook>}
+   */
+  static #streamingBooks = new Map();
+
   /** 
    * FileBook UUID.
    */
   #bookID = crypto.randomUUID();
 
+  /**
+   * @type {ObservableEvents<FileBookEvents>}
+   */
+  events = new ObservableEvents();
+
+  /**
+   * Predicate from current filter, applied to streamed files.
+   * @type {((file:FileObject)=>boolean)?}
+   */
+  #filterPredicate = null;
+
   /**
    * All files loaded.
    * @type {FileObject[]}
@@ -41,21 +64,104 @@ export class FileBook {
    */
   #pageIdx = 0;
 
-  #collator = new Intl.Collator('en', { numeric: true });
+  /**
+   * Encrypted archives left out on last load for a missing or wrong password.
+   * @type {string[]}
+   */
+  lockedArchives = [];
+
+  /**
+   * Current file sort order.
+   * @type {SortOrder}
+   */
+  sortOrder = defaultSortOrder;
+
+  /**
+   * Streamed batches received while loading, merged once loaded files are sorted.
+   * @type {{walkID: string, files: FileObject[], done: boolean}[]?}
+   */
+  #pendingBatches = null;
+
+  /**
+   * Token of walk streaming to current listing, `null` while loading.
+   * @type {string?}
+   */
+  #walkID = null;
+
+  /**
+   * Last queued listing task. Loads, streamed batches and sorts run one at a time, in order.
+   * @type {Promise<any>}
+   */
+  #listingTask = Promise.resolve();
+
+  // route streamed files from recursive opening to their books, dropping superseded walks
+  static {
+    elecAPI.onOpenStream(function onStream(/** @type string */ bookID, /** @type string */ walkID,
+      /** @type {FileObject[]} */ files, /** @type boolean */ done) {
+      const book = FileBook.#streamingBooks.get(bookID);
+      if (book == null)
+        return;
+
+      if (book.#pendingBatches != null)
+        return book.#pendingBatches.push({ walkID, files, done });
+
+      if (walkID !== book.#walkID)
+        return;
+
+      if (done)
+        FileBook.#streamingBooks.delete(bookID);
+
+      book.#queueBatch(files, done);
+    });
+  }
   
 
   /** 
    * Load files from paths and clear applied filters on success.
+   * - Files from subfolders keep streaming in after resolve on recursive opening.
+   * @param {string[]} paths Path to file or folder.
+   * @param {OpenOptions} [options] Opening options.
+   * @returns {Promise<boolean>} Success.
+   */
+  async load(paths, options = {}) {
+    // supersede previous walk at once, its batches may still be in flight
+    this.#walkID = null;
+    FileBook.#streamingBooks.delete(this.#bookID);
+
+    // register before opening, stream may start before it resolves
+    if ( (options.depth ?? 0) > 0 )
+      FileBook.#streamingBooks.set(this.#bookID, this);
+
+    const pendingBatches = this.#pendingBatches = [];
+
+    return await this.#enqueue( () => this.#load(paths, options, pendingBatches) );
+  }
+
+  /**
+   * Open paths and replace listings, as queued by `load`.
    * @param {string[]} paths Path to file or folder.
+   * @param {OpenOptions} options Opening options.
+   * @param {{walkID: string, files: FileObject[], done: boolean}[]} pendingBatches
+   * Batches streamed while loading, superseded by later loads if no longer current.
    * @returns {Promise<boolean>} Success.
    */
-  async load(...paths) {
+  async #load(paths, options, pendingBatches) {
     console.time(`bookID#${this.#bookID} open`);
 
     /** @type {BookObject} */
-    const book = await elecAPI.openFile(paths, this.#bookID);
+    let book;
+    try {
+      book = await elecAPI.openFile(paths, this.#bookID, options);
+    } catch (err) {
+      this.#dropStream(pendingBatches);
+      throw err;
+    }
+
+    const current = this.#pendingBatches === pendingBatches;
+    this.lockedArchives = book.locked;
 
     if (book.paths.length < 1) {
+      this.#dropStream(pendingBatches);
       console.timeEnd(`bookID#${this.#bookID} open`);
       return false;
     }
@@ -63,10 +169,23 @@ export class FileBook {
     this.#paths = book.paths;
     this.#allFiles = book.files;
 
-    // sort all files by path. (use name if to ignore directory order)
-    this.#allFiles.sort( (fileA, fileB) =>
-      this.#collator.compare(fileA.path, fileB.path)
-    );
+    // sort all files by current order, then merge batches streamed meanwhile by this walk
+    await sortFiles(this.#allFiles, this.sortOrder);
+
+    if (current) {
+      this.#pendingBatches = null;
+      this.#walkID = book.walkID;
+
+      for (const batch of pendingBatches) {
+        if (batch.walkID !== book.walkID)
+          continue;
+
+        if (batch.done)
+          FileBook.#streamingBooks.delete(this.#bookID);
+
+        this.#queueBatch(batch.files, batch.done);
+      }
+    }
 
     // trigger new fetchs for previously cached resources 
     // that were possibly renamed, edited or overwritten
@@ -89,13 +208,96 @@ export class FileBook {
     return true;
   }
 
+  /**
+   * Stop receiving streamed files for failed load, unless superseded.
+   * @param {{walkID: string, files: FileObject[], done: boolean}[]} pendingBatches Load batches.
+   */
+  #dropStream(pendingBatches) {
+    if (this.#pendingBatches !== pendingBatches)
+      return;
+
+    FileBook.#streamingBooks.delete(this.#bookID);
+    this.#pendingBatches = null;
+  }
+
   /**
    * Clear temporary folders created for this book, if any.
    */
   closeBook() {
+    FileBook.#streamingBooks.delete(this.#bookID);
     elecAPI.clearTmp(this.#bookID);
   }
 
+  /**
+   * Either book is still receiving files from a recursive opening.
+   * @returns {boolean}
+   */
+  isStreaming() {
+    return FileBook.#streamingBooks.has(this.#bookID);
+  }
+
+  /**
+   * Run listing task after previous ones, as loads, streamed batches and sorts.
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  #enqueue(task) {
+    const result = this.#listingTask.then(task);
+    this.#listingTask = result.catch( err => console.error('MXIV::ERROR: FileBook listing task failed\n', err) );
+
+    return result;
+  }
+
+  /**
+   * Queue streamed batch to be merged, then fire `fileBook:stream` for it.
+   * @param {FileObject[]} files Streamed files.
+   * @param {boolean} done Either stream is over.
+   */
+  #queueBatch(files, done) {
+    this.#enqueue(async () => {
+      await this.#append(files);
+      this.events.fire('fileBook:stream', files.length, done);
+    });
+  }
+
+  /**
+   * Merge streamed files into listings, keep current file and active filter.
+   * @param {FileObject[]} files Files to append.
+   */
+  async #append(files) {
+    if (files.length < 1)
+      return;
+
+    const currentFile = this.files[this.#pageIdx];
+    this.#allFiles = await mergeFiles(this.#allFiles, files, this.sortOrder);
+
+    if (this.isFiltered() && this.#filterPredicate != null) {
+      const matches = files.filter(this.#filterPredicate);
+      this.#filterFiles = await mergeFiles(this.#filterFiles, matches, this.sortOrder);
+    }
+
+    this.#pageIdx = Math.max(0, this.files.indexOf(currentFile) );
+  }
+
+  /**
+   * Sort files by given order while keeping current file.
+   * - Waits for streamed batches being merged, so they're sorted alike.
+   * @param {SortOrder} order New sort order.
+   */
+  async sort(order) {
+    await this.#enqueue(async () => {
+      const currentFile = this.files[this.#pageIdx];
+      this.sortOrder = order;
+
+      await sortFiles(this.#allFiles, order);
+      if ( this.isFiltered() )
+        await sortFiles(this.#filterFiles, order);
+
+      this.#pageIdx = Math.max(0, this.files.indexOf(currentFile) );
+    });
+  }
+
   /**
    * All visible files in current state.
    * @returns {FileObject[]}
@@ -113,6 +315,13 @@ export class FileBook {
     return this.#pageIdx;
   }
 
+  /**
+   * FileBook UUID, also owner ID of its temporary folders.
+   */
+  get bookID() {
+    return this.#bookID;
+  }
+
   /**
    * Currently loaded directory paths.
    */
@@ -120,6 +329,13 @@ export class FileBook {
     return this.#paths;
   }
 
+  /**
+   * Currently loaded directory and archive paths, without archive-internal folders.
+   */
+  get rootPaths() {
+    return this.#paths.filter(dir => dir.archive == null);
+  }
+
   /**
    * Get FileObject from current page index.
    * @returns {FileObject?}
@@ -147,6 +363,7 @@ export class FileBook {
 
     if (filterFiles.length > 0) {
       this.#filterFiles = filterFiles;
+      this.#filterPredicate = predicate;
       const newIdx = this.#filterFiles.indexOf(currentFile);
 
       this.#pageIdx = newIdx < 0
@@ -163,22 +380,10 @@ export class FileBook {
   clearFilter() {
     const currentFile = this.files[this.#pageIdx];
     this.#filterFiles = [];
+    this.#filterPredicate = null;
     this.#pageIdx = this.#allFiles.indexOf(currentFile);
   }
 
-  /**
-   * Filter files by partial word queries and tags and update page index.
-   * @param {string[]} queries Words to look for.
-   * @returns {number} New file count. `0` for no matches.
-   */
-  filterStringAndTags(...queries) {
-    const treatedQueries = queries
-      .map( query => query.toLowerCase().trim() )
-      .filter(query => query !== '');
-
-    return this.filter( (file) => matchNameOrTags(file, treatedQueries) );
-  }
-
   /** 
    * Set page index while wrapping around if out-of-bound.
    * @param {number} pageIdx New page index.
@@ -196,6 +401,27 @@ export class FileBook {
     return this.files[this.#pageIdx];
   }
 
+  /**
+   * Get files around current page, wrapping around. Nearest pages first.
+   * @param {number} [ahead=2] Next pages to include.
+   * @param {number} [behind=1] Previous pages to include.
+   * @returns {FileObject[]}
+   */
+  neighbouringFiles(ahead = 2, behind = 1) {
+    const fileCount = this.files.length;
+    const neighbours = new Set();
+
+    for (let i = 1; i <= Math.max(ahead, behind); i++) {
+      if (i <= ahead)
+        neighbours.add( this.files[(this.#pageIdx + i) % fileCount] );
+      if (i <= behind)
+        neighbours.add( this.files[( (this.#pageIdx - i) % fileCount + fileCount ) % fileCount] );
+    }
+
+    neighbours.delete(this.currentFile);
+    return [...neighbours];
+  }
+
   /**
    * Set page to a random index.
    */
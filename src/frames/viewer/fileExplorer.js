@@ -1,6 +1,7 @@
 // @ts-check
 import { ItemList } from "../../components/itemList.js";
 import { notify } from "../../components/notifier.js";
+import { sortFiles } from "./fileSorter.js";
 
 import style from "./fileExplorer.css" with { type: 'css' };
 
@@ -39,6 +40,18 @@ export class FileExplorer extends HTMLElement {
    */
   #element2file = new WeakMap();
 
+  /**
+   * Marked filepaths, for operations on many files.
+   * @type {Set<string>}
+   */
+  #marked = new Set();
+
+  /**
+   * Filepath from which to mark ranges.
+   * @type {string?}
+   */
+  #markAnchor = null;
+
   /**
    * Prevent empty listing on first playlist presentation.
    */
@@ -72,8 +85,6 @@ export class FileExplorer extends HTMLElement {
    */
   mode = 'explorer';
 
-  #collator = new Intl.Collator('en', { numeric: true });
-
   connectedCallback() {
     const shadowRoot = this.attachShadow({ mode: 'open' });
     const template = /** @type {HTMLTemplateElement} */ (document.querySelector('#fileExplorerTemplate'));
@@ -92,13 +103,28 @@ export class FileExplorer extends HTMLElement {
   /** 
    * Create item element from file object.
    * @param {FileObject} file
+   * @param {string} [group] Group label, for files starting a group.
    * @returns {HTMLElement}
    */
-  #createFileElement(file) {
+  #createFileElement(file, group) {
     const element = document.createElement('p');
     element.setAttribute('icon', file.category);
     element.textContent = file.name;
-    element.onclick = () => this.select(element);
+
+    if (group != null)
+      element.setAttribute('group', group);
+
+    if ( this.#marked.has(file.path) )
+      element.classList.add('marked');
+
+    element.onclick = (e) => {
+      if (e.ctrlKey)
+        this.toggleMark(element);
+      else if (e.shiftKey)
+        this.markRange(element);
+      else
+        this.select(element);
+    };
     
     this.#element2file.set(element, file);
     
@@ -137,9 +163,9 @@ export class FileExplorer extends HTMLElement {
     /** @type {import("../../APIs/file/fileSearch.js").LSObject} */
     const lsObj = await elecAPI.scanPath(path);
     
-    // sort categories individually, then merge in order
+    // sort categories individually by book order, then merge in order
     for (const key of ['directories', 'archives', 'files'])
-      lsObj[key].sort( (fileA, fileB) => this.#collator.compare(fileA.path, fileB.path) );
+      await sortFiles(lsObj[key], this.fileBook.sortOrder);
     
     const directoryFiles = lsObj.directories.concat(lsObj.archives, lsObj.files);
     if (directoryFiles.length < 1) {
@@ -148,6 +174,7 @@ export class FileExplorer extends HTMLElement {
     }
     
     this.#explorerCache = directoryFiles;
+    this.clearMarks();
     this.#parentDirectoryFile = lsObj.upperDir;
     this.#currentDirectoryFile = lsObj.target;
     this.currentDir = lsObj.target.path;
@@ -168,17 +195,48 @@ export class FileExplorer extends HTMLElement {
 
   #drawPlaylist() {
     this.#updateHeader('playlist', 'playlist', 
-      this.fileBook.paths.map(i => i.name).toString(), 
-      this.fileBook.paths.map(i => i.path).toString());
+      this.fileBook.rootPaths.map(i => i.name).toString(), 
+      this.fileBook.rootPaths.map(i => i.path).toString());
+
+    const groups = this.#archiveGroups();
 
     this.#playlistInitialized = true;
     this.#list.populate(this.fileBook.files, 
-      item => this.#createFileElement(item), file => file.name[0] !== '.');
+      item => this.#createFileElement( item, groups.get(item) ), file => file.name[0] !== '.');
     
     this.toggleSearch(false);
     this.syncSelection() || this.navItems();
   }
 
+  /**
+   * Map first playlist file from each archive-internal folder to the folder name.
+   * - Only when sorted by path, as other orders interleave folders.
+   * @returns {Map<FileObject, string>}
+   */
+  #archiveGroups() {
+    const groups = new Map();
+    const folders = this.fileBook.paths.filter(dir => dir.archive != null);
+
+    if (folders.length < 2 || this.fileBook.sortOrder.key !== 'path')
+      return groups;
+
+    let lastFolder = null;
+    for (const file of this.fileBook.files) {
+      if (file.name[0] === '.')
+        continue;
+
+      const parentPath = file.path.slice(0, -file.name.length - 1);
+      const folder = folders.find(dir => dir.path === parentPath);
+
+      if (folder != null && folder !== lastFolder)
+        groups.set(file, folder.name);
+
+      lastFolder = folder;
+    }
+
+    return groups;
+  }
+
   /**
    * Draw list for current mode. Initialize cache if empty.
    */
@@ -242,6 +300,125 @@ export class FileExplorer extends HTMLElement {
     element?.scrollIntoView({ block: 'center' });
   }
 
+  /**
+   * Navigate and mark both departed and reached items.
+   * @param {'up'|'down'} [down='down'] Direction.
+   */
+  navMark(down = 'down') {
+    const departed = this.#list.getSelectedElement();
+    if (departed != null)
+      this.#setMark(departed, true);
+
+    this.navItems(down);
+
+    const reached = this.#list.getSelectedElement();
+    if (reached != null)
+      this.#setMark(reached, true);
+
+    this.#notifyMarks();
+  }
+
+  /**
+   * Files marked in current list, in list order.
+   * @returns {FileObject[]}
+   */
+  get markedFiles() {
+    const workList = this.mode === 'playlist' ? this.fileBook.files : this.#explorerCache;
+    return workList.filter( file => this.#marked.has(file.path) );
+  }
+
+  /**
+   * Mark or unmark item element.
+   * @param {HTMLElement} element Item element.
+   * @param {boolean} mark Either to mark or unmark.
+   */
+  #setMark(element, mark) {
+    const file = /** @type {FileObject} */ (this.#element2file.get(element));
+
+    mark ? this.#marked.add(file.path) : this.#marked.delete(file.path);
+    element.classList.toggle('marked', mark);
+    this.#markAnchor = file.path;
+  }
+
+  /**
+   * Sync rendered item elements to marked filepaths.
+   */
+  #drawMarks() {
+    const elements = /** @type {ShadowRoot} */ (this.shadowRoot).querySelectorAll('.itemListPage > p');
+
+    for (const element of elements) {
+      const file = this.#element2file.get(/** @type {HTMLElement} */ (element));
+      element.classList.toggle( 'marked', file != null && this.#marked.has(file.path) );
+    }
+  }
+
+  /**
+   * Notify marked file count.
+   */
+  #notifyMarks() {
+    notify(`${this.#marked.size} marked`, 'fileExplorer:mark');
+  }
+
+  /**
+   * Toggle mark on item element.
+   * @param {HTMLElement?} [element] Item element, selected element by default.
+   */
+  toggleMark( element = this.#list.getSelectedElement() ) {
+    if (element == null)
+      return;
+
+    this.#list.selectIntoFocus(element, { block: 'nearest' });
+    this.#setMark( element, !element.classList.contains('marked') );
+    this.#notifyMarks();
+  }
+
+  /**
+   * Mark items from last marked item up to given item element.
+   * @param {HTMLElement?} [element] Item element, selected element by default.
+   */
+  markRange( element = this.#list.getSelectedElement() ) {
+    if (element == null)
+      return;
+
+    const target = /** @type {FileObject} */ (this.#element2file.get(element));
+    const items = this.#list.itemArray;
+    const targetIdx = items.indexOf(target);
+    const anchorIdx = items.findIndex(file => file.path === this.#markAnchor);
+    const startIdx = anchorIdx < 0 ? targetIdx : anchorIdx;
+
+    for (let i = Math.min(startIdx, targetIdx); i <= Math.max(startIdx, targetIdx); i++)
+      this.#marked.add(items[i].path);
+
+    this.#markAnchor = target.path;
+    this.#list.selectIntoFocus(element, { block: 'nearest' });
+    this.#drawMarks();
+    this.#notifyMarks();
+  }
+
+  /**
+   * Mark every file in current list, or only those listed by current search.
+   * @param {'all'|'listed'} [scope='all'] Files to mark.
+   */
+  markAll(scope = 'all') {
+    const workList = this.mode === 'playlist' ? this.fileBook.files : this.#explorerCache;
+    const files = scope === 'listed' ? this.#list.itemArray : workList;
+
+    for (const file of files)
+      this.#marked.add(file.path);
+
+    this.#drawMarks();
+    this.#notifyMarks();
+  }
+
+  /**
+   * Unmark all files.
+   */
+  clearMarks() {
+    this.#marked.clear();
+    this.#markAnchor = null;
+    this.#drawMarks();
+  }
+
   /**
    * View selected media file or open selected folder.
    * @param {HTMLElement?} [element] 
@@ -319,6 +496,7 @@ export class FileExplorer extends HTMLElement {
    */
   async toggleMode(newMode) {
     this.mode = newMode ?? (this.mode === 'explorer' ? 'playlist' : 'explorer');
+    this.clearMarks();
 
     this.animate([{ filter: 'blur(10px)' }, { filter: 'blur(0px)' }], { duration: 150 });
     await this.#drawList();
@@ -0,0 +1,170 @@
+// @ts-check
+
+/**
+ * @import { FileObject } from "../../APIs/file/fileSearch"
+ */
+
+/**
+ * @typedef {'path'|'modified'|'created'|'size'|'dimensions'|'shuffle'} SortKey
+ */
+
+/**
+ * File sorting criteria.
+ * @typedef SortOrder
+ * @property {SortKey} key Property to sort by.
+ * @property {boolean} descending Either to reverse order.
+ */
+
+
+/**
+ * Sort keys and their descriptions.
+ * @type {Object<SortKey, string>}
+ */
+export const sortKeys = {
+  path: 'sort by path (default)',
+  modified: 'sort by modification time',
+  created: 'sort by creation time',
+  size: 'sort by file size',
+  dimensions: 'sort by image pixel count',
+  shuffle: 'shuffle in random order'
+};
+
+/**
+ * Default sort order.
+ * @type {SortOrder}
+ */
+export const defaultSortOrder = Object.freeze({ key: 'path', descending: false });
+
+/**
+ * Random sort values for shuffled files.
+ * @type {WeakMap<FileObject, number>}
+ */
+let shuffleValues = new WeakMap();
+
+/**
+ * Image pixel counts, `-1` for non-images.
+ * @type {WeakMap<FileObject, number>}
+ */
+const pixelCounts = new WeakMap();
+
+const collator = new Intl.Collator('en', { numeric: true });
+
+
+/**
+ * Check if string is a valid sort key.
+ * @param {string} key Key to test.
+ * @returns {key is SortKey}
+ */
+export function isSortKey(key) {
+  return Object.hasOwn(sortKeys, key);
+}
+
+/**
+ * Draw new random values for shuffled order.
+ */
+export function reshuffle() {
+  shuffleValues = new WeakMap();
+}
+
+/**
+ * Fetch missing pixel counts for image files.
+ * @param {FileObject[]} files Files to inspect.
+ */
+async function fetchPixelCounts(files) {
+  const pending = files.filter(file => !pixelCounts.has(file) );
+  if (pending.length < 1)
+    return;
+
+  /** @type {Object<string, {width:number, height:number}?>} */
+  const dimensionMap = await elecAPI.imageDimensions( pending.map(file => file.path) );
+
+  for (const file of pending) {
+    const dimensions = dimensionMap[file.path];
+    pixelCounts.set(file, dimensions ? dimensions.width * dimensions.height : -1);
+  }
+}
+
+/**
+ * Return sorting value for file under given key.
+ * @param {FileObject} file
+ * @param {SortKey} key
+ * @returns {number}
+ */
+function sortValue(file, key) {
+  switch (key) {
+    case 'modified':
+      return file.modified ?? 0;
+    case 'created':
+      return file.created ?? 0;
+    case 'size':
+      return file.size ?? 0;
+    case 'dimensions':
+      return pixelCounts.get(file) ?? -1;
+    case 'shuffle': {
+      let value = shuffleValues.get(file);
+      if (value == null)
+        shuffleValues.set(file, value = Math.random() );
+
+      return value;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Return file comparator for given order. Ties are compared by path.
+ * @param {SortOrder} order Sort order.
+ * @returns {(fileA: FileObject, fileB: FileObject) => number}
+ */
+function comparator(order) {
+  const { key, descending } = order;
+  const direction = descending ? -1 : 1;
+
+  return (fileA, fileB) => {
+    const difference = key === 'path' ? 0 : sortValue(fileA, key) - sortValue(fileB, key);
+
+    return direction * ( difference || collator.compare(fileA.path, fileB.path) );
+  };
+}
+
+/**
+ * Sort files in place by given order. Ties are sorted by path.
+ * - Fetches image dimensions from main process when sorting by `dimensions`.
+ * @param {FileObject[]} files Files to sort.
+ * @param {SortOrder} [order] Sort order.
+ * @returns {Promise<FileObject[]>} Same file array, sorted.
+ */
+export async function sortFiles(files, order = defaultSortOrder) {
+  if (order.key === 'dimensions')
+    await fetchPixelCounts(files);
+
+  return files.sort( comparator(order) );
+}
+
+/**
+ * Return new array merging files into already sorted ones, by given order.
+ * - Only new files are sorted, keeping merges linear for large books.
+ * @param {FileObject[]} sortedFiles Files already sorted by order.
+ * @param {FileObject[]} files Files to merge in, sorted in place.
+ * @param {SortOrder} [order] Sort order.
+ * @returns {Promise<FileObject[]>} Merged files.
+ */
+export async function mergeFiles(sortedFiles, files, order = defaultSortOrder) {
+  await sortFiles(files, order);
+  const compare = comparator(order);
+
+  const merged = [];
+  let i = 0, j = 0;
+
+  while (i < sortedFiles.length && j < files.length)
+    merged.push( compare(files[j], sortedFiles[i]) < 0 ? files[j++] : sortedFiles[i++] );
+
+  for (; i < sortedFiles.length; i++)
+    merged.push(sortedFiles[i]);
+
+  for (; j < files.length; j++)
+    merged.push(files[j]);
+
+  return merged;
+}
@@ -3,6 +3,10 @@ import { GenericFrame } from "../genericFrame.js";
 import { FileBook } from "./fileBook.js";
 import { FileExplorer } from "./fileExplorer.js";
 import { View } from "../../components/view/view.js";
+import { defaultSortOrder, reshuffle } from "./fileSorter.js";
+import { requestPassword } from "../../components/actionPalette/actionPalette.js";
+import { compileQuery } from "../../components/fileQuery.js";
+import userPreferences from "../../components/userPreferences.js";
 
 import "./viewerActions.js";
 import "./viewerAccelerators.js";
@@ -36,6 +40,57 @@ export class Viewer extends GenericFrame {
    * @type {string[]}
    */
   #openArgs = [];
+
+  /**
+   * Subfolder levels walked when opening folders. `0` for non-recursive.
+   */
+  #recursionDepth = 0;
+
+  /**
+   * Subfolder levels walked by default on recursive opening.
+   */
+  static #defaultRecursionDepth = 8;
+
+  /**
+   * Delay in ms for pages to settle before recording reading progress.
+   */
+  static #progressDelay = 1000;
+
+  /**
+   * Pending reading progress record.
+   * @type {NodeJS.Timeout|undefined}
+   */
+  #progressTimeout;
+
+  /**
+   * Last page index displayed in book, `-1` if none. Books are only finished when read through,
+   * not when jumped to their last page.
+   */
+  #previousPage = -1;
+
+  /**
+   * Connected viewers, as to reload those showing an archive edited elsewhere.
+   * @type {Set<Viewer>}
+   */
+  static #instances = new Set();
+
+  /**
+   * Either this viewer is editing an archive, reloading on its own once done.
+   */
+  #isEditingArchive = false;
+
+  // reload other viewers on the same archive, as its entries changed
+  static {
+    elecAPI.onBroadcast(function onArchiveEdited(/** @type string */ message, archivePath) {
+      if (message !== 'file:archiveEdited')
+        return;
+
+      for (const viewer of Viewer.#instances) {
+        if ( !viewer.#isEditingArchive && viewer.fileBook.paths.some(dir => dir.path === archivePath) )
+          viewer.reload();
+      }
+    });
+  }
     
   /**
    * File paginator and controller.
@@ -71,6 +126,7 @@ export class Viewer extends GenericFrame {
     shadowRoot.adoptedStyleSheets = [style];
 
     // composition instances
+    Viewer.#instances.add(this);
     this.fileBook = new FileBook();
     this.viewComponent = /** @type {View}        */ (shadowRoot.getElementById('viewInstance'));
     this.fileExplorer = /** @type {FileExplorer} */ (shadowRoot.getElementById('fileExplorer'));
@@ -80,6 +136,7 @@ export class Viewer extends GenericFrame {
   }
 
   disconnectedCallback() {
+    Viewer.#instances.delete(this);
     this.fileBook.closeBook();
   }
 
@@ -91,6 +148,7 @@ export class Viewer extends GenericFrame {
       tabName: this.tabName,
       paths: this.#openArgs,
       filterQuery: this.#filterQuery,
+      sortOrder: this.fileBook.sortOrder,
       mediaState: this.viewComponent.state(),
 
       fileExplorer: {
@@ -109,6 +167,7 @@ export class Viewer extends GenericFrame {
     // load state and disable autoplay when restoring/duplicating
     this.viewComponent.state(stateObj.mediaState);
     this.viewComponent.autoplay = false;
+    this.fileBook.sortOrder = stateObj.sortOrder ?? defaultSortOrder;
     
     // open paths and goto file
     if (stateObj.paths.length)
@@ -131,27 +190,105 @@ export class Viewer extends GenericFrame {
       this.fileExplorer.togglePanel(true);
   }
 
+  /**
+   * Split open arguments into paths and recursion depth.
+   * - `--recursive`, `-r`: walk subfolders up to default depth.
+   * - `--recursive=<depth>`: walk subfolders up to given depth.
+   * @param {string[]} args Open arguments.
+   * @returns {{paths: string[], depth: number}}
+   */
+  static parseOpenArgs(args) {
+    const paths = [];
+    let depth = 0;
+
+    for (const arg of args) {
+      if (arg === '--recursive' || arg === '-r')
+        depth = Viewer.#defaultRecursionDepth;
+      else if ( arg.startsWith('--recursive=') ) {
+        const value = parseInt( arg.slice('--recursive='.length) );
+        depth = isNaN(value) || value < 0 ? Viewer.#defaultRecursionDepth : value;
+      }
+      else
+        paths.push(arg);
+    }
+
+    return { paths, depth };
+  }
+
+  /**
+   * Ask for archive passwords in sequence. Null if any is dismissed.
+   * @param {string[]} archivePaths Encrypted archive paths.
+   * @returns {Promise<Object<string, string>?>} Passwords by archive path.
+   */
+  static async #requestPasswords(archivePaths) {
+    /** @type {Object<string, string>} */
+    const passwords = {};
+
+    for (const archivePath of archivePaths) {
+      const name = archivePath.split(/[\\/]/).at(-1);
+      const password = await requestPassword(`password for "${name}" (enter to confirm):`);
+
+      if (password == null)
+        return null;
+
+      passwords[archivePath] = password;
+    }
+
+    return passwords;
+  }
+
+  /**
+   * Flag arguments to replicate current opening options.
+   * @returns {string[]}
+   */
+  #openFlags() {
+    return this.#recursionDepth > 0
+      ? [`--recursive=${this.#recursionDepth}`]
+      : [];
+  }
+
   /** 
    * Load files and directories, sync fileExplorer and display first file.
    * - Clear filter and filter queries.
-   * @param {string[]} paths Paths. Will display first path if file.
+   * - Accept `--recursive[=depth]` flag to also load files from subfolders.
+   * @param {string[]} args Paths. Will display first path if file.
    */
-  async open(...paths) {
+  async open(...args) {
     if (this.#bookIsLoading)
       return;
 
+    const { paths, depth } = Viewer.parseOpenArgs(args);
+
     this.hold(true);
     this.#bookIsLoading = true;
-    this.#openArgs = paths; // fix state replication (duplicates) during bookIsLoading
+    this.#recursionDepth = depth;
+    this.#openArgs = args; // fix state replication (duplicates) during bookIsLoading
+
+    // remembered passwords are only read on opt-in
+    const rememberPasswords = userPreferences.get('rememberArchivePasswords');
+    let loaded = await this.fileBook.load(paths, { depth, rememberPasswords });
+
+    // ask for passwords of encrypted archives until unlocked or dismissed
+    while (this.fileBook.lockedArchives.length > 0) {
+      const passwords = await Viewer.#requestPasswords(this.fileBook.lockedArchives);
+      if (passwords == null)
+        break;
+
+      loaded = await this.fileBook.load(paths, { depth, passwords, rememberPasswords });
+
+      if (this.fileBook.lockedArchives.length > 0)
+        this.notify('wrong password', 'viewer:password');
+    }
 
-    if ( !await this.fileBook.load(...paths) ) {
+    if (!loaded) {
       this.notify('no files to open', 'viewer:open');
     } else {
-      // reset filter query
+      // reset filter query and reading through
       this.#filterQuery = [];
+      this.#previousPage = -1;
 
       // name tab path basenames, sorted for order-redundancy
-      const basedirs = this.fileBook.paths.map(dir => dir.name);
+      const basedirs = this.fileBook.rootPaths.map(dir => dir.name);
       this.tabName = String(basedirs);
 
       await this.gotoPage();
@@ -163,19 +300,16 @@ export class Viewer extends GenericFrame {
   }
 
   /**
-   * Find and present next file with matching name substrings. 
-   * @param {string[]} queries File name or substring to find.
+   * Find and present next file matching query. 
+   * @param {string[]} queries File query, see `compileQuery`.
    */
   find(...queries) {
-    const treatedQueries = queries
-      .map( query => query.toLowerCase().trim() )
-      .filter(query => query !== '');
-
-    /** @param {import('../../APIs/file/fileSearch.js').FileObject} file */
-    const matchFile = (file) => {
-      const name = file.name.toLowerCase();
-      return treatedQueries.every( query => name.includes(query) );
-    };
+    let matchFile;
+    try {
+      matchFile = compileQuery(queries);
+    } catch (err) {
+      return this.notify(`invalid query: ${/** @type {Error} */ (err).message}`, 'find');
+    }
 
     const startIdx = this.fileBook.page + 1;
     const nextFiles = this.fileBook.files.slice(startIdx);
@@ -194,8 +328,8 @@ export class Viewer extends GenericFrame {
   }
 
   /**
-   * Filter files by partial words and tags. Clear if none provided.
-   * @param {string[]} queries Tags and substrings to filter for.
+   * Filter files by query on names and tags. Clear if none provided.
+   * @param {string[]} queries File query, see `compileQuery`.
    */
   filter(...queries) {
     queries = queries.map( query => query.toLowerCase().trim() )
@@ -206,8 +340,15 @@ export class Viewer extends GenericFrame {
       this.#filterQuery = [];
       this.notify('clear filter');
     } else {
+      let predicate;
+      try {
+        predicate = compileQuery(queries);
+      } catch (err) {
+        return this.notify(`invalid query: ${/** @type {Error} */ (err).message}`);
+      }
+
       const currentFilePath = this.fileBook.currentFile?.path;
-      const matches = this.fileBook.filterStringAndTags(...queries);
+      const matches = this.fileBook.filter(predicate);
   
       if (matches === 0)
         return this.notify('no matches');
@@ -226,6 +367,22 @@ export class Viewer extends GenericFrame {
     this.fileExplorer.reload();
   }
 
+  /**
+   * Sort files by key and direction, keep current page.
+   * @param {import('./fileSorter.js').SortKey} key Sort key.
+   * @param {boolean} [descending=false] Either to reverse order.
+   */
+  async sort(key, descending = false) {
+    if (key === 'shuffle')
+      reshuffle();
+
+    await this.fileBook.sort({ key, descending });
+    this.notify(`sorted by ${key}${descending ? ', descending' : ''}`, 'sort');
+
+    this.refreshStatus();
+    await this.fileExplorer.reload();
+  }
+
   /**
    * Present next page.
    * @param {boolean} [forward=true] Flip to the right.
@@ -257,12 +414,16 @@ export class Viewer extends GenericFrame {
     if (file == null)
       return;
 
-    const paths = this.fileBook.paths.map(dir => dir.path);
-    this.#openArgs = [file.path, ...paths];
+    const paths = this.fileBook.rootPaths.map(dir => dir.path);
+    this.#openArgs = [...this.#openFlags(), file.path, ...paths];
+
+    // extract file on demand if from archive, prefetch neighbouring pages
+    const neighbours = this.fileBook.neighbouringFiles().map(neighbour => neighbour.path);
+    let success = await elecAPI.fetchFiles([file.path], neighbours);
 
     // wait for display (loaded) and resolve block
     const fileURL = elecAPI.getFileURL(file.path);
-    let success = await this.viewComponent.display(fileURL, file.category);
+    success = success && await this.viewComponent.display(fileURL, file.category);
     this.#pageIsLoading = false;
     
     if (!success) {
@@ -270,6 +431,41 @@ export class Viewer extends GenericFrame {
       this.fileBook.delistFile(file);
       this.gotoPage();
     }
+
+    else {
+      this.#recordProgress();
+
+      // files extracted from archives are temporary, don't tag them
+      if (file.category === 'image' && file.archive == null && userPreferences.get('readEmbeddedTags') ) {
+        elecAPI.importEmbeddedTags(file.path)
+          .then(updated => updated && this.notify('tagged from embedded keywords', 'embeddedTags') );
+      }
+    }
+  }
+
+  /**
+   * Record reading progress of current page once it settles, if a single book is loaded.
+   * - Skipped while filtered or streaming, as page index and count aren't the book's own.
+   */
+  #recordProgress() {
+    clearTimeout(this.#progressTimeout);
+
+    const previousPage = this.#previousPage;
+    this.#previousPage = this.fileBook.page;
+
+    const [book, ...otherPaths] = this.fileBook.rootPaths;
+    if (book == null || otherPaths.length > 0 || this.fileBook.isFiltered() || this.fileBook.isStreaming())
+      return;
+
+    const page = this.fileBook.page;
+    const pageCount = this.fileBook.files.length;
+    const file = this.fileBook.currentFile?.path ?? '';
+    // opening on a page isn't reading into it, as a single page book would be finished on open
+    const finished = page === pageCount - 1 && previousPage >= 0 && previousPage === page - 1;
+
+    this.#progressTimeout = setTimeout(() => {
+      elecAPI.setReadingProgress(book.path, page, pageCount, file, finished);
+    }, Viewer.#progressDelay);
   }
 
   /**
@@ -282,8 +478,9 @@ export class Viewer extends GenericFrame {
 
   /**
    * Reload fileBook and fileExplorer while keeping current state.
+   * @param {string} [startOn] Path to file to start on instead of current one.
    */
-  async reload() {
+  async reload(startOn) {
     const currentFile = this.fileBook.currentFile;
     if (!currentFile) {
       this.fileExplorer.reload();
@@ -292,12 +489,12 @@ export class Viewer extends GenericFrame {
     }
 
     const filterQuery = this.#filterQuery;
-    const paths = this.fileBook.paths.map(dir => dir.path);
+    const paths = this.fileBook.rootPaths.map(dir => dir.path);
     const tabName = this.tabName;
 
     // re-open current paths, starting by current-file
     this.notify('reloading files...', 'fileReload');
-    await this.open(currentFile.path, ...paths);
+    await this.open(...this.#openFlags(), startOn ?? currentFile.path, ...paths);
 
     // restore tab name and re-apply filter
     this.tabName = tabName;
@@ -308,18 +505,21 @@ export class Viewer extends GenericFrame {
   }
   
   /**
-   * Delete current file from filesystem.
+   * Delete current file from filesystem, or from its archive if from one.
    */
   async deletePage() {
     const targetFile = this.fileBook.currentFile;
     if (!targetFile)
       return this.notify('no loaded file to delete', 'pageDel');
 
+    const fromArchive = targetFile.archive != null;
     const answerID = await elecAPI.dialog('message', {
       type: 'question',
       title: 'Delete File',
-      message: `Permanently delete current file?`,
-      detail: targetFile.name,
+      message: fromArchive
+        ? 'Permanently delete current file from archive?'
+        : 'Permanently delete current file?',
+      detail: fromArchive ? `${targetFile.name}\nfrom ${targetFile.archive}` : targetFile.name,
       buttons: ['Delete', 'Cancel'],
       defaultId: 0,
       cancelId: 1
@@ -328,9 +528,12 @@ export class Viewer extends GenericFrame {
     if (answerID === 1)
       return;
 
-    // try and delete target file from filesystem
+    // try and delete target file from filesystem or re-pack archive without it
     const filterState = this.fileBook.isFiltered();
-    const success = await elecAPI.deleteFile(targetFile.path);
+    const success = fromArchive
+      ? await this.#editArchive( () => elecAPI.deleteFromArchive([targetFile.path]) )
+      : await elecAPI.deleteFile(targetFile.path);
+
     if (success) {
       this.fileBook.delistFile(targetFile);
 
@@ -343,11 +546,78 @@ export class Viewer extends GenericFrame {
       this.fileExplorer.syncSelection();
     }
 
-    const message = `${success ? 'deleted' : 'failed to delete'} ${targetFile.path}`;
+    const target = fromArchive ? `${targetFile.name} from ${targetFile.archive}` : targetFile.path;
+    const message = `${success ? 'deleted' : 'failed to delete'} ${target}`;
     console.log(message);
     this.notify(message);
   }
 
+  /**
+   * Rename or move current file inside its archive and re-pack it.
+   * @param {string} newPath New name, or archive-relative path if containing separators.
+   */
+  async renamePage(newPath) {
+    const targetFile = this.fileBook.currentFile;
+    if (targetFile?.archive == null)
+      return this.notify('current file is not from an archive', 'pageRename');
+
+    const newTmpPath = await this.#editArchive( () => elecAPI.renameInArchive(targetFile.path, newPath.trim()) );
+
+    if (newTmpPath == null)
+      return this.notify(`failed to rename ${targetFile.name}`, 'pageRename');
+
+    await this.reload(newTmpPath);
+    this.notify(`renamed ${targetFile.name} to ${newPath.trim()}`, 'pageRename');
+  }
+
+  /**
+   * Append files to current file's archive, next to it, and re-pack it.
+   * - Spawns file-dialog window if no files are given.
+   * @param {string[]} files Paths to files to append.
+   */
+  async appendPages(...files) {
+    const targetFile = this.fileBook.currentFile;
+    if (targetFile?.archive == null)
+      return this.notify('current file is not from an archive', 'pageAppend');
+
+    if (files.length < 1) {
+      files = await elecAPI.dialog('open', {
+        title: 'Append Files to Archive',
+        properties: ['openFile', 'multiSelections'],
+        buttonLabel: 'Append Selected'
+      }) ?? [];
+    }
+
+    if (files.length < 1)
+      return;
+
+    const success = await this.#editArchive( () => elecAPI.appendToArchive(targetFile.path, files) );
+
+    if (!success)
+      return this.notify('failed to append files to archive', 'pageAppend');
+
+    await this.reload();
+    this.notify(`appended ${files.length} file(s) to archive`, 'pageAppend');
+  }
+
+  /**
+   * Run archive edit while holding input, released even if edit fails.
+   * @template T
+   * @param {() => Promise<T>} edit Archive edit request.
+   * @returns {Promise<T>}
+   */
+  async #editArchive(edit) {
+    this.hold(true);
+    this.#isEditingArchive = true;
+
+    try {
+      return await edit();
+    } finally {
+      this.#isEditingArchive = false;
+      this.hold(false);
+    }
+  }
+
   /**
    * Toggle fullscreen and hide/show FileExplorer accordingly.
    */
@@ -429,6 +699,17 @@ export class Viewer extends GenericFrame {
         : this.open(filepath);
     });
 
+    // files streamed from recursive opening
+    this.fileBook.events.observe('fileBook:stream', (_count, done) => {
+      this.refreshStatus();
+
+      if (this.fileExplorer.mode === 'playlist')
+        this.fileExplorer.reload();
+
+      if (done)
+        this.notify(`${this.fileBook.files.length} files loaded`, 'viewer:open');
+    });
+
     // view events
     viewComponent.events.observe('view:notify', (msg, type) => this.notify(msg, type));
     viewComponent.events.observe('view:playing', (playing) => this.setFrameIsPlaying(playing));
@@ -460,12 +741,15 @@ export class Viewer extends GenericFrame {
     const { files, page, currentFile } = this.fileBook;
     if (currentFile != null) {
       const filterInfo = this.#filterQuery.length ? `filter:${this.#filterQuery}` : '';
-      const pager = `[${page + 1}/${files.length}]`;
+      const { key, descending } = this.fileBook.sortOrder;
+      const sortInfo = key !== 'path' || descending ? `sort:${key}${descending ? '-desc' : ''} ` : '';
+      const streaming = this.fileBook.isStreaming() ? '+' : '';
+      const pager = `[${page + 1}/${files.length}${streaming}]`;
       const { mode, zoom } = this.viewComponent;
 
       status.title = currentFile.name;
       status.infoLeft = currentFile.name;
-      status.infoRight = `${filterInfo} fit-${mode}:${zoom.toFixed(0)}% ${pager}`;
+      status.infoRight = `${sortInfo}${filterInfo} fit-${mode}:${zoom.toFixed(0)}% ${pager}`;
       status.infoLeftFunc = () => {
         navigator.clipboard.writeText(currentFile.path);
         this.notify('filepath copied to clipboard');
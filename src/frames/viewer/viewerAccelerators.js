@@ -58,5 +58,13 @@ setComponentAccelerators('fileExplorer', {
   'd' : ['select'],
   'ArrowRight' : ['select'],
 
-  'f' : ['toggleSearch']
+  'f' : ['toggleSearch'],
+
+  // marks, for operations on many files
+  'x' : ['toggleMark'],
+  'x+Shift' : ['clearMarks'],
+  'ArrowUp+Shift' : ['navMark', 'up'],
+  'ArrowDown+Shift' : ['navMark', 'down'],
+  'a+Control' : ['markAll'],
+  'a+Control+Shift' : ['markAll', 'listed']
 });
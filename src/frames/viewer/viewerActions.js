@@ -1,15 +1,54 @@
 import { setComponentActions } from "../../actions/actionService.js";
 import { FRAME } from "../../tabs/tab.js";
 import { option, setPaletteInfo, standardFilter } from "../../components/actionPalette/actionPalette.js";
-import { runScript, tag, renameTags, deleteTags } from "../../components/fileMethods.js";
+import { runScript, tag, tagMany, tagCompletions, renameTags, deleteTags,
+  sharedTagActions } from "../../components/fileMethods.js";
+import { sortKeys, isSortKey } from "./fileSorter.js";
+import { queryInfo } from "../../components/fileQuery.js";
+
+
+/**
+ * Tag files in scope, current file unless `tags` begins with a scope flag.
+ * - `--marked`: files marked in fileExplorer.
+ * - `--all`: all files, or all filtered files if filtered.
+ * @param {boolean} add Add tags instead of removing them.
+ * @param {string[]} tags Tags, optionally preceded by a scope flag.
+ */
+async function tagScope(add, ...tags) {
+  const [scope, ...scopedTags] = tags;
+
+  if (scope === '--marked' || scope === '--all') {
+    const files = scope === '--marked'
+      ? FRAME.fileExplorer.markedFiles
+      : FRAME.fileBook.files;
+
+    return await tagMany(files.map(file => file.path), add, ...scopedTags);
+  }
+
+  await tag(FRAME.fileBook.currentFile?.path, add, ...tags);
+}
+
+/**
+ * Tag scope flag options.
+ */
+const tagScopeOptions = [
+  option('--marked', 'files marked in fileExplorer'),
+  option('--all', 'all files, only those filtered if under a filter')
+];
 
 
 setComponentActions('viewer', {
 
   'open': {
-    desc : 'open file(s) or folder(s)',
+    desc : 'open file(s) or folder(s), prepend --recursive to include subfolders',
     run  : (...paths) => FRAME.open(...paths),
-    options : async (query) => await elecAPI.queryPath(query),
+    options : async (query) => {
+      setPaletteInfo('arguments: [--recursive[=depth]] <path...>');
+
+      return query[0] === '-'
+        ? [option('--recursive', 'also open files from subfolders, optionally up to =<depth>')]
+        : await elecAPI.queryPath(query);
+    },
     customFilter : () => () => true // filtered upstream, skip usual filter
   },
 
@@ -254,15 +293,38 @@ setComponentActions('viewer', {
       : []
   },
 
+  'sort': {
+    desc : 'sort files by path, time, size, dimensions or shuffle them',
+    run  : (key = 'path', order = 'ascending') => {
+      isSortKey(key)
+        ? FRAME.sort(key, order === 'descending')
+        : FRAME.notify(`"${key}" is not a valid sort key`, 'sort');
+    },
+    options: (_query, allArgs) => {
+      if (allArgs.length < 2)
+        return Object.entries(sortKeys).map( ([key, desc]) => option(key, desc) );
+
+      if (allArgs.length < 3) return [
+        option('ascending', 'default'),
+        option('descending', 'reverse order')
+      ];
+
+      return [];
+    }
+  },
+
   'random': {
     desc : 'go to random page',
     run  : () => FRAME.gotoRandom()
   },
 
   'find': {
-    desc : 'find next page with matching substrings',
+    desc : 'find next page matching query on name and tags',
     run  : (...queries) => FRAME.find(...queries),
-    options: () => FRAME.fileBook.files.map(i => i.name)
+    options: (_query, allArgs) => {
+      setPaletteInfo( queryInfo(allArgs) );
+      return FRAME.fileBook.files.map(i => i.name);
+    }
   },
 
   'slideshow': {
@@ -302,6 +364,19 @@ setComponentActions('viewer', {
           option('playlist', 'list currently loaded files')
         ] : []
       },
+      'mark': {
+        desc: 'mark files for operations on many files, as tag add --marked',
+        run: (scope = 'all') => {
+          scope === 'clear'
+            ? FRAME.fileExplorer.clearMarks()
+            : FRAME.fileExplorer.markAll(scope === 'listed' ? 'listed' : 'all');
+        },
+        options: (_query, allArgs) => allArgs.length < 2 ? [
+          option('all', 'mark all files in fileExplorer (default)'),
+          option('listed', 'mark only files listed by fileExplorer search'),
+          option('clear', 'unmark all files')
+        ] : []
+      },
       'toggleFocus': {
         desc : 'toggle focus between View and FileExplorer',
         run  : () => {
@@ -316,10 +391,10 @@ setComponentActions('viewer', {
   },
 
   'filter': {
-    desc : 'filter files by name or tags, list tags with ?, prepend - to exclude it',
+    desc : 'filter files by query on name and tags, list tags with ?',
     run  : (...queries) => FRAME.filter(...queries),
-    options: (query) => {
-      setPaletteInfo('arguments: [[-]string...], ?: list tags');
+    options: (query, allArgs) => {
+      setPaletteInfo( queryInfo(allArgs) );
 
       return query[0] === '?'
         ? elecAPI.uniqueTags()
@@ -334,10 +409,41 @@ setComponentActions('viewer', {
   },
 
   'delete': {
-    desc : 'permanently delete current file',
+    desc : 'permanently delete current file, from its archive if from one',
     run  : async () => await FRAME.deletePage()
   },
 
+  'archive': {
+    desc : 'edit archive of current file, keeping a backup of its last version',
+    actions: {
+      'rename': {
+        desc: 'rename current file in archive, or move it if given an archive-relative path',
+        run: async (newPath = '') => {
+          newPath.trim() !== ''
+            ? await FRAME.renamePage(newPath)
+            : FRAME.notify('new name can\'t be empty', 'pageRename');
+        },
+        options: (_query, allArgs) => {
+          if (allArgs.length < 3)
+            setPaletteInfo('arguments: <name|folder/name>');
+
+          return allArgs.length < 3 && FRAME.fileBook.currentFile != null
+            ? [FRAME.fileBook.currentFile.name]
+            : [];
+        }
+      },
+      'append': {
+        desc: 'append files next to current file in archive, pick with dialog if none given',
+        run: async (...files) => await FRAME.appendPages(...files),
+        options: async (query) => {
+          setPaletteInfo('arguments: [path...]');
+          return await elecAPI.queryPath(query);
+        },
+        customFilter : () => () => true // filtered upstream, skip usual filter
+      }
+    }
+  },
+
   'runScript': {
     desc : 'run user script where %F, %N, %T represent the selected file path, \
             name & type, respectively',
@@ -356,23 +462,35 @@ setComponentActions('viewer', {
     desc : 'add or remove tags from current file',
     actions: {
       'add': {
-        desc: 'add one or more tags to current file',
-        run: async (...tags) => {
-          await tag(FRAME.fileBook.currentFile?.path, true, ...tags);
-        },
-        options: () => elecAPI.uniqueTags()
+        desc: 'add one or more tags to current file, prepend --marked or --all for many',
+        run: async (...tags) => await tagScope(true, ...tags),
+        options: (query, allArgs) => {
+          setPaletteInfo('arguments: [--marked|--all] <tag...>');
+
+          return query[0] === '-' && allArgs.length < 2
+            ? tagScopeOptions
+            : tagCompletions(query);
+        }
       },
       'del': {
-        desc: 'delete one or more tags from current file',
-        run: async (...tags) => {
-          await tag(FRAME.fileBook.currentFile?.path, false, ...tags);
-        },
-        options: () => FRAME.fileBook.currentFile != null
-          ? elecAPI.getTags(FRAME.fileBook.currentFile.path)
-          : []
+        desc: 'delete one or more tags from current file, prepend --marked or --all for many',
+        run: async (...tags) => await tagScope(false, ...tags),
+        options: (query, allArgs) => {
+          setPaletteInfo('arguments: [--marked|--all] <tag...>');
+
+          if (query[0] === '-' && allArgs.length < 2)
+            return tagScopeOptions;
+
+          if (allArgs[0] === '--marked' || allArgs[0] === '--all')
+            return elecAPI.uniqueTags();
+
+          return FRAME.fileBook.currentFile != null
+            ? elecAPI.getTags(FRAME.fileBook.currentFile.path)
+            : [];
+        }
       },
       'rename': {
-        desc: 'rename all occurrences of one or more tags',
+        desc: 'rename all occurrences of one or more tags, along with their nested tags',
         run: async (...tags) => await renameTags(...tags),
         options: () => elecAPI.uniqueTags()
       },
@@ -380,7 +498,8 @@ setComponentActions('viewer', {
         desc: 'purge all occurrences of one or more tags',
         run: async (...tags) => await deleteTags(...tags),
         options: () => elecAPI.uniqueTags()
-      }
+      },
+      ...sharedTagActions
     }
   }
 });
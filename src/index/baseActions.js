@@ -1,5 +1,5 @@
 import { setBaseActions } from "../actions/actionService.js";
-import { TAB, cycleTabs, newFileViewer, newTab } from "../tabs/tab.js";
+import { TAB, allTabs, cycleTabs, newFileViewer, newTab } from "../tabs/tab.js";
 import { toggleStatus } from "../components/statusBar.js";
 import * as sessionProfiles from "../tabs/profiles.js";
 import palette, { option, setPaletteInfo } from "../components/actionPalette/actionPalette.js";
@@ -8,6 +8,65 @@ import { notify } from "../components/notifier.js";
 import { isFrameType, frameDescriptors } from "../frames/frameRegistry.js";
 import userPreferences from "../components/userPreferences.js";
 import * as headerPanel from "../tabs/tabHeaderPanel.js";
+import * as fileMethods from "../components/fileMethods.js";
+
+
+/**
+ * @import { Viewer } from "../frames/viewer/viewer.js"
+ * @import { LeaseStatus } from "../APIs/file/temporaryFolders.js"
+ */
+
+/**
+ * Extracted archive disk usage for a tab.
+ * @typedef TmpUsage
+ * @property {string} name Tab name.
+ * @property {number} archives Leased archive count.
+ * @property {number} bytes Extracted bytes.
+ */
+
+
+/**
+ * Returns extracted archive disk usage per viewer tab, then for other windows if any.
+ * @returns {Promise<{total: TmpUsage, tabs: TmpUsage[]}>}
+ */
+async function tmpUsage() {
+  /** @type {LeaseStatus[]} */
+  const leases = await elecAPI.tmpStatus();
+  const unclaimed = new Set(leases);
+
+  const usageOf = (/** @type {string} */ name, /** @type {LeaseStatus[]} */ owned) => ({
+    name, archives: owned.length, bytes: owned.reduce( (sum, lease) => sum + lease.bytes, 0 )
+  });
+
+  const tabs = [];
+  for ( const tab of allTabs() ) {
+    if (tab.frame.type !== 'viewer')
+      continue;
+
+    const bookID = /** @type {Viewer} */ (tab.frame).fileBook.bookID;
+    const owned = leases.filter( lease => lease.owners.includes(bookID) );
+    owned.forEach( lease => unclaimed.delete(lease) );
+
+    if (owned.length > 0)
+      tabs.push( usageOf(tab.frame.tabName, owned) );
+  }
+
+  if (unclaimed.size > 0)
+    tabs.push( usageOf('other windows', [...unclaimed]) );
+
+  return { total: usageOf('total', leases), tabs };
+}
+
+/**
+ * Returns human readable byte size.
+ * @param {number} bytes Size in bytes.
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  return bytes < 1024 ** 2
+    ? `${(bytes / 1024).toFixed(1)}KiB`
+    : `${(bytes / 1024 ** 2).toFixed(1)}MiB`;
+}
 
 
 setBaseActions({
@@ -141,6 +200,41 @@ setBaseActions({
     }
   },
 
+  'tagDatabase': {
+    desc: 'switch, add or remove named tag databases',
+    actions: {
+      'use': {
+        desc: 'read and write tags to a database in this window, stored on profiles',
+        run: async (name) => await fileMethods.useTagDatabase(name),
+        options: async (_query, allArgs) => allArgs.length < 2
+          ? await fileMethods.tagDatabaseOptions()
+          : []
+      },
+      'add': {
+        desc: 'add or update a database at a JSON file, or in a folder as a drive root',
+        run: async (name, path, keys) => await fileMethods.addTagDatabase(name, path, keys),
+        options: async (_query, allArgs) => {
+          if (allArgs.length < 2) {
+            setPaletteInfo('arguments: <name> <path> [keys]');
+            return await fileMethods.tagDatabaseOptions(false);
+          }
+
+          return allArgs.length === 3 ? [
+            option('absolute', 'default'),
+            option('relative', 'store paths relative to database folder, for removable drives')
+          ] : [];
+        }
+      },
+      'remove': {
+        desc: 'forget a database, keeping its file',
+        run: async (name) => await fileMethods.removeTagDatabase(name),
+        options: async (_query, allArgs) => allArgs.length < 2
+          ? await fileMethods.tagDatabaseOptions(false)
+          : []
+      }
+    }
+  },
+
   'window': {
     desc: 'window methods',
     actions: {
@@ -229,6 +323,45 @@ setBaseActions({
     }
   },
 
+  'tmp': {
+    desc: 'show or purge temporarily extracted archive files',
+    actions: {
+      'status': {
+        desc: 'show extracted archive disk usage, optionally for a given tab',
+        run: async (tabName) => {
+          const { total, tabs } = await tmpUsage();
+          const usage = tabName != null
+            ? tabs.find(tab => tab.name === tabName)
+            : total;
+
+          if (usage == null || usage.archives < 1)
+            notify('no archives currently leased', 'tmpStatus');
+          else
+            notify(`${formatBytes(usage.bytes)} extracted from ${usage.archives} archive(s)`, 'tmpStatus');
+        },
+        options: async (_, args) => {
+          if (args.length > 1)
+            return [];
+
+          const { tabs } = await tmpUsage();
+          return tabs.map( tab => option(tab.name, `${formatBytes(tab.bytes)} from ${tab.archives} archive(s)`) );
+        }
+      },
+      'purge': {
+        desc: 'delete extracted files not on display and folders leaked by past sessions',
+        run: async () => {
+          const spareFiles = allTabs()
+            .filter(tab => tab.frame.type === 'viewer')
+            .map(tab => /** @type {Viewer} */ (tab.frame).fileBook.currentFile?.path)
+            .filter(path => path != null);
+
+          const { evicted, swept } = await elecAPI.purgeTmp(spareFiles);
+          notify(`purged ${formatBytes(evicted)}, swept ${swept} stale folder(s)`, 'tmpPurge');
+        }
+      }
+    }
+  },
+
   'preferences': {
     desc: 'set user preferences',
     actions: {
@@ -316,6 +449,64 @@ setBaseActions({
               : [option('10', 'default'), option(`${currentValue}`, 'current')]
             : [];
         }
+      },
+      'readEmbeddedTags': {
+        desc: 'add keywords embedded in JPEG, PNG and WebP images as tags when viewed',
+        run: (state = 'off') => {
+          const value = state === 'on';
+          userPreferences.set('readEmbeddedTags', value);
+          notify(`${value ? '' : 'not '}reading embedded keywords`, 'readEmbeddedTags');
+        },
+        options: (_, args) => {
+          const currentValue = userPreferences.get('readEmbeddedTags');
+
+          return args.length < 2
+            ? [
+              option('off', currentValue ? 'default' : 'default (current)'),
+              option('on', currentValue ? 'current' : 'tag viewed images from their embedded keywords')
+            ]
+            : [];
+        }
+      },
+      'writeTagSidecars': {
+        desc: 'write tags to sidecar XMP files next to tagged files on change',
+        run: (state = 'off') => {
+          const value = state === 'on';
+          userPreferences.set('writeTagSidecars', value);
+          notify(`${value ? '' : 'not '}writing tag sidecars`, 'writeTagSidecars');
+        },
+        options: (_, args) => {
+          const currentValue = userPreferences.get('writeTagSidecars');
+
+          return args.length < 2
+            ? [
+              option('off', currentValue ? 'default' : 'default (current)'),
+              option('on', currentValue ? 'current' : 'write file.ext.xmp sidecars, or update file.xmp ones')
+            ]
+            : [];
+        }
+      },
+      'rememberArchivePasswords': {
+        desc: 'remember working passwords for encrypted archives, forget all if off',
+        run: async (state = 'off') => {
+          const value = state === 'on';
+          userPreferences.set('rememberArchivePasswords', value);
+
+          if (!value)
+            await elecAPI.forgetArchivePasswords();
+
+          notify(value ? 'remembering archive passwords' : 'forgot archive passwords', 'archivePasswords');
+        },
+        options: (_, args) => {
+          const currentValue = userPreferences.get('rememberArchivePasswords');
+
+          return args.length < 2
+            ? [
+              option('off', currentValue ? 'default, forget passwords' : 'default (current)'),
+              option('on', currentValue ? 'current' : 'remember passwords, encrypted by the system keychain')
+            ]
+            : [];
+        }
       }
     }
   }
@@ -3,8 +3,19 @@ import { join, isAbsolute } from 'path';
 import { initializeDataDirectory } from './APIs/tool/appPaths.js';
 
 
+/**
+ * Either argument is a tab option flag, passed along with tab paths.
+ * - `--recursive`, `-r`, `--recursive=<depth>`: also open subfolders.
+ * @param {string} arg Command line argument.
+ * @returns {boolean}
+ */
+function isTabFlag(arg) {
+  return arg === '--recursive' || arg === '-r' || arg.startsWith('--recursive=');
+}
+
 /**
  * Create tabs from `--tab`, `-t` command line arguments.
+ * - Tab flags such as `--recursive` apply to the tab they follow.
  * @param {string[]} [args] Custom argument array.
  * @returns {string[][]}
  */
@@ -16,12 +27,13 @@ function tabArguments(args = process.argv) {
   for (const arg of args) {
     if (arg === '--tab' || arg === '-t')
       idx++;
-    else if (idx > -1 && arg[0] !== '-') { 
+    else if ( idx > -1 && (arg[0] !== '-' || isTabFlag(arg)) ) { 
       tabs[idx] == null ? tabs[idx] = [arg] : tabs[idx].push(arg);
     }
   }
 
-  return tabs;
+  // drop flag-only tabs
+  return tabs.filter(tab => tab.some(arg => !isTabFlag(arg)) );
 }
 
 
@@ -120,6 +132,10 @@ else {
     ipcHandlers();
   
     newWindow().then(win => {
+      // clear temporary folders leaked by previous sessions, if any, once there's a window to show
+      import('./APIs/file/temporaryFolders.js')
+        .then(module => module.sweepStaleFolders());
+
       const tabs = tabArguments();
 
       if (tabs.length > 0)
@@ -145,7 +161,7 @@ else {
       // so solve relative paths to current process working directory.
       for (const tab of tabs) {
         for (let i = 0; i < tab.length; i++) {
-          if ( !isAbsolute(tab[i]) )
+          if ( !isAbsolute(tab[i]) && !isTabFlag(tab[i]) )
             tab[i] = join(workingDirectory, tab[i]);
         }
       }
@@ -6,41 +6,87 @@ import * as localTagStorage from './APIs/tag/renderer.js';
 contextBridge.exposeInMainWorld('elecAPI', {
 
   // coordination
-  requestLock: async () => ipcRenderer.invoke('coord:lock'),
-  releaseLock: async () => ipcRenderer.invoke('coord:unlock'),
+  requestLock: async (name) => ipcRenderer.invoke('coord:lock', name),
+  releaseLock: async (name) => ipcRenderer.invoke('coord:unlock', name),
   broadcast: async (message, ...args) => ipcRenderer.invoke('coord:broadcast', message, ...args),
   onBroadcast: (callback) => ipcRenderer.on('coord:onbroadcast', (_e, msg, ...args) => callback(msg, ...args)),
 
   // library
   addToLibrary: async (path, recursively) => ipcRenderer.invoke('library:add', path, recursively),
   updateLibraryThumbnails: async () => ipcRenderer.invoke('library:thumbnails'),
-  getLibraryEntries: () => ipcRenderer.invoke('library:get'),
+  getLibraryEntries: (order) => ipcRenderer.invoke('library:get', order),
   removeFromLibrary: async (path) => ipcRenderer.invoke('library:remove', path),
   clearLibrary: async () => ipcRenderer.invoke('library:clear'),
+  setReadingProgress: async (path, page, pageCount, file, finished) => ipcRenderer.invoke('library:progress', path, page, pageCount, file, finished),
+  markReadingProgress: async (path, readingState) => ipcRenderer.invoke('library:markProgress', path, readingState),
+  pruneLibrary: async (dryRun) => ipcRenderer.invoke('library:prune', dryRun),
+  delistFromLibrary: async (folderItems) => ipcRenderer.invoke('library:delist', folderItems),
+  watchLibrary: async (folderItems) => ipcRenderer.invoke('library:watch', folderItems),
+  listShelves: async () => ipcRenderer.invoke('library:shelves'),
+  createShelf: async (name) => ipcRenderer.invoke('library:shelfCreate', name),
+  renameShelf: async (name, newName) => ipcRenderer.invoke('library:shelfRename', name, newName),
+  deleteShelf: async (name) => ipcRenderer.invoke('library:shelfDelete', name),
+  addToShelf: async (name, path) => ipcRenderer.invoke('library:shelfAdd', name, path),
+  removeFromShelf: async (name, path) => ipcRenderer.invoke('library:shelfRemove', name, path),
+  moveInShelf: async (name, path, position) => ipcRenderer.invoke('library:shelfMove', name, path, position),
   onLibraryNew: (callback) => ipcRenderer.on('library:new', (_e, infoObj) => callback(infoObj)),
 
   // open files
-  openFile: async (path, ownerID) => ipcRenderer.invoke('file:open', path, ownerID),
+  openFile: async (path, ownerID, options) => ipcRenderer.invoke('file:open', path, ownerID, options),
+  onOpenStream: (callback) => ipcRenderer.on('file:onStream', (_e, ownerID, walkID, files, done) => callback(ownerID, walkID, files, done)),
+  fetchFiles: async (paths, prefetchPaths) => ipcRenderer.invoke('file:fetch', paths, prefetchPaths),
+  forgetArchivePasswords: async () => ipcRenderer.invoke('file:forgetPasswords'),
   clearTmp: async (ownerID) => ipcRenderer.invoke('file:clearTmp', ownerID),
+  tmpStatus: async () => ipcRenderer.invoke('file:tmpStatus'),
+  purgeTmp: async (spareFiles) => ipcRenderer.invoke('file:purgeTmp', spareFiles),
   clearCache: () => webFrame.clearCache(),
 
   // operate on file
   getFileURL: (path) => pathToFileURL(path).href,
   runOnFile: async (userScript, currentFile) => ipcRenderer.invoke('file:runScript', userScript, currentFile),
   deleteFile: async (path) => ipcRenderer.invoke('file:delete', path),
+  deleteFromArchive: async (paths) => ipcRenderer.invoke('file:archiveDelete', paths),
+  renameInArchive: async (path, newPath) => ipcRenderer.invoke('file:archiveRename', path, newPath),
+  appendToArchive: async (path, files) => ipcRenderer.invoke('file:archiveAppend', path, files),
   getPathForFile: (file) => webUtils.getPathForFile(file),
 
   // discover files
   queryPath: async (path) => ipcRenderer.invoke('file:queryPath', path),
   scanPath: async (path) => ipcRenderer.invoke('file:scanPath', path),
+  imageDimensions: async (paths) => ipcRenderer.invoke('file:dimensions', paths),
 
   // manage file tags
-  uniqueTags: () => localTagStorage.uniqueTags(), // renderer, for non-blocking sync
+  uniqueTags: (namespace) => localTagStorage.uniqueTags(namespace), // renderer, for non-blocking sync
+  childTags: (parent) => localTagStorage.childTags(parent), // renderer, for non-blocking sync
   getTags: (path) => localTagStorage.getTags(path), // renderer, for non-blocking sync
+  isWithinTag: (tag, parent) => localTagStorage.isWithinTag(tag, parent), // renderer, for non-blocking sync
+  tagSeparators: () => localTagStorage.tagSeparators(), // renderer, for non-blocking sync
   addTags: async (path, ...tags) => ipcRenderer.invoke('tags:add', path, ...tags),
   removeTags: async (path, ...tags) => ipcRenderer.invoke('tags:remove', path, ...tags),
+  addTagsToMany: async (paths, ...tags) => ipcRenderer.invoke('tags:addMany', paths, ...tags),
+  removeTagsFromMany: async (paths, ...tags) => ipcRenderer.invoke('tags:removeMany', paths, ...tags),
   renameTags: async (...tags) => ipcRenderer.invoke('tags:rename', ...tags),
   deleteTags: async (...tags) => ipcRenderer.invoke('tags:delete', ...tags),
+  undoTags: async () => ipcRenderer.invoke('tags:undo'),
+  redoTags: async () => ipcRenderer.invoke('tags:redo'),
+  tagRules: () => localTagStorage.tagRules(), // renderer, for non-blocking sync
+  tagStats: () => localTagStorage.tagStats(), // renderer, for non-blocking sync
+  onTagSync: (callback) => localTagStorage.onSync(callback),
+  aliasTags: async (canonical, ...aliases) => ipcRenderer.invoke('tags:alias', canonical, ...aliases),
+  unaliasTags: async (...aliases) => ipcRenderer.invoke('tags:unalias', ...aliases),
+  implyTags: async (tag, ...impliedTags) => ipcRenderer.invoke('tags:imply', tag, ...impliedTags),
+  unimplyTags: async (tag, ...impliedTags) => ipcRenderer.invoke('tags:unimply', tag, ...impliedTags),
+  applyTagRules: async () => ipcRenderer.invoke('tags:applyRules'),
+  exportTags: async (path, format) => ipcRenderer.invoke('tags:export', path, format),
+  importTags: async (path) => ipcRenderer.invoke('tags:import', path),
+  importEmbeddedTags: async (path) => ipcRenderer.invoke('tags:importEmbedded', path),
+  writeTagSidecars: async (paths) => ipcRenderer.invoke('tags:writeSidecars', paths),
+  relinkTags: async (...roots) => ipcRenderer.invoke('tags:relink', ...roots),
+  useTagDatabase: async (name) => localTagStorage.useDatabase(name),
+  activeTagDatabase: () => localTagStorage.activeDatabase(), // renderer, for non-blocking sync
+  listTagDatabases: async () => ipcRenderer.invoke('tags:listDatabases'),
+  addTagDatabase: async (name, path, relative) => ipcRenderer.invoke('tags:addDatabase', name, path, relative),
+  removeTagDatabase: async (name) => ipcRenderer.invoke('tags:removeDatabase', name),
 
   // app window
   newWindow: async () => ipcRenderer.invoke('window:new'),
@@ -1,6 +1,7 @@
 // @ts-check
 import { GenericStorage } from "../components/genericStorage.js";
 import { notify } from "../components/notifier.js";
+import { useTagDatabase } from "../components/fileMethods.js";
 import { allTabs, newTab } from "./tab.js";
 
 
@@ -16,7 +17,8 @@ import { allTabs, newTab } from "./tab.js";
  * @typedef {generalState} GeneralState
  */
 export let generalState = {
-  librarySelection: ''
+  librarySelection: '',
+  tagDatabase: 'default'
 };
 
 /**
@@ -36,6 +38,8 @@ const collator = new Intl.Collator();
  * @param {string} name Profile name.
  */
 export function store(name) {
+  generalState.tagDatabase = elecAPI.activeTagDatabase().name;
+
   const session = /** @type {SessionProfileType} */ ({
     tabs: [],
     general: generalState
@@ -70,6 +74,10 @@ export function load(name, clearSession = true) {
   if (clearSession) {
     allTabs().forEach( tab => tab.close(false) );
     Object.assign(generalState, session.general);
+
+    // profiles predating tag databases keep current one
+    if (session.general.tagDatabase != null)
+      useTagDatabase(session.general.tagDatabase);
   }
 
   // re-create profile session